@@ -17,6 +17,7 @@ REM Copy required files
 echo Copying files...
 copy manifest.json dist\ >nul
 copy popup.html dist\ >nul
+copy sidepanel.html dist\ >nul
 xcopy /E /I /Y src dist\src >nul
 xcopy /E /I /Y icons dist\icons >nul
 
@@ -26,6 +26,7 @@ mkdir -p dist
 echo -e "${YELLOW}Copying files...${NC}"
 cp manifest.json dist/
 cp popup.html dist/
+cp sidepanel.html dist/
 cp -r src dist/
 cp -r icons dist/
 
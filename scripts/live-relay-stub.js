@@ -0,0 +1,124 @@
+/**
+ * Live Updates Stub Relay
+ *
+ * Minimal local relay for testing live updates without deploying anything.
+ * Receives Monday.com webhook POSTs and forwards them to the extension over
+ * Server-Sent Events.
+ *
+ * Usage:
+ *   npm run relay:stub            # listens on http://localhost:8787
+ *   PORT=9000 npm run relay:stub
+ *
+ * Then set the live updates URL in the popup to http://localhost:8787/events
+ * and send an event:
+ *   curl -X POST http://localhost:8787/webhook \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"event":{"type":"create_update","pulseId":1234567890}}'
+ */
+
+const http = require("http");
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const KEEP_ALIVE_INTERVAL = 15000;
+
+const clients = new Set();
+
+/**
+ * Send an event to every connected extension
+ * @param {Object} payload - Webhook payload
+ */
+function broadcast(payload) {
+  const message = `data: ${JSON.stringify(payload)}\n\n`;
+  clients.forEach((res) => res.write(message));
+  console.log(
+    `→ ${payload.event?.type || "event"} forwarded to ${clients.size} client(s)`
+  );
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  // The extension's service worker fetches the stream cross-origin
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === "GET" && req.url === "/events") {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+    clients.add(res);
+    console.log(`+ client connected (${clients.size} total)`);
+
+    const keepAlive = setInterval(
+      () => res.write(": ping\n\n"),
+      KEEP_ALIVE_INTERVAL
+    );
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      clients.delete(res);
+      console.log(`- client disconnected (${clients.size} total)`);
+    });
+    return;
+  }
+
+  if (req.method === "POST" && req.url === "/webhook") {
+    let payload;
+    try {
+      payload = await readJson(req);
+    } catch (error) {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Invalid JSON" }));
+      return;
+    }
+
+    // Monday verifies new webhook URLs by expecting the challenge back
+    if (payload.challenge) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ challenge: payload.challenge }));
+      return;
+    }
+
+    broadcast(payload);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ forwarded: clients.size }));
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`🔌 Live updates stub relay on http://localhost:${PORT}`);
+  console.log(`   Stream:  GET  http://localhost:${PORT}/events`);
+  console.log(`   Webhook: POST http://localhost:${PORT}/webhook`);
+});
@@ -11,12 +11,15 @@ const DIST_DIR = path.join(__dirname, "..", "dist");
 const REQUIRED_FILES = [
   "manifest.json",
   "popup.html",
+  "sidepanel.html",
   "src/background/service-worker.js",
   "src/content/main.js",
   "src/popup/main.js",
+  "src/sidepanel/main.js",
   "src/config/config.js",
   "src/shared/services/errorHandler.js",
   "src/shared/services/gumroadAPI.js",
+  "src/shared/services/settings.js",
   "src/shared/services/storage.js",
   "src/shared/services/usageTracker.js",
   "src/styles/content/content.css",
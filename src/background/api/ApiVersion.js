@@ -0,0 +1,191 @@
+/**
+ * API Version Manager for Monday.com API Calls
+ *
+ * Picks the API-Version header sent with every request. The primary and
+ * fallback versions come from config.js. When Monday.com reports the
+ * primary version as deprecated (Deprecation/Sunset headers, a different
+ * version in the response, or a version error), requests switch to the
+ * fallback and the popup shows a warning. The switch is remembered in local
+ * storage until an update ships a new primary version.
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    storageKey: "apiVersionStatus",
+  };
+
+  // Error text Monday.com returns for unknown or retired versions
+  const VERSION_ERROR_PATTERN =
+    /(api[-_ ]?version|version)[^.]{0,80}(deprecated|not supported|unsupported|invalid|no longer)/i;
+
+  // Dependencies (loaded before this script)
+  const getAppConfig = () =>
+    (typeof self !== "undefined" ? self : window).CONFIG || {};
+
+  // config.js is the only place the version is set: without it, stop loading
+  // instead of sending a version that may have gone stale
+  if (!getAppConfig().apiVersion) {
+    throw new Error(
+      "ApiVersion: CONFIG.apiVersion is missing (load config.js first)"
+    );
+  }
+
+  // Helper: Configured versions
+  function getConfiguredVersions() {
+    const appConfig = getAppConfig();
+    return {
+      primary: appConfig.apiVersion,
+      fallback: appConfig.apiFallbackVersion || null,
+    };
+  }
+
+  // Current state; deprecation reports are { version, reason, detectedAt }
+  let status = {
+    active: getConfiguredVersions().primary,
+    deprecated: null,
+    fallbackDeprecated: null,
+  };
+  let loadPromise = null;
+
+  /**
+   * Restore a fallback chosen before the worker restarted
+   * A stored switch is dropped once config.js names a new primary version
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+      try {
+        const result = await chrome.storage.local.get(CONFIG.storageKey);
+        const stored = result[CONFIG.storageKey];
+        const { primary } = getConfiguredVersions();
+        if (stored?.deprecated?.version === primary) {
+          status = { fallbackDeprecated: null, ...stored };
+        }
+      } catch (error) {
+        // Storage unavailable: start from the primary version
+      }
+    })();
+    return loadPromise;
+  }
+
+  /**
+   * Record a deprecated version and switch to the fallback if there is one
+   * @param {string} version - Deprecated version
+   * @param {string} reason - What Monday.com reported
+   * @returns {string|null} Version to use now, or null if there's none left
+   */
+  function markDeprecated(version, reason) {
+    const { primary, fallback } = getConfiguredVersions();
+    const report = { version, reason, detectedAt: Date.now() };
+    let next = null;
+
+    if (version === primary) {
+      // Requests already in flight report the same version again
+      if (status.deprecated?.version === version) {
+        return status.active !== version ? status.active : null;
+      }
+      next = fallback && fallback !== primary ? fallback : null;
+      status = { ...status, active: next || primary, deprecated: report };
+    } else {
+      // The fallback is going away too; keep using it while it still works
+      if (status.fallbackDeprecated?.version === version) return null;
+      status = { ...status, fallbackDeprecated: report };
+    }
+
+    console.warn(`MondayAPI: API version ${version} deprecated (${reason})`);
+    chrome.storage.local.set({ [CONFIG.storageKey]: status }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Read a deprecation notice from response headers
+   * @param {Response} response - Fetch response
+   * @param {string} version - Version the request was sent with
+   * @returns {string|null} Reason, or null if the version is current
+   */
+  function getHeaderDeprecation(response, version) {
+    const headers = response.headers;
+    if (!headers) return null;
+
+    const served = headers.get("api-version") || headers.get("x-api-version");
+    if (served && served !== version) {
+      return `requested ${version}, served ${served}`;
+    }
+    const sunset = headers.get("sunset");
+    if (sunset) return `sunset on ${sunset}`;
+    if (headers.get("deprecation")) return "marked deprecated";
+    return null;
+  }
+
+  const ApiVersion = {
+    load,
+
+    /**
+     * Get the version to send with the next request
+     * @returns {Promise<string>} API version, e.g. "2025-10"
+     */
+    async getVersion() {
+      await load();
+      return status.active;
+    },
+
+    /**
+     * Check a response for deprecation of the version it was sent with
+     * Failed requests are checked for version errors so the caller can
+     * retry them with the fallback
+     * @param {Response} response - Fetch response (its body is not consumed)
+     * @param {string} version - Version the request was sent with
+     * @returns {Promise<string|null>} Version to retry with, or null
+     */
+    async inspect(response, version) {
+      const headerReason = getHeaderDeprecation(response, version);
+      if (response.ok) {
+        if (headerReason) markDeprecated(version, headerReason);
+        return null;
+      }
+
+      let body = "";
+      try {
+        body = await response.clone().text();
+      } catch (error) {
+        // Unreadable body: nothing to inspect
+      }
+      const match = body.match(VERSION_ERROR_PATTERN);
+      if (!match && !headerReason) return null;
+
+      return markDeprecated(version, headerReason || match[0]);
+    },
+
+    /**
+     * Get version status for the popup
+     * @returns {Promise<Object>} { primary, fallback, active, deprecated,
+     *   fallbackDeprecated }
+     */
+    async getStatus() {
+      await load();
+      const { primary, fallback } = getConfiguredVersions();
+      return {
+        primary,
+        fallback,
+        active: status.active,
+        deprecated: status.deprecated,
+        fallbackDeprecated: status.fallbackDeprecated,
+      };
+    },
+  };
+
+  // Export globally (service worker context)
+  if (typeof self !== "undefined") {
+    self.ApiVersion = ApiVersion;
+  } else if (typeof window !== "undefined") {
+    window.ApiVersion = ApiVersion;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ApiVersion;
+  }
+})();
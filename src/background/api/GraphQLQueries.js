@@ -1,100 +1,491 @@
 /**
- * GraphQL Query Builders for Monday.com API
+ * GraphQL Operations for Monday.com API
+ *
+ * Every request the extension sends is a named operation in this registry.
+ * Values are never written into the query text: they travel as GraphQL
+ * variables and are checked against the operation's declared types first,
+ * so a malformed ID fails here instead of changing the query.
  */
 
 (function () {
   "use strict";
 
-  const GraphQLQueries = {
-    /**
-     * Build GraphQL query to fetch task notes and updates
-     * @param {string} taskId - Task/Item ID
-     * @returns {string} GraphQL query
-     */
-    buildFetchNotesQuery(taskId) {
-      return `
-        query {
-          items(ids: [${taskId}]) {
-            id
+  // Column value fields used by the summary strip and inline editing
+  const COLUMN_VALUE_FIELDS = `
+    id
+    text
+    type
+    column {
+      title
+    }
+    ... on StatusValue {
+      index
+      label_style {
+        color
+      }
+      column {
+        settings_str
+      }
+    }
+    ... on PeopleValue {
+      persons_and_teams {
+        id
+        kind
+      }
+    }
+    ... on DateValue {
+      date
+    }
+    ... on TimelineValue {
+      from
+      to
+    }
+  `;
+
+  // Fields of an update (and its replies) shown in the tooltip
+  const UPDATE_FIELDS = `
+    id
+    body
+    created_at
+    creator {
+      name
+      photo_thumb
+    }
+    replies {
+      id
+      body
+      created_at
+      creator {
+        name
+        photo_thumb
+      }
+    }
+  `;
+
+  // Fields fetched for each item shown in the tooltip
+  const ITEM_NOTES_FIELDS = `
+    id
+    name
+    updates(limit: $updatesLimit, page: $page) {
+      ${UPDATE_FIELDS}
+    }
+    board {
+      id
+    }
+    column_values {
+      ${COLUMN_VALUE_FIELDS}
+    }
+    subitems {
+      id
+      name
+      updates(limit: $subitemUpdatesLimit) {
+        id
+      }
+      column_values(types: [status, people]) {
+        id
+        text
+        type
+        ... on StatusValue {
+          label_style {
+            color
+          }
+        }
+      }
+    }
+  `;
+
+  // Fields of a board update indexed for board search
+  const BOARD_UPDATE_FIELDS = `
+    id
+    body
+    item_id
+    created_at
+    updated_at
+    creator {
+      name
+    }
+    replies {
+      body
+      creator {
+        name
+      }
+    }
+  `;
+
+  const MENTION_TYPES = ["User", "Team", "Board", "Project"];
+
+  // ErrorHandler (loaded before this script)
+  const getErrorHandler = () =>
+    (typeof self !== "undefined" ? self : window).ErrorHandler;
+
+  /**
+   * Create an error for a request that can't be built
+   * Typed like transport errors, but never retried: sending the same
+   * variables again fails the same way
+   * @param {string} message - Error message
+   * @returns {Error} Typed error
+   */
+  function createRequestError(message) {
+    const ErrorHandler = getErrorHandler();
+    return ErrorHandler.createTypedError(
+      ErrorHandler.ERROR_CODES.UNKNOWN_ERROR,
+      message,
+      { retryable: false }
+    );
+  }
+
+  /**
+   * Named operations: kind, declared variable types and the selection set
+   * (a function of the variables when its shape depends on them)
+   */
+  const OPERATIONS = {
+    // First page of updates plus summary columns and subitems
+    itemNotes: {
+      kind: "query",
+      variables: {
+        itemId: "ID!",
+        updatesLimit: "Int!",
+        page: "Int!",
+        subitemUpdatesLimit: "Int!",
+      },
+      selection: `items(ids: [$itemId]) { ${ITEM_NOTES_FIELDS} }`,
+    },
+
+    // Same as itemNotes for many items (used to prefetch visible rows)
+    itemNotesBatch: {
+      kind: "query",
+      variables: {
+        itemIds: "[ID!]!",
+        itemsLimit: "Int!",
+        updatesLimit: "Int!",
+        page: "Int!",
+        subitemUpdatesLimit: "Int!",
+      },
+      selection: `items(ids: $itemIds, limit: $itemsLimit) { ${ITEM_NOTES_FIELDS} }`,
+    },
+
+    // A single page of older updates
+    itemNotesPage: {
+      kind: "query",
+      variables: { itemId: "ID!", updatesLimit: "Int!", page: "Int!" },
+      selection: `
+        items(ids: [$itemId]) {
+          id
+          updates(limit: $updatesLimit, page: $page) {
+            ${UPDATE_FIELDS}
+          }
+        }
+      `,
+    },
+
+    // Post an update, or a reply when parentId is set
+    createUpdate: {
+      kind: "mutation",
+      variables: {
+        itemId: "ID!",
+        body: "String!",
+        parentId: "ID",
+        mentions: "[UpdateMention!]",
+      },
+      selection: `
+        create_update(item_id: $itemId, body: $body, parent_id: $parentId, mentions_list: $mentions) {
+          id
+          body
+          created_at
+          creator {
             name
-            updates {
-              id
-              body
-              created_at
-              creator {
-                name
-                photo_thumb
-              }
-            }
-            column_values {
+            photo_thumb
+          }
+        }
+      `,
+    },
+
+    // Change one column value; value is the column's JSON string
+    changeColumnValue: {
+      kind: "mutation",
+      variables: {
+        boardId: "ID!",
+        itemId: "ID!",
+        columnId: "String!",
+        value: "JSON!",
+      },
+      selection: `
+        change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) {
+          id
+          column_values(ids: [$columnId]) {
+            ${COLUMN_VALUE_FIELDS}
+          }
+        }
+      `,
+    },
+
+    // Subscribers of an item's board (mention candidates)
+    boardSubscribers: {
+      kind: "query",
+      variables: { itemId: "ID!" },
+      selection: `
+        items(ids: [$itemId]) {
+          id
+          board {
+            id
+            subscribers {
               id
-              text
-              type
+              name
+              photo_thumb
             }
           }
         }
-      `;
+      `,
     },
 
-    /**
-     * Build GraphQL query for Monday.com API
-     * @param {string} itemId - Item ID
-     * @param {string} type - Content type
-     * @param {string} updateId - Update ID
-     * @returns {string} GraphQL query
-     */
-    buildGraphQLQuery(itemId, type, updateId) {
-      if (type === "note") {
-        return `
-          query {
-            items(ids: [${itemId}]) {
-              id
+    // Several pages of a board's updates, newest first. GraphQL can't loop,
+    // so each page gets an alias (page_<index>) and its own $page<index>
+    boardUpdates: {
+      kind: "query",
+      variables: { boardId: "ID!", limit: "Int!", pages: "[Int!]!" },
+      expand({ pages, ...variables }) {
+        const types = { boardId: "ID!", limit: "Int!" };
+        pages.forEach((page, index) => {
+          variables[`page${index}`] = page;
+          types[`page${index}`] = "Int!";
+        });
+        return { variables, types };
+      },
+      selection: ({ pages }) => `
+        boards(ids: [$boardId]) {
+          id
+          ${pages
+            .map(
+              (page, index) =>
+                `page_${index}: updates(limit: $limit, page: $page${index}) { ${BOARD_UPDATE_FIELDS} }`
+            )
+            .join("\n")}
+        }
+      `,
+    },
+
+    // Item names for board search results
+    itemNames: {
+      kind: "query",
+      variables: { itemIds: "[ID!]!", itemsLimit: "Int!" },
+      selection: `
+        items(ids: $itemIds, limit: $itemsLimit) {
+          id
+          name
+        }
+      `,
+    },
+
+    // Account users (mention fallback)
+    users: {
+      kind: "query",
+      variables: { limit: "Int!" },
+      selection: `
+        users(limit: $limit, kind: non_guests) {
+          id
+          name
+          photo_thumb
+        }
+      `,
+    },
+
+    // Generic content fetch: an item's updates and column values
+    itemContent: {
+      kind: "query",
+      variables: { itemId: "ID!" },
+      selection: `
+        items(ids: [$itemId]) {
+          id
+          name
+          updates {
+            id
+            body
+            created_at
+            creator {
               name
-              updates {
-                id
-                body
-                created_at
-                creator {
-                  name
-                  photo_thumb
-                }
-              }
-              column_values {
-                id
-                text
-                type
-              }
+              photo_thumb
             }
           }
-        `;
-      } else if (type === "comment" || type === "update") {
-        return `
-          query {
-            items(ids: [${itemId}]) {
-              updates(limit: 1, ids: [${updateId}]) {
-                id
-                body
-                text_body
-                created_at
-                creator {
-                  name
-                  photo_thumb
-                }
-              }
+          column_values {
+            id
+            text
+            type
+          }
+        }
+      `,
+    },
+
+    // Generic content fetch: a single update (comment) of an item
+    updateContent: {
+      kind: "query",
+      variables: { itemId: "ID!", updateId: "ID!" },
+      selection: `
+        items(ids: [$itemId]) {
+          updates(limit: 1, ids: [$updateId]) {
+            id
+            body
+            text_body
+            created_at
+            creator {
+              name
+              photo_thumb
             }
           }
-        `;
+        }
+      `,
+    },
+
+    // Current user (API key validation)
+    me: {
+      kind: "query",
+      variables: {},
+      selection: "me { id name email }",
+    },
+  };
+
+  /**
+   * Check a single (non-list) value against a GraphQL type name
+   * @param {string} typeName - Scalar or input type, e.g. "ID"
+   * @param {any} value - Value to check (not null)
+   * @returns {any} Value as sent, or undefined if invalid
+   */
+  function coerceScalar(typeName, value) {
+    switch (typeName) {
+      case "ID":
+        // Monday.com IDs are numeric; anything else is a malformed ID
+        return (typeof value === "string" || typeof value === "number") &&
+          /^\d+$/.test(String(value))
+          ? String(value)
+          : undefined;
+      case "Int":
+        return Number.isInteger(value) && value >= 0 ? value : undefined;
+      case "String":
+        return typeof value === "string" ? value : undefined;
+      case "JSON":
+        if (typeof value !== "string") return undefined;
+        try {
+          JSON.parse(value);
+          return value;
+        } catch (error) {
+          return undefined;
+        }
+      case "UpdateMention": {
+        const id = value && coerceScalar("ID", value.id);
+        return id !== undefined && MENTION_TYPES.includes(value.type)
+          ? { id, type: value.type }
+          : undefined;
       }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Check a value against a GraphQL type, e.g. "ID!" or "[ID!]!"
+   * @param {string} type - GraphQL type
+   * @param {any} value - Value to check
+   * @returns {{valid: boolean, value?: any}} Value as sent if valid
+   *   (undefined for an omitted optional value)
+   */
+  function coerce(type, value) {
+    const required = type.endsWith("!");
+    const baseType = required ? type.slice(0, -1) : type;
+
+    if (value === undefined || value === null) {
+      return { valid: !required, value: undefined };
+    }
+
+    if (baseType.startsWith("[")) {
+      if (!Array.isArray(value)) return { valid: false };
+      const itemType = baseType.slice(1, -1);
+      const items = value.map((item) => coerce(itemType, item));
+      return items.every((item) => item.valid)
+        ? { valid: true, value: items.map((item) => item.value) }
+        : { valid: false };
+    }
+
+    const coerced = coerceScalar(baseType, value);
+    return coerced === undefined
+      ? { valid: false }
+      : { valid: true, value: coerced };
+  }
+
+  // Helper: Look up an operation or throw
+  function getOperation(operationName) {
+    const operation = OPERATIONS[operationName];
+    if (!operation) {
+      throw createRequestError(`Unknown GraphQL operation: ${operationName}`);
+    }
+    return operation;
+  }
 
-      return "";
+  const GraphQLQueries = {
+    /**
+     * Check an operation's variables against its declared types
+     * @param {string} operationName - Operation name (key of OPERATIONS)
+     * @param {Object} variables - Variables to check
+     * @returns {Object} Variables as sent (IDs as strings, omitted optional
+     *   values removed)
+     * @throws {Error} Non-retryable UNKNOWN_ERROR if a variable is missing,
+     *   unknown or of the wrong type
+     */
+    validateVariables(operationName, variables = {}) {
+      const operation = getOperation(operationName);
+
+      const unknown = Object.keys(variables).find(
+        (key) => !(key in operation.variables)
+      );
+      if (unknown) {
+        throw createRequestError(
+          `Invalid variable $${unknown} for ${operationName}: not declared`
+        );
+      }
+
+      const checked = {};
+      Object.entries(operation.variables).forEach(([key, type]) => {
+        const result = coerce(type, variables[key]);
+        if (!result.valid) {
+          throw createRequestError(
+            `Invalid variable $${key} for ${operationName}: expected ${type}`
+          );
+        }
+        if (result.value !== undefined) {
+          checked[key] = result.value;
+        }
+      });
+      return checked;
     },
 
     /**
-     * Build simple "me" query for API key validation
-     * @returns {string} GraphQL query
+     * Build the request body for an operation
+     * @param {string} operationName - Operation name (key of OPERATIONS)
+     * @param {Object} variables - Operation variables
+     * @returns {Object} { query, variables, operationName }
+     * @throws {Error} Non-retryable UNKNOWN_ERROR if the variables are
+     *   invalid
      */
-    buildMeQuery() {
-      return "{ me { id name email } }";
+    buildRequest(operationName, variables = {}) {
+      const operation = getOperation(operationName);
+      const checked = this.validateVariables(operationName, variables);
+
+      const expanded = operation.expand
+        ? operation.expand({ ...checked })
+        : { variables: checked, types: operation.variables };
+      const declarations = Object.entries(expanded.types)
+        .map(([key, type]) => `$${key}: ${type}`)
+        .join(", ");
+      const selection =
+        typeof operation.selection === "function"
+          ? operation.selection(checked)
+          : operation.selection;
+
+      return {
+        query: `${operation.kind} ${operationName}${
+          declarations ? `(${declarations})` : ""
+        } { ${selection} }`,
+        variables: expanded.variables,
+        operationName,
+      };
     },
   };
 
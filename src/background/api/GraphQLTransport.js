@@ -0,0 +1,430 @@
+/**
+ * GraphQL Transport for Monday.com API
+ *
+ * Sends every GraphQL request the extension makes: API-Version header and
+ * fallback, rate limiting, complexity tracking and error mapping. Failures
+ * are thrown as Errors carrying one of ErrorHandler's ERROR_CODES, so
+ * callers check `error.code` instead of matching message text.
+ *
+ * Network failures and 5xx responses are retried with jittered backoff
+ * through ErrorHandler.handleRetry, as are 429s with a short Retry-After.
+ * Mutations are only retried when Monday.com rejected them unprocessed.
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    apiBaseUrl: "https://api.monday.com/v2",
+    maxRetries: 3,
+    maxRetryAfterMs: 30000, // Longer waits fail instead of holding the peek
+    timingHistorySize: 50, // Recent requests kept for getTimings()
+  };
+
+  // Dependencies (loaded before this script)
+  const getDependencies = () => {
+    const global = typeof self !== "undefined" ? self : window;
+    return {
+      ErrorHandler: global.ErrorHandler,
+      RateLimiter: global.RateLimiter,
+      ApiVersion: global.ApiVersion,
+    };
+  };
+
+  // Selection added to every operation so RateLimiter sees the live budget
+  const COMPLEXITY_FIELDS =
+    "complexity { before after reset_in_x_seconds query }";
+
+  // Timing of recent requests, oldest first
+  const timings = [];
+
+  /**
+   * Add the complexity selection to a query or mutation
+   * @param {string} query - GraphQL query
+   * @returns {string} Query that also requests complexity
+   */
+  function withComplexity(query) {
+    const end = query.lastIndexOf("}");
+    if (end === -1) return query;
+    return `${query.slice(0, end)} ${COMPLEXITY_FIELDS} ${query.slice(end)}`;
+  }
+
+  /**
+   * Get the wait time from a "complexity budget exhausted" error
+   * @param {Object} error - GraphQL error (or the response body)
+   * @returns {number|null} Seconds until the budget resets, or null if the
+   *   error is not a complexity error
+   */
+  function getComplexityRetrySeconds(error) {
+    const code = error?.extensions?.code || error?.error_code;
+    const message = error?.message || error?.error_message || "";
+    if (
+      code !== "COMPLEXITY_BUDGET_EXHAUSTED" &&
+      code !== "ComplexityException" &&
+      !/complexity budget exhausted/i.test(message)
+    ) {
+      return null;
+    }
+
+    const retry =
+      error.extensions?.retry_in_seconds ?? error.error_data?.retry_in_seconds;
+    if (typeof retry === "number") return retry;
+
+    const match = message.match(/reset in (\d+) seconds?/i);
+    return match ? parseInt(match[1], 10) : 60;
+  }
+
+  /**
+   * Read the Retry-After header (seconds or an HTTP date)
+   * @param {Response} response - Fetch response
+   * @returns {number|null} Milliseconds to wait, or null if not given
+   */
+  function getRetryAfter(response) {
+    const value = response.headers?.get("retry-after");
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * POST a GraphQL request with the current API-Version header
+   * If Monday.com rejects the version as deprecated, the request is sent once
+   * more with the fallback version (see ApiVersion)
+   * @param {Object} request - { query, variables, operationName }
+   * @param {string} apiKey - Monday.com API key
+   * @returns {Promise<Response>} Fetch response
+   */
+  async function postRequest(request, apiKey) {
+    const { ApiVersion } = getDependencies();
+    // Clean API key and use credentials: 'omit' to prevent cookie conflicts
+    const cleanApiKey = apiKey.trim();
+    const send = (version) =>
+      fetch(CONFIG.apiBaseUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "*/*",
+          Authorization: cleanApiKey,
+          "API-Version": version,
+        },
+        body: JSON.stringify(request),
+        credentials: "omit",
+      });
+
+    const version = await ApiVersion.getVersion();
+    const response = await send(version);
+    const retryVersion = await ApiVersion.inspect(response, version);
+    if (!retryVersion) return response;
+
+    const retryResponse = await send(retryVersion);
+    await ApiVersion.inspect(retryResponse, retryVersion);
+    return retryResponse;
+  }
+
+  /**
+   * Map a failed HTTP response to a typed error
+   * @param {Response} response - Fetch response (not ok)
+   * @returns {Promise<Error>} Typed error
+   */
+  async function getHttpError(response) {
+    const { ErrorHandler, RateLimiter } = getDependencies();
+    const { ERROR_CODES } = ErrorHandler;
+    const status = response.status;
+
+    const errorText = await response.text().catch(() => "");
+    console.error("GraphQLTransport: API HTTP error", status, errorText);
+
+    if (status === 401) {
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.API_KEY_INVALID,
+        "Invalid API key. Please check your API key in settings.",
+        { status }
+      );
+    }
+    if (status === 403) {
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.PERMISSION_DENIED,
+        "Access forbidden. Your API key may not have permission to access this task.",
+        { status }
+      );
+    }
+    if (status === 404) {
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.TASK_NOT_FOUND,
+        "Task not found. The task ID may be incorrect.",
+        { status }
+      );
+    }
+    if (status === 429) {
+      if (RateLimiter) {
+        RateLimiter.handleRateLimit();
+      }
+      // Only worth retrying when Monday.com says when, and soon enough
+      const retryAfter = getRetryAfter(response);
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.RATE_LIMITED,
+        "Rate limit exceeded. Please wait a moment and try again.",
+        {
+          status,
+          retryAfter,
+          retryable:
+            retryAfter !== null && retryAfter <= CONFIG.maxRetryAfterMs,
+        }
+      );
+    }
+    if (status >= 500) {
+      const retryAfter = getRetryAfter(response);
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.MONDAY_DOWN,
+        ErrorHandler.getUserMessage({ code: ERROR_CODES.MONDAY_DOWN }),
+        {
+          status,
+          retryAfter,
+          retryable: !(retryAfter > CONFIG.maxRetryAfterMs),
+        }
+      );
+    }
+
+    return ErrorHandler.createTypedError(
+      ERROR_CODES.UNKNOWN_ERROR,
+      `API request failed: ${status} ${response.statusText}`,
+      { status }
+    );
+  }
+
+  /**
+   * Map the errors in a GraphQL response body to a typed error
+   * @param {Object} body - Parsed response body
+   * @returns {Error|null} Typed error, or null if the request succeeded
+   */
+  function getGraphQLError(body) {
+    const { ErrorHandler, RateLimiter } = getDependencies();
+    const { ERROR_CODES } = ErrorHandler;
+
+    // Complexity errors can come back as GraphQL errors or a top-level code
+    const retrySeconds = [body, ...(body.errors || [])]
+      .map(getComplexityRetrySeconds)
+      .find((seconds) => seconds !== null);
+    if (retrySeconds !== undefined) {
+      if (RateLimiter) {
+        RateLimiter.handleComplexityExhausted(retrySeconds);
+      }
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.RATE_LIMITED,
+        `Rate limit exceeded. Please wait ${retrySeconds} seconds before trying again.`,
+        { retryAfter: retrySeconds * 1000, retryable: false }
+      );
+    }
+
+    if (!body.errors || body.errors.length === 0) {
+      return body.data
+        ? null
+        : ErrorHandler.createTypedError(
+            ERROR_CODES.UNKNOWN_ERROR,
+            "Invalid response from API. Please try again."
+          );
+    }
+
+    const error = body.errors[0];
+    const message = error.message || "";
+    console.error("GraphQLTransport: GraphQL error", error);
+
+    if (message.includes("Invalid token") || message.includes("Unauthorized")) {
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.API_KEY_INVALID,
+        "Invalid API key. Please check your API key in settings."
+      );
+    }
+    if (message.includes("Rate limit")) {
+      if (RateLimiter) {
+        RateLimiter.handleRateLimit();
+      }
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.RATE_LIMITED,
+        "Rate limit exceeded. Please wait a moment and try again.",
+        { retryable: false }
+      );
+    }
+    if (message.includes("not found") || message.includes("does not exist")) {
+      return ErrorHandler.createTypedError(
+        ERROR_CODES.TASK_NOT_FOUND,
+        "Task not found. The task ID may be incorrect."
+      );
+    }
+
+    return ErrorHandler.createTypedError(
+      ERROR_CODES.UNKNOWN_ERROR,
+      message || "GraphQL error occurred"
+    );
+  }
+
+  /**
+   * Send a request once and return its data
+   * @param {Object} request - { query, variables, operationName }
+   * @param {string} apiKey - Monday.com API key
+   * @returns {Promise<Object>} The `data` object of the response
+   * @throws {Error} Typed error (see ERROR_CODES)
+   */
+  async function sendOnce(request, apiKey) {
+    const { ErrorHandler, RateLimiter } = getDependencies();
+    const { ERROR_CODES } = ErrorHandler;
+
+    if (RateLimiter) {
+      await RateLimiter.checkRateLimit();
+    }
+
+    let response;
+    try {
+      response = await postRequest(
+        { ...request, query: withComplexity(request.query) },
+        apiKey
+      );
+    } catch (error) {
+      throw ErrorHandler.createTypedError(
+        ERROR_CODES.NETWORK_ERROR,
+        "Network error. Please check your internet connection.",
+        { originalError: error }
+      );
+    }
+
+    if (!response.ok) {
+      throw await getHttpError(response);
+    }
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw ErrorHandler.createTypedError(
+        ERROR_CODES.UNKNOWN_ERROR,
+        "Invalid response from API. Please try again.",
+        { status: response.status, originalError: error }
+      );
+    }
+
+    if (RateLimiter && body.data?.complexity) {
+      RateLimiter.recordComplexity(body.data.complexity);
+    }
+
+    const graphQLError = getGraphQLError(body);
+    if (graphQLError) {
+      throw graphQLError;
+    }
+
+    // Reset rate limit backoff on success
+    if (RateLimiter) {
+      RateLimiter.resetBackoff();
+    }
+
+    return body.data;
+  }
+
+  /**
+   * Check whether a failed request should be sent again
+   * A mutation that failed on the network or with a 5xx may already have
+   * been applied, so only rate-limited mutations are retried
+   * @param {Error} error - Typed error
+   * @param {Object} request - Request that failed
+   * @returns {boolean} True to retry
+   */
+  function shouldRetry(error, request) {
+    const { ErrorHandler } = getDependencies();
+    if (!error.code || !ErrorHandler.isRetryable(error)) return false;
+
+    const isMutation = /^\s*mutation\b/.test(request.query);
+    return !isMutation || error.code === ErrorHandler.ERROR_CODES.RATE_LIMITED;
+  }
+
+  /**
+   * Record how long a request took, including retries
+   * @param {Object} request - Request sent
+   * @param {number} startedAt - Start time (ms)
+   * @param {number} attempts - Times the request was sent
+   * @param {Error|null} error - Final error, or null on success
+   */
+  function recordTiming(request, startedAt, attempts, error) {
+    timings.push({
+      operationName: request.operationName || null,
+      startedAt,
+      durationMs: Date.now() - startedAt,
+      attempts,
+      code: error ? error.code || "UNKNOWN_ERROR" : null,
+    });
+    if (timings.length > CONFIG.timingHistorySize) {
+      timings.shift();
+    }
+  }
+
+  const GraphQLTransport = {
+    /**
+     * Send a GraphQL request, retrying transient failures
+     * @param {Object} request - { query, variables, operationName }
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Object>} The `data` object of the response
+     * @throws {Error} Typed error with `code` from ERROR_CODES
+     */
+    async send(request, apiKey) {
+      const { ErrorHandler } = getDependencies();
+      const startedAt = Date.now();
+      let attempts = 0;
+
+      // Errors this request mustn't retry are marked so handleRetry stops
+      const attempt = async () => {
+        attempts++;
+        try {
+          return await sendOnce(request, apiKey);
+        } catch (error) {
+          if (!shouldRetry(error, request)) error.retryable = false;
+          throw error;
+        }
+      };
+
+      try {
+        let data;
+        try {
+          data = await attempt();
+        } catch (error) {
+          if (error.retryable === false) throw error;
+
+          data = await ErrorHandler.handleRetry(
+            error,
+            attempt,
+            `GraphQLTransport: ${request.operationName || "request"}`,
+            1,
+            CONFIG.maxRetries
+          );
+        }
+
+        recordTiming(request, startedAt, attempts, null);
+        return data;
+      } catch (error) {
+        recordTiming(request, startedAt, attempts, error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get the timing of recent requests
+     * @returns {Array<Object>} { operationName, startedAt, durationMs,
+     *   attempts, code } per request, oldest first (code is null on success)
+     */
+    getTimings() {
+      return timings.map((timing) => ({ ...timing }));
+    },
+  };
+
+  // Export globally (service worker context)
+  if (typeof self !== "undefined") {
+    self.GraphQLTransport = GraphQLTransport;
+  } else if (typeof window !== "undefined") {
+    window.GraphQLTransport = GraphQLTransport;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = GraphQLTransport;
+  }
+})();
@@ -8,8 +8,9 @@
   "use strict";
 
   const CONFIG = {
-    apiBaseUrl: "https://api.monday.com/v2",
-    apiVersion: "2025-10",
+    updatesPageSize: 10,
+    subitemUpdatesLimit: 25,
+    mentionUsersLimit: 100,
   };
 
   // Dependencies (loaded before this script)
@@ -18,166 +19,500 @@
     return {
       GraphQLQueries: global.GraphQLQueries,
       ResponseParser: global.ResponseParser,
-      RateLimiter: global.RateLimiter,
-      CacheManager: global.CacheManager,
+      RichTextParser: global.RichTextParser,
+      GraphQLTransport: global.GraphQLTransport,
+      ErrorHandler: global.ErrorHandler,
     };
   };
 
+  // Helper: Error for an item or board the API didn't return
+  function notFoundError(message) {
+    const { ErrorHandler } = getDependencies();
+    return ErrorHandler.createTypedError(
+      ErrorHandler.ERROR_CODES.TASK_NOT_FOUND,
+      message
+    );
+  }
+
+  // Helper: Error for a response without the data asked for, or a request
+  // that can't be made. Not retried: a mutation may have been applied anyway
+  function requestFailedError(message) {
+    const { ErrorHandler } = getDependencies();
+    return ErrorHandler.createTypedError(
+      ErrorHandler.ERROR_CODES.UNKNOWN_ERROR,
+      message,
+      { retryable: false }
+    );
+  }
+
+  /**
+   * Execute a named operation (see GraphQLQueries) and return its data
+   * Every request goes through here, so all of them share the variable
+   * checks and GraphQLTransport's retries and error mapping
+   * @param {string} operationName - Operation name
+   * @param {Object} variables - Operation variables
+   * @param {string} apiKey - Monday.com API key
+   * @returns {Promise<Object>} The `data` object of the response
+   * @throws {Error} Typed error with `code` from ERROR_CODES
+   */
+  async function execute(operationName, variables, apiKey) {
+    const deps = getDependencies();
+    const request = deps.GraphQLQueries.buildRequest(operationName, variables);
+    return deps.GraphQLTransport.send(request, apiKey);
+  }
+
+  /**
+   * Execute an item operation and return the first item in the response
+   * @param {string} operationName - Operation name
+   * @param {Object} variables - Operation variables
+   * @param {string} apiKey - Monday.com API key
+   * @returns {Promise<Object>} Raw item from the response
+   */
+  async function requestItem(operationName, variables, apiKey) {
+    const data = await execute(operationName, variables, apiKey);
+
+    // Validate response structure
+    if (!data.items || data.items.length === 0) {
+      throw notFoundError("Task not found or you don't have access to it.");
+    }
+
+    return data.items[0];
+  }
+
+  // Utility: Escape text for use inside an update body
+  function escapeBodyText(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Convert plain text typed in the tooltip into an update body
+   * @param {string} text - Plain text
+   * @param {Array<Object>} mentions - Mentioned users ({ id, name })
+   * @returns {string} HTML body
+   */
+  function textToUpdateBody(text, mentions = []) {
+    let html = escapeBodyText(text);
+
+    // Turn "@Name" into Monday mention links in a single pass, longest
+    // names first so "@Ann Lee" wins over "@Ann"
+    const byToken = new Map(
+      mentions.map((m) => [`@${escapeBodyText(m.name)}`, m.id])
+    );
+    if (byToken.size > 0) {
+      const pattern = new RegExp(
+        [...byToken.keys()]
+          .sort((a, b) => b.length - a.length)
+          .map((token) => token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+          .join("|"),
+        "g"
+      );
+      html = html.replace(
+        pattern,
+        (token) =>
+          `<a class="user_mention_editor router" data-mention-type="User" data-mention-id="${escapeBodyText(
+            byToken.get(token)
+          )}">${token}</a>`
+      );
+    }
+
+    return `<p>${html.replace(/\r?\n/g, "<br>")}</p>`;
+  }
+
+  /**
+   * Format a raw user for mention autocomplete
+   * @param {Object} user - User from the API
+   * @returns {Object} Formatted user
+   */
+  function formatUser(user) {
+    return {
+      id: String(user.id),
+      name: user.name || "Unknown",
+      photo: user.photo_thumb || null,
+    };
+  }
+
+  /**
+   * Format a raw update into the note shape used by the tooltip
+   * @param {Object} update - Update from the API
+   * @returns {Object} Formatted note
+   */
+  function formatNote(update) {
+    const deps = getDependencies();
+    return {
+      id: update.id,
+      content: deps.ResponseParser.parseHtmlContent(update.body || ""),
+      richContent: deps.RichTextParser
+        ? deps.RichTextParser.parse(update.body || "")
+        : null,
+      author: update.creator?.name || "Unknown",
+      authorPhoto: update.creator?.photo_thumb || null,
+      createdAt: update.created_at,
+      createdAtRelative: deps.ResponseParser.formatRelativeTime(
+        update.created_at
+      ),
+      replies: (update.replies || []).map(formatReply),
+    };
+  }
+
+  /**
+   * Format a raw reply into the shape rendered under its parent note
+   * @param {Object} reply - Reply from the API
+   * @returns {Object} Formatted reply
+   */
+  function formatReply(reply) {
+    const deps = getDependencies();
+    return {
+      id: reply.id,
+      content: deps.ResponseParser.parseHtmlContent(reply.body || ""),
+      richContent: deps.RichTextParser
+        ? deps.RichTextParser.parse(reply.body || "")
+        : null,
+      author: reply.creator?.name || "Unknown",
+      authorPhoto: reply.creator?.photo_thumb || null,
+      createdAt: reply.created_at,
+      createdAtRelative: deps.ResponseParser.formatRelativeTime(
+        reply.created_at
+      ),
+    };
+  }
+
+  /**
+   * Format a raw board update for the board search index
+   * @param {Object} update - Update from the board's updates
+   * @returns {Object} { id, itemId, author, content, replies, createdAt,
+   *   updatedAt }
+   */
+  function formatBoardUpdate(update) {
+    const deps = getDependencies();
+    return {
+      id: String(update.id),
+      itemId: String(update.item_id),
+      author: update.creator?.name || "Unknown",
+      content: deps.ResponseParser.parseHtmlContent(update.body || ""),
+      replies: (update.replies || []).map((reply) => ({
+        author: reply.creator?.name || "Unknown",
+        content: deps.ResponseParser.parseHtmlContent(reply.body || ""),
+      })),
+      createdAt: update.created_at,
+      updatedAt: update.updated_at || update.created_at,
+    };
+  }
+
+  /**
+   * Format a raw column value for the tooltip summary strip
+   * @param {Object} col - Column value from the API
+   * @returns {Object} Formatted column value
+   */
+  function formatColumnValue(col) {
+    const formatted = {
+      id: col.id,
+      type: col.type || "",
+      text: col.text || "",
+      title: col.column?.title || col.id,
+      color: col.label_style?.color || null,
+      date: col.date || null,
+      from: col.from || null,
+      to: col.to || null,
+    };
+
+    // Extra data needed to edit status and people columns in place
+    if (col.type === "status") {
+      formatted.index = Number.isInteger(col.index) ? col.index : null;
+      formatted.labels = parseStatusLabels(col.column?.settings_str);
+    } else if (col.type === "people") {
+      formatted.personIds = (col.persons_and_teams || [])
+        .filter((entry) => entry.kind === "person")
+        .map((entry) => String(entry.id));
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Parse the label options out of a status column's settings
+   * @param {string} settingsStr - Column settings JSON string
+   * @returns {Array<Object>} Labels ({ index, label, color })
+   */
+  function parseStatusLabels(settingsStr) {
+    if (!settingsStr) return [];
+
+    try {
+      const settings = JSON.parse(settingsStr);
+      const colors = settings.labels_colors || {};
+      return Object.entries(settings.labels || {})
+        .filter(([, label]) => typeof label === "string" && label.trim())
+        .map(([index, label]) => ({
+          index: parseInt(index, 10),
+          label: label,
+          color: colors[index]?.color || null,
+        }))
+        .sort((a, b) => a.index - b.index);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Format a raw subitem for the tooltip subitems section
+   * @param {Object} subitem - Subitem from the API
+   * @returns {Object} Formatted subitem
+   */
+  function formatSubitem(subitem) {
+    const columns = subitem.column_values || [];
+    const status = columns.find((col) => col.type === "status" && col.text);
+    const owner = columns.find((col) => col.type === "people" && col.text);
+    const updateCount = (subitem.updates || []).length;
+
+    return {
+      id: subitem.id,
+      name: subitem.name || "Untitled Subitem",
+      status: status
+        ? { text: status.text, color: status.label_style?.color || null }
+        : null,
+      owner: owner ? owner.text : null,
+      updateCount: updateCount,
+      hasMoreUpdates: updateCount >= CONFIG.subitemUpdatesLimit,
+    };
+  }
+
+  /**
+   * Format a raw item into the notes data shape cached and rendered
+   * @param {Object} item - Item from the API
+   * @returns {Object} Formatted notes data
+   */
+  function formatItemNotes(item) {
+    const updates = item.updates || [];
+
+    // Format the response with HTML parsing and relative timestamps
+    return {
+      taskId: item.id,
+      taskName: item.name || "Untitled Task",
+      boardId: item.board?.id || null,
+      notes: updates.map(formatNote),
+      columnValues: (item.column_values || []).map(formatColumnValue),
+      subitems: (item.subitems || []).map(formatSubitem),
+      page: 1,
+      hasMore: updates.length >= CONFIG.updatesPageSize,
+    };
+  }
+
   const MondayAPI = {
+    execute,
+
     /**
-     * Fetch task notes from Monday.com API
+     * Fetch task notes from Monday.com API (first page of updates)
      * @param {string} taskId - Task/Item ID
      * @param {string} apiKey - Monday.com API key
      * @returns {Promise<Object>} Formatted notes data
      */
     async fetchTaskNotes(taskId, apiKey) {
-      const deps = getDependencies();
-      const query = deps.GraphQLQueries.buildFetchNotesQuery(taskId);
-
-      try {
-        // Check rate limit
-        if (deps.RateLimiter) {
-          await deps.RateLimiter.checkRateLimit();
-        }
-
-        // Clean API key and use credentials: 'omit' to prevent cookie conflicts
-        const cleanApiKey = apiKey.trim();
-        const response = await fetch(CONFIG.apiBaseUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "*/*",
-            Authorization: cleanApiKey,
-          },
-          body: JSON.stringify({ query }),
-          credentials: "omit",
-        });
-
-        // Handle HTTP errors
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(
-            "MondayAPI: API HTTP error",
-            response.status,
-            errorText
-          );
-
-          if (response.status === 401) {
-            throw new Error(
-              "Invalid API key. Please check your API key in settings."
-            );
-          } else if (response.status === 403) {
-            throw new Error(
-              "Access forbidden. Your API key may not have permission to access this task."
-            );
-          } else if (response.status === 429) {
-            // Handle rate limiting
-            if (deps.RateLimiter) {
-              deps.RateLimiter.handleRateLimit();
-            }
-            throw new Error(
-              "Rate limit exceeded. Please wait a moment and try again."
-            );
-          } else if (response.status === 404) {
-            throw new Error("Task not found. The task ID may be incorrect.");
-          } else {
-            throw new Error(
-              `API request failed: ${response.status} ${response.statusText}`
-            );
-          }
-        }
-
-        const data = await response.json();
-
-        // Handle GraphQL errors
-        if (data.errors && data.errors.length > 0) {
-          const error = data.errors[0];
-          console.error("MondayAPI: GraphQL error", error);
-
-          if (
-            error.message?.includes("Invalid token") ||
-            error.message?.includes("Unauthorized")
-          ) {
-            throw new Error(
-              "Invalid API key. Please check your API key in settings."
-            );
-          } else if (error.message?.includes("Rate limit")) {
-            if (deps.RateLimiter) {
-              deps.RateLimiter.handleRateLimit();
-            }
-            throw new Error(
-              "Rate limit exceeded. Please wait a moment and try again."
-            );
-          } else if (
-            error.message?.includes("not found") ||
-            error.message?.includes("does not exist")
-          ) {
-            throw new Error("Task not found. The task ID may be incorrect.");
-          } else {
-            throw new Error(error.message || "GraphQL error occurred");
-          }
-        }
-
-        // Validate response structure
-        if (!data.data || !data.data.items || data.data.items.length === 0) {
-          throw new Error("Task not found or you don't have access to it.");
-        }
-
-        const item = data.data.items[0];
-
-        // Format the response with HTML parsing and relative timestamps
-        const formattedData = {
-          taskId: item.id,
-          taskName: item.name || "Untitled Task",
-          notes: (item.updates || []).map((update) => ({
-            id: update.id,
-            content: deps.ResponseParser.parseHtmlContent(update.body || ""),
-            author: update.creator?.name || "Unknown",
-            authorPhoto: update.creator?.photo_thumb || null,
-            createdAt: update.created_at,
-            createdAtRelative: deps.ResponseParser.formatRelativeTime(
-              update.created_at
-            ),
-          })),
-          columnValues: (item.column_values || []).map((col) => ({
-            id: col.id,
-            type: col.type || "",
-            text: col.text || "",
-          })),
-        };
-
-        // Reset rate limit backoff on success
-        if (deps.RateLimiter) {
-          deps.RateLimiter.resetBackoff();
-        }
-
-        return formattedData;
-      } catch (error) {
-        // Re-throw if it's already a formatted error
-        if (
-          (error.message && error.message.startsWith("Invalid")) ||
-          error.message.startsWith("Rate limit") ||
-          error.message.startsWith("Task not found") ||
-          error.message.startsWith("Access forbidden")
-        ) {
-          throw error;
-        }
-
-        // Handle network errors
-        if (error.name === "TypeError" && error.message.includes("fetch")) {
-          throw new Error(
-            "Network error. Please check your internet connection."
-          );
-        }
-
-        // Handle JSON parse errors
-        if (error instanceof SyntaxError) {
-          throw new Error("Invalid response from API. Please try again.");
-        }
-
-        // Generic error
-        throw new Error(error.message || "An unexpected error occurred");
+      const item = await requestItem(
+        "itemNotes",
+        {
+          itemId: taskId,
+          updatesLimit: CONFIG.updatesPageSize,
+          page: 1,
+          subitemUpdatesLimit: CONFIG.subitemUpdatesLimit,
+        },
+        apiKey
+      );
+      return formatItemNotes(item);
+    },
+
+    /**
+     * Fetch the first page of notes for several items in one request
+     * @param {Array<string>} taskIds - Task/Item IDs
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Array<Object>>} Formatted notes data per item found
+     */
+    async fetchTaskNotesBatch(taskIds, apiKey) {
+      const data = await execute(
+        "itemNotesBatch",
+        {
+          itemIds: taskIds,
+          itemsLimit: taskIds.length,
+          updatesLimit: CONFIG.updatesPageSize,
+          page: 1,
+          subitemUpdatesLimit: CONFIG.subitemUpdatesLimit,
+        },
+        apiKey
+      );
+      return (data.items || []).map(formatItemNotes);
+    },
+
+    /**
+     * Fetch a page of older updates for a task
+     * @param {string} taskId - Task/Item ID
+     * @param {number} page - Page number to fetch (1-based)
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Object>} Page data with notes and hasMore flag
+     */
+    async fetchNotesPage(taskId, page, apiKey) {
+      const item = await requestItem(
+        "itemNotesPage",
+        { itemId: taskId, updatesLimit: CONFIG.updatesPageSize, page },
+        apiKey
+      );
+      const updates = item.updates || [];
+
+      return {
+        taskId: item.id,
+        notes: updates.map(formatNote),
+        page: page,
+        hasMore: updates.length >= CONFIG.updatesPageSize,
+      };
+    },
+
+    /**
+     * Fetch several pages of a board's updates in one request
+     * @param {string} boardId - Board ID
+     * @param {Array<number>} pages - Pages to fetch (1-based)
+     * @param {number} limit - Number of updates per page
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Array<Array<Object>>>} Formatted updates per page, in
+     *   the order of `pages`
+     */
+    async fetchBoardUpdates(boardId, pages, limit, apiKey) {
+      const data = await execute(
+        "boardUpdates",
+        { boardId, limit, pages },
+        apiKey
+      );
+
+      const board = data.boards?.[0];
+      if (!board) {
+        throw notFoundError("Board not found or you don't have access to it.");
+      }
+
+      return pages.map((page, index) =>
+        (board[`page_${index}`] || []).map(formatBoardUpdate)
+      );
+    },
+
+    /**
+     * Fetch the names of items
+     * @param {Array<string>} itemIds - Item IDs
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Array<Object>>} { id, name } per item found
+     */
+    async fetchItemNames(itemIds, apiKey) {
+      const data = await execute(
+        "itemNames",
+        { itemIds, itemsLimit: itemIds.length },
+        apiKey
+      );
+
+      return (data.items || []).map((item) => ({
+        id: String(item.id),
+        name: item.name || "Untitled Task",
+      }));
+    },
+
+    /**
+     * Post a reply to an update
+     * @param {string} taskId - Item ID the update belongs to
+     * @param {string} parentId - Update ID being replied to
+     * @param {string} text - Reply text (plain text)
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Object>} Formatted reply
+     */
+    async postReply(taskId, parentId, text, apiKey) {
+      const data = await execute(
+        "createUpdate",
+        { itemId: taskId, body: textToUpdateBody(text), parentId },
+        apiKey
+      );
+      if (!data.create_update) {
+        throw requestFailedError("Failed to post reply. Please try again.");
+      }
+
+      return formatReply(data.create_update);
+    },
+
+    /**
+     * Change a status or people column value on an item
+     * @param {string} boardId - Board ID
+     * @param {string} taskId - Item ID
+     * @param {string} columnId - Column ID
+     * @param {Object} value - Column value object for the mutation
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Object>} Formatted column value after the change
+     */
+    async changeColumnValue(boardId, taskId, columnId, value, apiKey) {
+      // The value argument is the column value serialized as a JSON string
+      const data = await execute(
+        "changeColumnValue",
+        { boardId, itemId: taskId, columnId, value: JSON.stringify(value) },
+        apiKey
+      );
+      const column = data.change_column_value?.column_values?.[0];
+      if (!column) {
+        throw requestFailedError("Failed to update column. Please try again.");
       }
+
+      return formatColumnValue(column);
+    },
+
+    /**
+     * Post a new top-level update to an item
+     * @param {string} taskId - Item ID
+     * @param {string} text - Update text (plain text with @Name mentions)
+     * @param {Array<Object>} mentions - Mentioned users ({ id, name })
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Object>} Formatted note
+     */
+    async postUpdate(taskId, text, mentions, apiKey) {
+      const data = await execute(
+        "createUpdate",
+        {
+          itemId: taskId,
+          body: textToUpdateBody(text, mentions),
+          mentions:
+            mentions.length > 0
+              ? mentions.map((m) => ({ id: m.id, type: "User" }))
+              : null,
+        },
+        apiKey
+      );
+      if (!data.create_update) {
+        throw requestFailedError("Failed to post update. Please try again.");
+      }
+
+      return formatNote(data.create_update);
+    },
+
+    /**
+     * Fetch users that can be @mentioned on an item's board
+     * Falls back to account users when the board has no subscribers
+     * @param {string} taskId - Item ID
+     * @param {string} apiKey - Monday.com API key
+     * @returns {Promise<Object>} { boardId, users }
+     */
+    async fetchMentionCandidates(taskId, apiKey) {
+      const item = await requestItem(
+        "boardSubscribers",
+        { itemId: taskId },
+        apiKey
+      );
+
+      let users = item.board?.subscribers || [];
+      if (users.length === 0) {
+        const data = await execute(
+          "users",
+          { limit: CONFIG.mentionUsersLimit },
+          apiKey
+        );
+        users = data.users || [];
+      }
+
+      return {
+        boardId: item.board?.id || null,
+        users: users.map(formatUser),
+      };
     },
 
     /**
@@ -186,134 +521,44 @@
      * @returns {Promise<Object>} Validation result with user info
      */
     async validateApiKey(apiKey) {
-      const deps = getDependencies();
-      const query = deps.GraphQLQueries.buildMeQuery();
-      const cleanKey = apiKey.trim();
-
-      try {
-        const response = await fetch(CONFIG.apiBaseUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: cleanKey,
-          },
-          body: JSON.stringify({ query }),
-          credentials: "omit",
-        });
-
-        if (!response.ok) {
-          if (response.status === 401) {
-            throw new Error("Invalid API key. Please check your API key.");
-          } else if (response.status === 403) {
-            throw new Error(
-              "Access forbidden. Your Monday.com account may not have API access, or the token is invalid."
-            );
-          } else {
-            throw new Error(
-              `API request failed: ${response.status} ${response.statusText}`
-            );
-          }
-        }
-
-        const data = await response.json();
-
-        if (data.errors && data.errors.length > 0) {
-          throw new Error(data.errors[0].message || "Invalid API key");
-        }
-
-        const user = data.data?.me;
-        if (user) {
-          return {
-            valid: true,
-            user: {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-            },
-          };
-        } else {
-          throw new Error("Unexpected response from API");
-        }
-      } catch (error) {
-        throw new Error(error.message || "Failed to validate API key");
+      const data = await execute("me", {}, apiKey);
+
+      const user = data.me;
+      if (!user) {
+        throw requestFailedError("Unexpected response from API");
       }
+
+      return {
+        valid: true,
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+        },
+      };
     },
 
     /**
      * Fetch content from Monday.com API (generic method)
      * @param {string} itemId - Item ID
-     * @param {string} type - Content type (note/comment)
-     * @param {string} updateId - Update ID (for comments)
+     * @param {string} type - Content type (note/comment/update)
+     * @param {string} updateId - Update ID (for comments and updates)
      * @param {string} apiKey - Monday.com API key
      * @returns {Promise<string>} Content promise
      */
     async fetchContent(itemId, type, updateId, apiKey) {
       const deps = getDependencies();
-      const query = deps.GraphQLQueries.buildGraphQLQuery(
-        itemId,
-        type,
-        updateId
-      );
 
-      try {
-        const cleanApiKey = apiKey.trim();
-        const response = await fetch(CONFIG.apiBaseUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "*/*",
-            Authorization: cleanApiKey,
-          },
-          body: JSON.stringify({ query }),
-          credentials: "omit",
-        });
-
-        // Handle HTTP errors
-        if (!response.ok) {
-          if (response.status === 401) {
-            throw new Error("Invalid API key");
-          } else if (response.status === 403) {
-            throw new Error("Access forbidden");
-          } else if (response.status === 429) {
-            throw new Error("Rate limit exceeded");
-          } else if (response.status === 404) {
-            throw new Error("Task not found");
-          }
-          throw new Error(`API request failed: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-
-        // Handle GraphQL errors
-        if (data.errors) {
-          const error = data.errors[0];
-          if (
-            error.message?.includes("Invalid token") ||
-            error.message?.includes("Unauthorized")
-          ) {
-            throw new Error("Invalid API key");
-          } else if (error.message?.includes("Rate limit")) {
-            throw new Error("Rate limit exceeded");
-          } else if (error.message?.includes("not found")) {
-            throw new Error("Task not found");
-          }
-          throw new Error(error.message || "API error");
-        }
-
-        return deps.ResponseParser.extractContentFromResponse(data, type);
-      } catch (error) {
-        // Re-throw formatted errors
-        if (error.message) {
-          throw error;
-        }
-        // Handle network errors
-        if (error.name === "TypeError" && error.message.includes("fetch")) {
-          throw new Error(
-            "Network error. Please check your internet connection."
-          );
-        }
-        throw new Error(error.message || "An unexpected error occurred");
+      let data;
+      if (type === "comment" || type === "update") {
+        data = await execute("updateContent", { itemId, updateId }, apiKey);
+      } else if (type === "note" || !type) {
+        data = await execute("itemContent", { itemId }, apiKey);
+      } else {
+        throw requestFailedError(`Unsupported content type: ${type}`);
       }
+
+      return deps.ResponseParser.extractContentFromResponse({ data }, type);
     },
   };
 
@@ -1,7 +1,10 @@
 /**
  * Rate Limiter for Monday.com API Calls
  *
- * Prevents exceeding API rate limits with exponential backoff
+ * Prevents exceeding API rate limits with exponential backoff. Monday.com
+ * enforces a per-minute complexity budget, reported with every response
+ * (see MondayAPI), so requests are deferred until the budget resets when
+ * it runs low.
  */
 
 (function () {
@@ -12,11 +15,55 @@
     backoffBaseDelay: 1000,
     backoffMaxDelay: 60000,
     rateLimitDelay: 1000,
+    prefetchRequestsPerMinute: 10,
+    prefetchReserve: 20, // Requests kept free for hovers and edits
+    complexityReserve: 50000, // Budget kept free before deferring requests
+    maxDeferDelay: 15000, // Longest we defer a request waiting for a reset
+    prefetchMinBudgetRatio: 0.5, // Prefetch only while half the budget is left
   };
 
+  // Complexity budget as last reported by the API
+  const complexityTracker = {
+    remaining: null, // Budget left after the last query (null = unknown)
+    limit: null, // Largest budget seen (the per-minute allowance)
+    lastQueryCost: 0, // Cost of the last query, used as an estimate
+    resetAt: null, // Timestamp when the budget resets
+    deferredRequests: 0, // Requests currently waiting for a reset
+  };
+
+  // Helper: Forget the budget once its reset time has passed
+  function refreshComplexityBudget(now) {
+    if (complexityTracker.resetAt && now >= complexityTracker.resetAt) {
+      complexityTracker.remaining = null;
+      complexityTracker.resetAt = null;
+    }
+  }
+
+  // ErrorHandler (loaded before this script)
+  const getErrorHandler = () =>
+    (typeof self !== "undefined" ? self : window).ErrorHandler;
+
+  /**
+   * Create a RATE_LIMITED error for a request that has to wait
+   * Waits longer than we'd defer a request are marked non-retryable
+   * @param {number} waitTime - Time until a request may be sent (ms)
+   * @returns {Error} Typed error carrying retryAfter (ms)
+   */
+  function createRateLimitError(waitTime) {
+    const ErrorHandler = getErrorHandler();
+    return ErrorHandler.createTypedError(
+      ErrorHandler.ERROR_CODES.RATE_LIMITED,
+      `Rate limit exceeded. Please wait ${Math.ceil(
+        waitTime / 1000
+      )} seconds before trying again.`,
+      { retryAfter: waitTime, retryable: waitTime <= CONFIG.maxDeferDelay }
+    );
+  }
+
   // Rate limiting tracking
   const rateLimitTracker = {
     requests: [], // Array of timestamps
+    prefetchRequests: [], // Timestamps of prefetch requests
     backoffUntil: null, // Timestamp when we can retry after rate limit
     backoffAttempts: 0, // Number of consecutive rate limit hits
   };
@@ -25,7 +72,8 @@
     /**
      * Check rate limiting before making API call
      * @returns {Promise<void>}
-     * @throws {Error} If rate limit exceeded
+     * @throws {Error} RATE_LIMITED error with retryAfter (ms) if the rate
+     *   limit is exceeded
      */
     async checkRateLimit() {
       const now = Date.now();
@@ -35,12 +83,7 @@
         rateLimitTracker.backoffUntil &&
         now < rateLimitTracker.backoffUntil
       ) {
-        const waitTime = rateLimitTracker.backoffUntil - now;
-        throw new Error(
-          `Rate limit exceeded. Please wait ${Math.ceil(
-            waitTime / 1000
-          )} seconds before trying again.`
-        );
+        throw createRateLimitError(rateLimitTracker.backoffUntil - now);
       }
 
       // Clear old requests (older than 1 minute)
@@ -49,7 +92,35 @@
         (timestamp) => timestamp > oneMinuteAgo
       );
 
-      // Check if we're approaching rate limit
+      // Defer while the complexity budget is too low for another query
+      refreshComplexityBudget(now);
+      if (complexityTracker.remaining !== null) {
+        const needed = Math.max(
+          CONFIG.complexityReserve,
+          complexityTracker.lastQueryCost
+        );
+        if (complexityTracker.remaining < needed) {
+          const waitTime = complexityTracker.resetAt - now;
+          if (waitTime > CONFIG.maxDeferDelay) {
+            throw createRateLimitError(waitTime);
+          }
+
+          complexityTracker.deferredRequests++;
+          try {
+            await new Promise((resolve) => setTimeout(resolve, waitTime));
+          } finally {
+            complexityTracker.deferredRequests--;
+          }
+          refreshComplexityBudget(Date.now());
+        }
+
+        // Reserve an estimate until the response reports the real cost
+        if (complexityTracker.remaining !== null) {
+          complexityTracker.remaining -= complexityTracker.lastQueryCost;
+        }
+      }
+
+      // Check if we're approaching the request count limit
       if (rateLimitTracker.requests.length >= CONFIG.maxRequestsPerMinute) {
         // Wait a bit before allowing next request
         await new Promise((resolve) =>
@@ -61,6 +132,106 @@
       rateLimitTracker.requests.push(now);
     },
 
+    /**
+     * Reserve a slot for a background prefetch request
+     * Never waits: prefetching is skipped instead when the budget is spent,
+     * so it can't slow down requests the user is waiting on
+     * @returns {boolean} True if the prefetch may run
+     */
+    tryAcquirePrefetch() {
+      const now = Date.now();
+      if (
+        rateLimitTracker.backoffUntil &&
+        now < rateLimitTracker.backoffUntil
+      ) {
+        return false;
+      }
+
+      const oneMinuteAgo = now - 60 * 1000;
+      rateLimitTracker.prefetchRequests =
+        rateLimitTracker.prefetchRequests.filter(
+          (timestamp) => timestamp > oneMinuteAgo
+        );
+      const recentRequests = rateLimitTracker.requests.filter(
+        (timestamp) => timestamp > oneMinuteAgo
+      ).length;
+
+      // Leave most of the complexity budget for requests users wait on
+      refreshComplexityBudget(now);
+      if (
+        complexityTracker.remaining !== null &&
+        complexityTracker.limit &&
+        complexityTracker.remaining <
+          complexityTracker.limit * CONFIG.prefetchMinBudgetRatio
+      ) {
+        return false;
+      }
+
+      if (
+        rateLimitTracker.prefetchRequests.length >=
+          CONFIG.prefetchRequestsPerMinute ||
+        recentRequests >= CONFIG.maxRequestsPerMinute - CONFIG.prefetchReserve
+      ) {
+        return false;
+      }
+
+      // The request itself is recorded by checkRateLimit
+      rateLimitTracker.prefetchRequests.push(now);
+      return true;
+    },
+
+    /**
+     * Set how many prefetch requests may run per minute
+     * @param {number} budget - Requests per minute (0 disables prefetching)
+     */
+    setPrefetchBudget(budget) {
+      const value = parseInt(budget, 10);
+      if (Number.isInteger(value) && value >= 0) {
+        CONFIG.prefetchRequestsPerMinute = Math.min(
+          value,
+          CONFIG.maxRequestsPerMinute - CONFIG.prefetchReserve
+        );
+      }
+    },
+
+    /**
+     * Set how many requests may run per minute
+     * @param {number} limit - Requests per minute (at least the prefetch reserve)
+     */
+    setMaxRequestsPerMinute(limit) {
+      const value = parseInt(limit, 10);
+      if (Number.isInteger(value) && value > CONFIG.prefetchReserve) {
+        CONFIG.maxRequestsPerMinute = value;
+      }
+    },
+
+    /**
+     * Record the complexity block returned with a query
+     * @param {Object} complexity - { before, after, reset_in_x_seconds, query }
+     */
+    recordComplexity(complexity) {
+      if (!complexity || typeof complexity.after !== "number") return;
+
+      complexityTracker.remaining = complexity.after;
+      complexityTracker.limit = Math.max(
+        complexityTracker.limit || 0,
+        complexity.before || 0
+      );
+      complexityTracker.lastQueryCost = complexity.query || 0;
+      complexityTracker.resetAt =
+        Date.now() + (complexity.reset_in_x_seconds || 60) * 1000;
+    },
+
+    /**
+     * Handle a "complexity budget exhausted" error from the API
+     * @param {number} retryInSeconds - Seconds until the budget resets
+     */
+    handleComplexityExhausted(retryInSeconds) {
+      const seconds = retryInSeconds > 0 ? retryInSeconds : 60;
+      complexityTracker.remaining = 0;
+      complexityTracker.resetAt = Date.now() + seconds * 1000;
+    },
+
     /**
      * Handle rate limit error with exponential backoff
      */
@@ -90,15 +261,35 @@
      * @returns {Object} Status information
      */
     getStatus() {
+      refreshComplexityBudget(Date.now());
       return {
+        complexity: {
+          remaining: complexityTracker.remaining,
+          limit: complexityTracker.limit,
+          lastQueryCost: complexityTracker.lastQueryCost,
+          resetAt: complexityTracker.resetAt,
+          deferredRequests: complexityTracker.deferredRequests,
+        },
         requestsInLastMinute: rateLimitTracker.requests.length,
         maxRequests: CONFIG.maxRequestsPerMinute,
         backoffUntil: rateLimitTracker.backoffUntil,
         backoffAttempts: rateLimitTracker.backoffAttempts,
+        prefetchRequestsInLastMinute: rateLimitTracker.prefetchRequests.length,
+        prefetchBudget: CONFIG.prefetchRequestsPerMinute,
       };
     },
   };
 
+  // Follow the limits set in the popup (Settings is loaded before this script)
+  const getSettings = () =>
+    (typeof self !== "undefined" ? self : window).Settings;
+  if (getSettings()) {
+    getSettings().subscribe((settings) => {
+      RateLimiter.setMaxRequestsPerMinute(settings.maxRequestsPerMinute);
+      RateLimiter.setPrefetchBudget(settings.prefetchBudget);
+    });
+  }
+
   // Export globally (service worker context)
   if (typeof self !== "undefined") {
     self.RateLimiter = RateLimiter;
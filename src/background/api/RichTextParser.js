@@ -0,0 +1,478 @@
+/**
+ * Rich Text Parser for Monday.com Update Bodies
+ *
+ * Converts update HTML into a sanitized node tree using an allow-list.
+ * Runs in the service worker (no DOM), so parsing is done with a small
+ * tokenizer instead of DOMParser. The output is plain JSON so it can be
+ * cached and sent to the content script, where TooltipRenderer turns it
+ * back into HTML.
+ *
+ * Node shapes:
+ * - { text: "..." }
+ * - { tag: "strong", attrs: {}, children: [...] }
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    maxDepth: 24,
+    maxNodes: 2000,
+  };
+
+  // Tags we keep. Anything not listed is unwrapped (children kept).
+  const ALLOWED_TAGS = new Set([
+    "p",
+    "br",
+    "hr",
+    "strong",
+    "em",
+    "u",
+    "s",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "checkbox",
+  ]);
+
+  // Tags mapped to their canonical equivalent
+  const TAG_ALIASES = {
+    b: "strong",
+    i: "em",
+    strike: "s",
+    del: "s",
+    div: "p",
+    h5: "h4",
+    h6: "h4",
+    tt: "code",
+  };
+
+  // Tags dropped together with everything inside them
+  const DROPPED_TAGS = new Set([
+    "script",
+    "style",
+    "iframe",
+    "object",
+    "embed",
+    "noscript",
+    "template",
+    "svg",
+    "math",
+    "head",
+    "title",
+    "textarea",
+    "select",
+    "button",
+    "form",
+  ]);
+
+  const VOID_TAGS = new Set(["br", "hr", "img", "input", "checkbox"]);
+
+  // Opening one of these closes an unclosed sibling of the same kind
+  const SELF_CLOSING_SIBLINGS = {
+    li: ["li"],
+    p: ["p"],
+    tr: ["tr", "td", "th"],
+    td: ["td", "th"],
+    th: ["td", "th"],
+  };
+
+  // Containers where whitespace-only text carries no meaning
+  const STRUCTURAL_TAGS = new Set([
+    "ul",
+    "ol",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+  ]);
+
+  const TOKEN_REGEX =
+    /<!--[\s\S]*?-->|<\/?([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  const ATTR_REGEX =
+    /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  /**
+   * Decode HTML entities in a text fragment
+   * @param {string} text - Raw text
+   * @returns {string} Decoded text
+   */
+  function decodeEntities(text) {
+    return text
+      .replace(/&nbsp;/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, dec) => safeFromCodePoint(dec, 10))
+      .replace(/&#x([a-f\d]+);/gi, (match, hex) => safeFromCodePoint(hex, 16))
+      .replace(/&amp;/g, "&");
+  }
+
+  function safeFromCodePoint(value, radix) {
+    const codePoint = parseInt(value, radix);
+    if (!Number.isFinite(codePoint) || codePoint < 0 || codePoint > 0x10ffff) {
+      return "";
+    }
+    return String.fromCodePoint(codePoint);
+  }
+
+  /**
+   * Parse a raw attribute string into a lowercase-keyed map
+   * @param {string} raw - Attribute section of a tag
+   * @returns {Object} Attribute map
+   */
+  function parseAttributes(raw) {
+    const attrs = {};
+    if (!raw) return attrs;
+
+    let match;
+    ATTR_REGEX.lastIndex = 0;
+    while ((match = ATTR_REGEX.exec(raw)) !== null) {
+      const name = match[1].toLowerCase();
+      const value = match[2] ?? match[3] ?? match[4] ?? "";
+      attrs[name] = decodeEntities(value);
+    }
+    return attrs;
+  }
+
+  /**
+   * Check if a URL is safe to render
+   * @param {string} url - URL to check
+   * @param {Array<string>} protocols - Allowed protocols
+   * @returns {boolean} True if the URL uses an allowed protocol
+   */
+  function isSafeUrl(url, protocols) {
+    if (!url || typeof url !== "string") return false;
+    // Strip control characters and whitespace browsers ignore in schemes
+    const normalized = url.replace(/[\u0000- ]/g, "").toLowerCase();
+    return protocols.some((protocol) => normalized.startsWith(protocol));
+  }
+
+  /**
+   * Detect checklist state on list items (Monday uses data-checked or classes)
+   * @param {Object} attrs - Raw attributes
+   * @returns {boolean|null} Checked state or null if not a checklist item
+   */
+  function getChecklistState(attrs) {
+    if (attrs["data-checked"] !== undefined) {
+      return attrs["data-checked"] === "true";
+    }
+    const className = attrs.class || "";
+    if (/\bchecklist\b|\bchecked\b|\bunchecked\b/.test(className)) {
+      return /\bchecked\b/.test(className) && !/\bunchecked\b/.test(className);
+    }
+    return null;
+  }
+
+  /**
+   * Keep only the attributes a tag is allowed to carry
+   * @param {string} tag - Canonical tag name
+   * @param {Object} attrs - Raw attributes
+   * @param {Object} parent - Parent node (for inherited checklist state)
+   * @returns {Object|null} Allowed attributes, or null to drop the element
+   */
+  function sanitizeAttributes(tag, attrs, parent) {
+    const clean = {};
+
+    switch (tag) {
+      case "a":
+        if (isSafeUrl(attrs.href, ["http://", "https://", "mailto:"])) {
+          clean.href = attrs.href.trim();
+        }
+        if (attrs.title) clean.title = attrs.title;
+        if (attrs["data-mention-id"]) clean.mention = true;
+        break;
+
+      case "img":
+        if (!isSafeUrl(attrs.src, ["https://", "http://"])) {
+          return null;
+        }
+        clean.src = attrs.src.trim();
+        if (attrs.alt) clean.alt = attrs.alt;
+        break;
+
+      case "td":
+      case "th":
+        ["colspan", "rowspan"].forEach((name) => {
+          if (/^\d{1,2}$/.test(attrs[name] || "")) {
+            clean[name] = attrs[name];
+          }
+        });
+        break;
+
+      case "li": {
+        // Items of a checklist without their own state count as unchecked
+        const checked = getChecklistState(attrs);
+        if (checked !== null) {
+          clean.checked = checked;
+        } else if (parent?.checklist) {
+          clean.checked = false;
+        }
+        break;
+      }
+
+      case "ul":
+      case "ol": {
+        const checked = getChecklistState(attrs);
+        if (checked !== null) clean.checklist = true;
+        break;
+      }
+
+      case "checkbox":
+        clean.checked = attrs.checked !== undefined;
+        break;
+
+      default:
+        break;
+    }
+
+    return clean;
+  }
+
+  /**
+   * Resolve a raw tag name to its canonical allowed name
+   * @param {string} rawTag - Tag name from the markup
+   * @param {Object} attrs - Raw attributes
+   * @returns {string|null} Canonical tag or null if it should be unwrapped
+   */
+  function resolveTag(rawTag, attrs) {
+    const lower = rawTag.toLowerCase();
+
+    if (lower === "input") {
+      return (attrs?.type || "").toLowerCase() === "checkbox"
+        ? "checkbox"
+        : null;
+    }
+
+    const tag = TAG_ALIASES[lower] || lower;
+    return ALLOWED_TAGS.has(tag) ? tag : null;
+  }
+
+  /**
+   * Collapse whitespace in a text node
+   * @param {string} text - Decoded text
+   * @param {boolean} preformatted - Inside <pre>
+   * @returns {string} Normalized text
+   */
+  function normalizeWhitespace(text, preformatted) {
+    return preformatted ? text : text.replace(/\s+/g, " ");
+  }
+
+  /**
+   * Remove leading/trailing whitespace-only text nodes and empty paragraphs
+   * @param {Array} children - Child nodes
+   * @returns {Array} Cleaned nodes
+   */
+  function trimChildren(children) {
+    const result = children.filter(
+      (node) =>
+        !(node.tag === "p" && node.children.length === 0) &&
+        !(node.text !== undefined && node.text === "")
+    );
+
+    while (result.length && result[0].text?.trim() === "") result.shift();
+    while (result.length && result[result.length - 1].text?.trim() === "") {
+      result.pop();
+    }
+
+    return result;
+  }
+
+  const RichTextParser = {
+    /**
+     * Parse update HTML into a sanitized node tree
+     * @param {string} html - HTML string from API
+     * @returns {Array<Object>} Sanitized nodes
+     */
+    parse(html) {
+      if (!html || typeof html !== "string") {
+        return [];
+      }
+
+      const root = { tag: "root", attrs: {}, children: [] };
+      const stack = [root];
+      let dropDepth = 0;
+      let droppedTag = null;
+      let nodeCount = 0;
+      let match;
+
+      const current = () => stack[stack.length - 1];
+      const insidePre = () => stack.some((node) => node.tag === "pre");
+
+      TOKEN_REGEX.lastIndex = 0;
+      while ((match = TOKEN_REGEX.exec(html)) !== null) {
+        const token = match[0];
+
+        if (nodeCount >= CONFIG.maxNodes) break;
+
+        // Comments
+        if (token.startsWith("<!--")) continue;
+
+        // Text (including a stray "<")
+        if (!match[1]) {
+          if (dropDepth > 0) continue;
+
+          const parent = current();
+          const text = normalizeWhitespace(decodeEntities(token), insidePre());
+          if (STRUCTURAL_TAGS.has(parent.tag) && text.trim() === "") continue;
+
+          const last = parent.children[parent.children.length - 1];
+          if (last && last.text !== undefined) {
+            last.text += text;
+          } else {
+            parent.children.push({ text: text });
+            nodeCount++;
+          }
+          continue;
+        }
+
+        const rawTag = match[1].toLowerCase();
+        const isClosing = token.startsWith("</");
+        const isSelfClosing = /\/\s*>$/.test(token);
+
+        // Skip everything inside dangerous containers
+        if (dropDepth > 0) {
+          if (rawTag === droppedTag) {
+            dropDepth += isClosing ? -1 : isSelfClosing ? 0 : 1;
+          }
+          continue;
+        }
+
+        if (DROPPED_TAGS.has(rawTag)) {
+          if (!isClosing && !isSelfClosing) {
+            dropDepth = 1;
+            droppedTag = rawTag;
+          }
+          continue;
+        }
+
+        const attrs = isClosing ? {} : parseAttributes(match[2]);
+        const tag = resolveTag(rawTag, attrs);
+
+        if (isClosing) {
+          if (!tag || VOID_TAGS.has(tag)) continue;
+
+          // Pop to the matching open element, ignore unmatched closers
+          for (let i = stack.length - 1; i > 0; i--) {
+            if (stack[i].tag === tag) {
+              stack.length = i;
+              break;
+            }
+          }
+          continue;
+        }
+
+        // Unknown tags are unwrapped: their text still flows into the parent
+        if (!tag) continue;
+
+        // Implicitly close an open sibling (<li>a<li>b)
+        const closes = SELF_CLOSING_SIBLINGS[tag];
+        if (closes && closes.includes(current().tag)) {
+          stack.pop();
+        }
+
+        const cleanAttrs = sanitizeAttributes(tag, attrs, current().attrs);
+        if (cleanAttrs === null) continue;
+
+        const node = { tag: tag, attrs: cleanAttrs, children: [] };
+        current().children.push(node);
+        nodeCount++;
+
+        if (
+          !VOID_TAGS.has(tag) &&
+          !isSelfClosing &&
+          stack.length < CONFIG.maxDepth
+        ) {
+          stack.push(node);
+        }
+      }
+
+      return this.clean(root.children);
+    },
+
+    /**
+     * Tidy a parsed tree: trim whitespace and drop empty wrappers
+     * @param {Array<Object>} nodes - Parsed nodes
+     * @returns {Array<Object>} Cleaned nodes
+     */
+    clean(nodes) {
+      const cleaned = nodes.map((node) => {
+        if (node.text !== undefined) return node;
+        const copy = { tag: node.tag, attrs: node.attrs, children: [] };
+        copy.children = trimChildren(this.clean(node.children));
+        // Internal marker only used while parsing
+        delete copy.attrs.checklist;
+        return copy;
+      });
+      return trimChildren(cleaned);
+    },
+
+    /**
+     * Extract plain text from a parsed tree (used for search and previews)
+     * @param {Array<Object>} nodes - Parsed nodes
+     * @returns {string} Plain text
+     */
+    toPlainText(nodes) {
+      if (!Array.isArray(nodes)) return "";
+      return nodes
+        .map((node) => {
+          if (node.text !== undefined) return node.text;
+          if (node.tag === "br") return "\n";
+          if (node.tag === "img") return node.attrs.alt || "";
+          const inner = this.toPlainText(node.children);
+          if (node.tag === "td" || node.tag === "th") return `${inner} `;
+          return /^(p|li|tr|h[1-4]|pre|blockquote|ul|ol|table)$/.test(node.tag)
+            ? `${inner}\n`
+            : inner;
+        })
+        .join("")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+    },
+
+    /**
+     * Check whether a parsed tree contains a tag (e.g. "a", "img")
+     * @param {Array<Object>} nodes - Parsed nodes
+     * @param {string} tag - Tag to look for
+     * @returns {boolean} True if found
+     */
+    contains(nodes, tag) {
+      if (!Array.isArray(nodes)) return false;
+      return nodes.some(
+        (node) =>
+          node.tag === tag ||
+          (node.children && this.contains(node.children, tag))
+      );
+    },
+
+    ALLOWED_TAGS,
+  };
+
+  // Export globally (service worker context)
+  if (typeof self !== "undefined") {
+    self.RichTextParser = RichTextParser;
+  } else if (typeof window !== "undefined") {
+    window.RichTextParser = RichTextParser;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = RichTextParser;
+  }
+})();
@@ -1,17 +1,27 @@
 /**
  * Cache Manager for Background Service Worker
  *
- * Manages API response caching with expiry and cache key generation
+ * Manages API response caching with expiry and cache key generation.
+ * Two tiers: an in-memory LRU in front of a persistent IndexedDB store, so
+ * cached notes survive MV3 service worker shutdowns.
  */
 
 (function () {
   "use strict";
 
+  const CONFIG = {
+    memoryMaxEntries: 50,
+    persistentMaxBytes: 5 * 1024 * 1024, // ~5MB of serialized content
+    evictionInterval: 60 * 1000, // Run persistent eviction at most once a minute
+    defaultExpiryMinutes: 5,
+    staleWindow: 24 * 60 * 60 * 1000, // Keep expired entries to serve while revalidating
+  };
+
   // Import LRU Cache (will be loaded before this script)
   const getLRUCache = () => {
     const global = typeof self !== "undefined" ? self : window;
     if (global && global.LRUCache) {
-      return global.LRUCache.create(50); // Max 50 entries
+      return global.LRUCache.create(CONFIG.memoryMaxEntries);
     }
     // Fallback if LRUCache not available
     console.warn("CacheManager: LRUCache not found, using fallback");
@@ -24,40 +34,196 @@
     };
   };
 
+  // Import Persistent Cache (will be loaded before this script)
+  const getPersistentCache = () => {
+    const global = typeof self !== "undefined" ? self : window;
+    if (global && global.PersistentCache) {
+      return global.PersistentCache.create({
+        dbName: "monday-quick-peek-cache",
+        storeName: "entries",
+        maxBytes: CONFIG.persistentMaxBytes,
+      });
+    }
+    return null;
+  };
+
   const apiCache = getLRUCache();
-  const CACHE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+  const persistentCache = getPersistentCache();
 
-  const CacheManager = {
-    /**
-     * Get cached API response
-     * @param {string} key - Cache key
-     * @returns {string|null} Cached content or null
-     */
-    get(key) {
-      const cached = apiCache.get(key);
-      if (!cached) return null;
+  // Per-entry TTL, from the user's cacheExpiry setting (minutes)
+  let cacheExpiry = CONFIG.defaultExpiryMinutes * 60 * 1000;
+  let lastEviction = 0;
 
+  const stats = {
+    memoryHits: 0,
+    persistentHits: 0,
+    staleHits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    persistentErrors: 0,
+  };
+
+  /**
+   * Apply the cacheExpiry setting (minutes) if it is valid
+   * @param {Object} settings - Stored settings
+   */
+  function applyExpirySetting(settings) {
+    const minutes = settings?.cacheExpiry;
+    if (typeof minutes === "number" && minutes >= 1 && minutes <= 1440) {
+      cacheExpiry = minutes * 60 * 1000;
+    }
+  }
+
+  // Keep the TTL in sync with the popup (Settings is loaded before this script)
+  const getSettings = () =>
+    (typeof self !== "undefined" ? self : window).Settings;
+  if (getSettings()) {
+    getSettings().subscribe(applyExpirySetting);
+  }
+
+  /**
+   * Check whether an entry is past the user's TTL
+   * Entries written before freshUntil existed count as stale
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry should be revalidated
+   */
+  function isStale(entry) {
+    return !entry.freshUntil || Date.now() > entry.freshUntil;
+  }
+
+  /**
+   * Run a persistent cache operation, counting (not throwing) failures
+   * Caching is best effort; a broken IndexedDB must not break requests
+   * @param {Function} operation - Receives the persistent cache
+   * @returns {Promise<*>} Operation result, or null on failure
+   */
+  async function withPersistentCache(operation) {
+    if (!persistentCache) return null;
+
+    try {
+      return await operation(persistentCache);
+    } catch (error) {
+      stats.persistentErrors++;
+      console.warn("CacheManager: Persistent cache error", error);
+      return null;
+    }
+  }
+
+  /**
+   * Evict expired and oldest persistent entries (throttled)
+   */
+  function scheduleEviction() {
+    const now = Date.now();
+    if (now - lastEviction < CONFIG.evictionInterval) return;
+
+    lastEviction = now;
+    withPersistentCache((cache) => cache.evict()).then((removed) => {
+      stats.evictions += removed || 0;
+    });
+  }
+
+  /**
+   * Find an entry in memory, then in the persistent store
+   * Persistent hits are promoted to memory with their original expiry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { content, freshUntil, expiry } or null
+   */
+  async function getEntry(key) {
+    const cached = apiCache.get(key);
+    if (cached) {
       // Double-check expiry
       if (cached.expiry && Date.now() > cached.expiry) {
         apiCache.delete(key);
-        return null;
+      } else {
+        stats.memoryHits++;
+        return cached;
       }
+    }
+
+    const stored = await withPersistentCache((cache) => cache.get(key));
+    if (stored) {
+      stats.persistentHits++;
+      apiCache.set(key, stored);
+      return stored;
+    }
 
-      return cached.content;
+    stats.misses++;
+    return null;
+  }
+
+  /**
+   * Write an entry to both tiers
+   * Entries are kept until `expiry` (end of the stale window); `freshUntil`
+   * is the user's TTL
+   * @param {string} key - Cache key
+   * @param {Object} entry - { content, freshUntil, expiry }
+   */
+  async function putEntry(key, entry) {
+    apiCache.set(key, entry);
+    stats.writes++;
+    await withPersistentCache((cache) => cache.set(key, entry));
+    scheduleEviction();
+  }
+
+  const CacheManager = {
+    /**
+     * Get cached API response, if it is still fresh
+     * @param {string} key - Cache key
+     * @returns {Promise<*|null>} Cached content or null
+     */
+    async get(key) {
+      const entry = await getEntry(key);
+      return entry && !isStale(entry) ? entry.content : null;
+    },
+
+    /**
+     * Get cached API response, including entries past their TTL
+     * Used for stale-while-revalidate: the caller serves stale content and
+     * refetches in the background
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { content, stale } or null
+     */
+    async getWithStatus(key) {
+      const entry = await getEntry(key);
+      if (!entry) return null;
+
+      const stale = isStale(entry);
+      if (stale) stats.staleHits++;
+      return { content: entry.content, stale: stale };
     },
 
     /**
      * Set cached API response
      * @param {string} key - Cache key
-     * @param {string} content - Content to cache
+     * @param {*} content - Content to cache
+     * @returns {Promise<void>}
      */
-    set(key, content) {
-      apiCache.set(key, {
+    async set(key, content) {
+      const freshUntil = Date.now() + cacheExpiry;
+      await putEntry(key, {
         content: content,
-        expiry: Date.now() + CACHE_EXPIRY,
+        freshUntil: freshUntil,
+        expiry: freshUntil + CONFIG.staleWindow,
       });
     },
 
+    /**
+     * Update a cached entry in place without extending its TTL
+     * @param {string} key - Cache key
+     * @param {Function} updater - Receives cached content, returns new content
+     * @returns {Promise<*>} Updated content or null if the entry is
+     *   missing/expired
+     */
+    async update(key, updater) {
+      const cached = await getEntry(key);
+      if (!cached) return null;
+
+      const content = updater(cached.content);
+      await putEntry(key, { ...cached, content: content });
+      return content;
+    },
+
     /**
      * Generate cache key from parameters
      * @param {string} type - Content type
@@ -70,19 +236,47 @@
     },
 
     /**
-     * Clear all cache entries
+     * Remove a single cache entry from both tiers
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
      */
-    clear() {
+    async delete(key) {
+      apiCache.delete(key);
+      await withPersistentCache((cache) => cache.delete(key));
+    },
+
+    /**
+     * Clear all cache entries from both tiers
+     * @returns {Promise<void>}
+     */
+    async clear() {
       apiCache.clear();
+      await withPersistentCache((cache) => cache.clear());
     },
 
     /**
-     * Get cache size
-     * @returns {number} Number of cached entries
+     * Get in-memory cache size
+     * @returns {number} Number of entries held in memory
      */
     size() {
       return apiCache.size();
     },
+
+    /**
+     * Get hit/miss statistics
+     * @returns {Promise<Object>} Statistics for both tiers
+     */
+    async getStats() {
+      const lookups = stats.memoryHits + stats.persistentHits + stats.misses;
+      return {
+        ...stats,
+        hitRate:
+          lookups > 0 ? (stats.memoryHits + stats.persistentHits) / lookups : 0,
+        memoryEntries: apiCache.size(),
+        persistentEntries: await withPersistentCache((cache) => cache.size()),
+        expiryMinutes: cacheExpiry / 60000,
+      };
+    },
   };
 
   // Export globally (service worker context)
@@ -0,0 +1,110 @@
+/**
+ * Offline Store for Background Service Worker
+ *
+ * Keeps a snapshot of the notes for recently peeked items in IndexedDB,
+ * separate from the API cache, so the last known notes can be shown when
+ * Monday.com can't be reached. Snapshots are kept for a week; the oldest are
+ * dropped once the store grows past its size limit.
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    maxBytes: 2 * 1024 * 1024, // ~2MB of serialized notes
+    maxAge: 7 * 24 * 60 * 60 * 1000, // Don't show notes older than a week
+    evictionInterval: 5 * 60 * 1000,
+  };
+
+  // Import Persistent Cache (will be loaded before this script)
+  const getPersistentCache = () => {
+    const global = typeof self !== "undefined" ? self : window;
+    if (global && global.PersistentCache) {
+      return global.PersistentCache.create({
+        dbName: "monday-quick-peek-offline",
+        storeName: "snapshots",
+        maxBytes: CONFIG.maxBytes,
+      });
+    }
+    return null;
+  };
+
+  const store = getPersistentCache();
+  let lastEviction = 0;
+
+  // Helper: Snapshot key for an item
+  function getKey(taskId) {
+    return `snapshot-${taskId}`;
+  }
+
+  const OfflineStore = {
+    /**
+     * Save the notes fetched for an item
+     * Best effort: failures are logged, never thrown
+     * @param {string} taskId - Item ID
+     * @param {Object} notesData - Notes data from the API
+     * @returns {Promise<void>}
+     */
+    async save(taskId, notesData) {
+      if (!store || !notesData) return;
+
+      const savedAt = Date.now();
+      try {
+        await store.set(getKey(taskId), {
+          content: { data: notesData, savedAt: savedAt },
+          freshUntil: savedAt,
+          expiry: savedAt + CONFIG.maxAge,
+        });
+
+        if (savedAt - lastEviction > CONFIG.evictionInterval) {
+          lastEviction = savedAt;
+          await store.evict();
+        }
+      } catch (error) {
+        console.warn("OfflineStore: Failed to save snapshot", error);
+      }
+    },
+
+    /**
+     * Get the last saved notes for an item
+     * @param {string} taskId - Item ID
+     * @returns {Promise<Object|null>} { data, savedAt } or null
+     */
+    async get(taskId) {
+      if (!store) return null;
+
+      try {
+        const entry = await store.get(getKey(taskId));
+        return entry ? entry.content : null;
+      } catch (error) {
+        console.warn("OfflineStore: Failed to read snapshot", error);
+        return null;
+      }
+    },
+
+    /**
+     * Delete every snapshot (e.g. when the API key changes)
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      if (!store) return;
+
+      try {
+        await store.clear();
+      } catch (error) {
+        console.warn("OfflineStore: Failed to clear snapshots", error);
+      }
+    },
+  };
+
+  // Export globally (service worker context)
+  if (typeof self !== "undefined") {
+    self.OfflineStore = OfflineStore;
+  } else if (typeof window !== "undefined") {
+    window.OfflineStore = OfflineStore;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = OfflineStore;
+  }
+})();
@@ -0,0 +1,208 @@
+/**
+ * Persistent Cache (IndexedDB)
+ *
+ * Second cache tier behind the in-memory LRU. Survives MV3 service worker
+ * shutdowns, evicts expired entries and the oldest entries once the store
+ * grows past its size limit.
+ */
+
+(function () {
+  "use strict";
+
+  const DB_VERSION = 1;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<*>} Request result
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Create a persistent cache instance
+   * @param {Object} options - Cache options
+   * @param {string} options.dbName - IndexedDB database name
+   * @param {string} options.storeName - Object store name
+   * @param {number} options.maxBytes - Approximate size limit of the store
+   * @returns {Object} Cache instance with get, set, delete, clear, evict methods
+   */
+  function createPersistentCache(options) {
+    const { dbName, storeName, maxBytes } = options;
+    let dbPromise = null;
+
+    /**
+     * Open (once) the database, creating the store on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function openDatabase() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB not available"));
+            return;
+          }
+
+          const request = indexedDB.open(dbName, DB_VERSION);
+          request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(storeName, {
+              keyPath: "key",
+            });
+            store.createIndex("storedAt", "storedAt");
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later call to retry if opening failed
+        dbPromise.catch(() => {
+          dbPromise = null;
+        });
+      }
+      return dbPromise;
+    }
+
+    /**
+     * Get the object store in a new transaction
+     * @param {string} mode - "readonly" or "readwrite"
+     * @returns {Promise<IDBObjectStore>} Object store
+     */
+    async function getStore(mode) {
+      const db = await openDatabase();
+      return db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    return {
+      /**
+       * Get an entry from the store
+       * @param {string} key - Cache key
+       * @returns {Promise<Object|null>} { content, freshUntil, expiry } or
+       *   null if missing/expired
+       */
+      async get(key) {
+        const store = await getStore("readonly");
+        const entry = await promisify(store.get(key));
+        if (!entry) return null;
+
+        if (entry.expiry && Date.now() > entry.expiry) {
+          this.delete(key).catch(() => {});
+          return null;
+        }
+
+        return {
+          content: entry.content,
+          freshUntil: entry.freshUntil,
+          expiry: entry.expiry,
+        };
+      },
+
+      /**
+       * Store an entry
+       * @param {string} key - Cache key
+       * @param {Object} value - { content, freshUntil, expiry }
+       * @returns {Promise<void>}
+       */
+      async set(key, value) {
+        const store = await getStore("readwrite");
+        await promisify(
+          store.put({
+            key: key,
+            content: value.content,
+            freshUntil: value.freshUntil,
+            expiry: value.expiry,
+            storedAt: Date.now(),
+            bytes: JSON.stringify(value.content ?? null).length,
+          })
+        );
+      },
+
+      /**
+       * Delete an entry
+       * @param {string} key - Cache key
+       * @returns {Promise<void>}
+       */
+      async delete(key) {
+        const store = await getStore("readwrite");
+        await promisify(store.delete(key));
+      },
+
+      /**
+       * Delete every entry
+       * @returns {Promise<void>}
+       */
+      async clear() {
+        const store = await getStore("readwrite");
+        await promisify(store.clear());
+      },
+
+      /**
+       * Remove expired entries, then the oldest entries until the store
+       * fits in maxBytes
+       * @returns {Promise<number>} Number of entries removed
+       */
+      async evict() {
+        const store = await getStore("readwrite");
+        const now = Date.now();
+        const live = [];
+        let totalBytes = 0;
+        let removed = 0;
+
+        // Walk oldest first, then trim the oldest live entries while the
+        // transaction is still active
+        await new Promise((resolve, reject) => {
+          const request = store.index("storedAt").openCursor();
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+              for (const entry of live) {
+                if (totalBytes <= maxBytes) break;
+                store.delete(entry.key);
+                totalBytes -= entry.bytes || 0;
+                removed++;
+              }
+              resolve();
+              return;
+            }
+
+            const entry = cursor.value;
+            if (entry.expiry && now > entry.expiry) {
+              cursor.delete();
+              removed++;
+            } else {
+              live.push(entry);
+              totalBytes += entry.bytes || 0;
+            }
+            cursor.continue();
+          };
+          request.onerror = () => reject(request.error);
+        });
+
+        return removed;
+      },
+
+      /**
+       * Count stored entries (including not yet evicted expired ones)
+       * @returns {Promise<number>} Number of entries
+       */
+      async size() {
+        const store = await getStore("readonly");
+        return promisify(store.count());
+      },
+    };
+  }
+
+  // Export for use in other modules (service worker context)
+  if (typeof self !== "undefined") {
+    self.PersistentCache = { create: createPersistentCache };
+  } else if (typeof window !== "undefined") {
+    window.PersistentCache = { create: createPersistentCache };
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { create: createPersistentCache };
+  }
+})();
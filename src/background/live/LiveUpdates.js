@@ -0,0 +1,416 @@
+/**
+ * Live Updates Client
+ *
+ * Optional connection to a relay that forwards Monday.com webhook events
+ * (create_update, change_column_value, ...). Events evict or patch the
+ * matching CacheManager entries and are pushed to open monday.com tabs so
+ * tooltips showing the item refresh.
+ *
+ * The relay URL comes from the `liveUpdatesUrl` setting:
+ * - ws:// or wss://     WebSocket, one JSON event per message
+ * - http:// or https:// Server-Sent Events, one JSON event per `data:` block
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 60000,
+    keepAliveInterval: 20000, // WebSocket activity keeps the worker alive
+    tabUrlPattern: "https://*.monday.com/*",
+  };
+
+  // Webhook event types that change a column value
+  const COLUMN_EVENTS = new Set([
+    "update_column_value",
+    "change_column_value",
+    "change_status_column_value",
+    "change_specific_column_value",
+  ]);
+
+  // Dependencies (loaded before this script)
+  const getDependencies = () => {
+    const global = typeof self !== "undefined" ? self : window;
+    return {
+      CacheManager: global.CacheManager,
+    };
+  };
+
+  const connection = {
+    url: null,
+    socket: null, // WebSocket
+    abortController: null, // SSE fetch
+    status: "disabled", // disabled | connecting | connected | error
+    lastError: null,
+    lastEventAt: null,
+    eventsReceived: 0,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    keepAliveTimer: null,
+  };
+
+  /**
+   * Check that a relay URL uses a supported scheme
+   * @param {string} url - Relay URL
+   * @returns {boolean} True if the URL can be connected to
+   */
+  function isValidRelayUrl(url) {
+    return typeof url === "string" && /^(wss?|https?):\/\/[^\s]+$/i.test(url);
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff
+   */
+  function scheduleReconnect() {
+    if (!connection.url || connection.reconnectTimer) return;
+
+    const delay = Math.min(
+      CONFIG.reconnectBaseDelay * Math.pow(2, connection.reconnectAttempts),
+      CONFIG.reconnectMaxDelay
+    );
+    connection.reconnectAttempts++;
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  /**
+   * Record a connection failure and retry later
+   * @param {string} message - Error message
+   */
+  function handleConnectionError(message) {
+    closeConnection();
+    connection.status = "error";
+    connection.lastError = message;
+    scheduleReconnect();
+  }
+
+  /**
+   * Mark the connection as established
+   */
+  function handleOpen() {
+    connection.status = "connected";
+    connection.lastError = null;
+    connection.reconnectAttempts = 0;
+  }
+
+  /**
+   * Parse one relay message and handle the event in it
+   * @param {string} text - Raw message
+   */
+  function handleMessage(text) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      // Relays may send comments or pings; ignore anything that isn't JSON
+      return;
+    }
+    LiveUpdates.handleEvent(payload);
+  }
+
+  /**
+   * Connect over WebSocket
+   * @param {string} url - ws:// or wss:// URL
+   */
+  function connectWebSocket(url) {
+    const socket = new WebSocket(url);
+    connection.socket = socket;
+
+    socket.onopen = () => {
+      handleOpen();
+      connection.keepAliveTimer = setInterval(() => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: "ping" }));
+        }
+      }, CONFIG.keepAliveInterval);
+    };
+    socket.onmessage = (event) => handleMessage(event.data);
+    socket.onerror = () => {
+      if (connection.socket === socket) {
+        handleConnectionError("WebSocket error");
+      }
+    };
+    socket.onclose = () => {
+      if (connection.socket === socket) {
+        handleConnectionError("Connection closed");
+      }
+    };
+  }
+
+  /**
+   * Connect over Server-Sent Events
+   * EventSource isn't available in service workers, so the stream is read
+   * with fetch
+   * @param {string} url - http:// or https:// URL
+   */
+  async function connectEventStream(url) {
+    const abortController = new AbortController();
+    connection.abortController = abortController;
+
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: "text/event-stream" },
+        credentials: "omit",
+        signal: abortController.signal,
+      });
+      if (!response.ok || !response.body) {
+        throw new Error(`Relay responded with ${response.status}`);
+      }
+
+      handleOpen();
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+
+        blocks.forEach((block) => {
+          const data = block
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n");
+          if (data) handleMessage(data);
+        });
+      }
+
+      throw new Error("Connection closed");
+    } catch (error) {
+      if (connection.abortController === abortController) {
+        handleConnectionError(error.message || "Connection failed");
+      }
+    }
+  }
+
+  /**
+   * Open a connection to the configured relay
+   */
+  function connect() {
+    if (!connection.url) return;
+
+    closeConnection();
+    connection.status = "connecting";
+
+    try {
+      if (/^wss?:/i.test(connection.url)) {
+        connectWebSocket(connection.url);
+      } else {
+        connectEventStream(connection.url);
+      }
+    } catch (error) {
+      handleConnectionError(error.message || "Connection failed");
+    }
+  }
+
+  /**
+   * Close the current connection without scheduling a reconnect
+   */
+  function closeConnection() {
+    const { socket, abortController } = connection;
+    connection.socket = null;
+    connection.abortController = null;
+
+    if (connection.keepAliveTimer) {
+      clearInterval(connection.keepAliveTimer);
+      connection.keepAliveTimer = null;
+    }
+    if (socket) {
+      socket.close();
+    }
+    if (abortController) {
+      abortController.abort();
+    }
+  }
+
+  /**
+   * Patch a status column in cached notes from a webhook value
+   * Other column types are evicted instead: their webhook values don't map
+   * cleanly onto the formatted column values
+   * @param {Object} notesData - Cached notes data
+   * @param {Object} event - Webhook event
+   * @returns {Object|null} Patched notes data, or null if it can't be patched
+   */
+  function patchColumn(notesData, event) {
+    const label = event.value?.label;
+    const column = (notesData.columnValues || []).find(
+      (col) => col.id === event.columnId
+    );
+    if (!column || column.type !== "status" || !label) return null;
+
+    return {
+      ...notesData,
+      columnValues: notesData.columnValues.map((col) =>
+        col.id === event.columnId
+          ? {
+              ...col,
+              text: label.text || "",
+              index: label.index ?? col.index,
+              color:
+                label.style?.color ||
+                (col.labels || []).find((l) => l.index === label.index)
+                  ?.color ||
+                col.color,
+            }
+          : col
+      ),
+    };
+  }
+
+  /**
+   * Tell open monday.com tabs and the side panel that an item changed
+   * @param {Object} message - liveUpdate message
+   */
+  async function broadcast(message) {
+    chrome.runtime.sendMessage(message).catch(() => {
+      // No extension page is open
+    });
+    if (!chrome.tabs?.query) return;
+
+    try {
+      const tabs = await chrome.tabs.query({ url: CONFIG.tabUrlPattern });
+      tabs.forEach((tab) => {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => {
+          // Tab has no content script (yet)
+        });
+      });
+    } catch (error) {
+      // Nothing to notify
+    }
+  }
+
+  const LiveUpdates = {
+    /**
+     * Apply settings: connect, reconnect to a new URL, or disconnect
+     * @param {Object} settings - Stored settings
+     */
+    configure(settings = {}) {
+      const url =
+        settings.enableLiveUpdates && isValidRelayUrl(settings.liveUpdatesUrl)
+          ? settings.liveUpdatesUrl
+          : null;
+
+      if (url === connection.url && connection.status !== "error") return;
+
+      this.disconnect();
+      connection.url = url;
+      if (url) {
+        connect();
+      }
+    },
+
+    /**
+     * Close the relay connection and stop reconnecting
+     */
+    disconnect() {
+      if (connection.reconnectTimer) {
+        clearTimeout(connection.reconnectTimer);
+        connection.reconnectTimer = null;
+      }
+      closeConnection();
+      connection.url = null;
+      connection.status = "disabled";
+      connection.lastError = null;
+      connection.reconnectAttempts = 0;
+    },
+
+    /**
+     * Handle a webhook event forwarded by the relay
+     * Accepts the webhook body as Monday sends it ({ event: {...} }) or the
+     * bare event
+     * @param {Object} payload - Webhook payload
+     * @returns {Promise<Object|null>} The liveUpdate message broadcast, or
+     *   null if the event was ignored
+     */
+    async handleEvent(payload) {
+      const deps = getDependencies();
+      const event = payload?.event || payload;
+      const itemId = event?.pulseId || event?.itemId;
+      if (!event?.type || !itemId || !deps.CacheManager) return null;
+
+      connection.lastEventAt = Date.now();
+      connection.eventsReceived++;
+
+      const taskId = String(itemId);
+      const parentId = event.parentItemId ? String(event.parentItemId) : null;
+      const cacheKey = deps.CacheManager.generateKey("note", taskId);
+      let data = null;
+
+      if (COLUMN_EVENTS.has(event.type)) {
+        await deps.CacheManager.update(cacheKey, (cached) => {
+          data = patchColumn(cached, event);
+          return data || cached;
+        });
+      }
+
+      if (!data) {
+        await deps.CacheManager.delete(cacheKey);
+      }
+
+      // A subitem change also changes the parent's subitem list
+      if (parentId) {
+        await deps.CacheManager.delete(
+          deps.CacheManager.generateKey("note", parentId)
+        );
+      }
+
+      const message = {
+        action: "liveUpdate",
+        type: event.type,
+        taskId: taskId,
+        parentId: parentId,
+        data: data,
+      };
+      await broadcast(message);
+      return message;
+    },
+
+    /**
+     * Get connection status for the popup
+     * @returns {Object} Status information
+     */
+    getStatus() {
+      return {
+        status: connection.status,
+        url: connection.url,
+        lastError: connection.lastError,
+        lastEventAt: connection.lastEventAt,
+        eventsReceived: connection.eventsReceived,
+        reconnectAttempts: connection.reconnectAttempts,
+      };
+    },
+  };
+
+  // Connect once settings load and follow changes made in the popup
+  const getSettings = () =>
+    (typeof self !== "undefined" ? self : window).Settings;
+  if (getSettings()) {
+    getSettings().subscribe((settings, changedKeys) => {
+      if (
+        changedKeys.includes("enableLiveUpdates") ||
+        changedKeys.includes("liveUpdatesUrl")
+      ) {
+        LiveUpdates.configure(settings);
+      }
+    });
+  }
+
+  // Export globally (service worker context)
+  if (typeof self !== "undefined") {
+    self.LiveUpdates = LiveUpdates;
+  } else if (typeof window !== "undefined") {
+    window.LiveUpdates = LiveUpdates;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = LiveUpdates;
+  }
+})();
@@ -13,6 +13,14 @@
     return {
       MondayAPI: global.MondayAPI,
       CacheManager: global.CacheManager,
+      UsageTracker: global.UsageTracker,
+      RateLimiter: global.RateLimiter,
+      LiveUpdates: global.LiveUpdates,
+      OfflineStore: global.OfflineStore,
+      BoardSearchIndex: global.BoardSearchIndex,
+      Settings: global.Settings,
+      ApiVersion: global.ApiVersion,
+      ErrorHandler: global.ErrorHandler,
     };
   };
 
@@ -27,13 +35,154 @@
     }
   }
 
+  // Longest update body accepted from the tooltip composer
+  const MAX_UPDATE_LENGTH = 5000;
+
+  // Most items requested in a single batched prefetch query
+  const PREFETCH_BATCH_SIZE = 10;
+
+  // Longest query accepted by the board search
+  const MAX_BOARD_QUERY_LENGTH = 200;
+
+  // Column types that can be edited from the tooltip
+  const EDITABLE_COLUMN_TYPES = ["status", "people"];
+
+  // Helper: Build the change_column_value payload for an edit request
+  function buildColumnValue(type, value) {
+    if (type === "status") {
+      if (!Number.isInteger(value?.index) || value.index < 0) return null;
+      return { index: value.index };
+    }
+
+    if (type === "people") {
+      const ids = value?.personIds;
+      if (!Array.isArray(ids) || !ids.every((id) => /^\d+$/.test(String(id)))) {
+        return null;
+      }
+      return {
+        personsAndTeams: ids.map((id) => ({
+          id: parseInt(id, 10),
+          kind: "person",
+        })),
+      };
+    }
+
+    return null;
+  }
+
+  // Helper: Check whether a failed request means Monday.com can't be reached
+  function isNetworkFailure(error) {
+    return (
+      (typeof navigator !== "undefined" && navigator.onLine === false) ||
+      error?.code === getErrorCodes().NETWORK_ERROR
+    );
+  }
+
+  // Helper: Error codes shared with the content script (see ErrorHandler)
+  function getErrorCodes() {
+    return getDependencies().ErrorHandler.ERROR_CODES;
+  }
+
+  /**
+   * Build a failure response that keeps the error's code
+   * @param {Error} error - Error, typed by GraphQLTransport when it came
+   *   from the API
+   * @param {string} fallbackMessage - Message if the error has none
+   * @returns {Object} { success: false, error, code }
+   */
+  function failure(error, fallbackMessage = "An unexpected error occurred") {
+    return {
+      success: false,
+      error: error?.message || fallbackMessage,
+      code: error?.code || getErrorCodes().UNKNOWN_ERROR,
+    };
+  }
+
+  // Helper: Failure response for actions that need an API key
+  function apiKeyMissing() {
+    return {
+      success: false,
+      error:
+        "API key not configured. Please set your API key in the extension settings.",
+      code: getErrorCodes().API_KEY_MISSING,
+    };
+  }
+
+  // Items being refetched in the background (item ID -> tabs to notify), so
+  // repeated peeks share one request
+  const revalidating = new Map();
+
+  /**
+   * Refetch notes served stale from the cache and push the result to the tab
+   * and to extension pages (the side panel has no tab)
+   * @param {string} taskId - Item ID
+   * @param {string} apiKey - Monday.com API key
+   * @param {Object} staleData - Notes data that was served
+   * @param {number} [tabId] - Tab that showed the stale data
+   */
+  async function revalidateNotes(taskId, apiKey, staleData, tabId) {
+    const deps = getDependencies();
+    const key = String(taskId);
+    if (revalidating.has(key)) {
+      if (tabId !== undefined) revalidating.get(key).add(tabId);
+      return;
+    }
+
+    const tabIds = new Set(tabId !== undefined ? [tabId] : []);
+    revalidating.set(key, tabIds);
+    let message;
+    try {
+      const notesData = await deps.MondayAPI.fetchTaskNotes(taskId, apiKey);
+      await deps.CacheManager.set(
+        deps.CacheManager.generateKey("note", taskId),
+        notesData
+      );
+      if (deps.OfflineStore) {
+        await deps.OfflineStore.save(key, notesData);
+      }
+      message = {
+        action: "notesRefreshed",
+        taskId: key,
+        data: notesData,
+        changed: JSON.stringify(notesData) !== JSON.stringify(staleData),
+      };
+    } catch (error) {
+      // Keep showing the stale data; the tab only needs to drop its indicator
+      message = {
+        action: "notesRefreshed",
+        taskId: key,
+        data: null,
+        changed: false,
+        error: error.message || "Failed to refresh notes",
+      };
+    } finally {
+      revalidating.delete(key);
+    }
+
+    chrome.runtime.sendMessage(message).catch(() => {
+      // No extension page is open
+    });
+    if (!chrome.tabs?.sendMessage) return;
+    tabIds.forEach((id) => {
+      chrome.tabs.sendMessage(id, message).catch(() => {
+        // Tab was closed or navigated away
+      });
+    });
+  }
+
   const MessageHandler = {
     /**
      * Handle fetch notes request
+     * Expired cache entries are served immediately (stale: true) and
+     * refetched in the background; the fresh data is pushed to the tab and
+     * the side panel.
+     * When Monday.com can't be reached, the item's offline snapshot is served
+     * (offline: true, offlineAsOf: when it was saved)
      * @param {Object} request - Message request
      * @param {Function} sendResponse - Response callback
+     * @param {Object} sender - Message sender (tab to notify after a refresh)
      */
-    async handleFetchNotes(request, sendResponse) {
+    async handleFetchNotes(request, sendResponse, sender) {
       try {
         const { taskId, apiKey } = request;
         const deps = getDependencies();
@@ -58,35 +207,465 @@
 
         // Check cache first
         const cacheKey = deps.CacheManager.generateKey("note", taskId);
-        const cached = deps.CacheManager.get(cacheKey);
-        if (cached) {
-          sendResponse({ success: true, data: cached, cached: true });
+        const cached = await deps.CacheManager.getWithStatus(cacheKey);
+        if (cached && !cached.stale) {
+          sendResponse({ success: true, data: cached.content, cached: true });
           return;
         }
 
         // Get API key
         const keyToUse = apiKey || (await getStoredApiKey());
-        if (!keyToUse) {
+        if (cached && keyToUse) {
           sendResponse({
-            success: false,
-            error:
-              "API key not configured. Please set your API key in the extension settings.",
+            success: true,
+            data: cached.content,
+            cached: true,
+            stale: true,
           });
+          revalidateNotes(taskId, keyToUse, cached.content, sender?.tab?.id);
+          return;
+        }
+
+        if (!keyToUse) {
+          sendResponse(apiKeyMissing());
           return;
         }
 
         // Fetch from Monday.com API
-        const notesData = await deps.MondayAPI.fetchTaskNotes(taskId, keyToUse);
+        let notesData;
+        try {
+          notesData = await deps.MondayAPI.fetchTaskNotes(taskId, keyToUse);
+        } catch (error) {
+          // Offline: fall back to the last snapshot of this item
+          const snapshot =
+            isNetworkFailure(error) && deps.OfflineStore
+              ? await deps.OfflineStore.get(String(taskId))
+              : null;
+          if (!snapshot) throw error;
 
-        // Cache the response
-        deps.CacheManager.set(cacheKey, notesData);
+          sendResponse({
+            success: true,
+            data: snapshot.data,
+            cached: true,
+            offline: true,
+            offlineAsOf: snapshot.savedAt,
+          });
+          return;
+        }
+
+        // Cache the response, and keep a snapshot for offline use
+        await deps.CacheManager.set(cacheKey, notesData);
+        if (deps.OfflineStore) {
+          await deps.OfflineStore.save(String(taskId), notesData);
+        }
 
         sendResponse({ success: true, data: notesData, cached: false });
       } catch (error) {
+        sendResponse(failure(error, "Failed to fetch notes"));
+      }
+    },
+
+    /**
+     * Handle prefetch request for rows scrolled into view
+     * Fetches uncached items in batches while the prefetch budget allows
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     */
+    async handlePrefetchNotes(request, sendResponse) {
+      try {
+        const { taskIds } = request;
+        const deps = getDependencies();
+
+        if (!Array.isArray(taskIds)) {
+          sendResponse({ success: false, error: "Missing taskIds parameter" });
+          return;
+        }
+
+        // The worker may have just woken up; wait for stored settings
+        const settings = await deps.Settings.load();
+        if (!settings.enablePrefetch) {
+          sendResponse({ success: true, data: { prefetched: 0, skipped: 0 } });
+          return;
+        }
+
+        const ids = [
+          ...new Set(taskIds.map(String).filter((id) => /^\d+$/.test(id))),
+        ];
+        const cachedEntries = await Promise.all(
+          ids.map((id) =>
+            deps.CacheManager.get(deps.CacheManager.generateKey("note", id))
+          )
+        );
+        const uncached = ids.filter((id, index) => !cachedEntries[index]);
+
+        const apiKey = await getStoredApiKey();
+        if (!apiKey || uncached.length === 0) {
+          sendResponse({ success: true, data: { prefetched: 0, skipped: 0 } });
+          return;
+        }
+
+        let prefetched = 0;
+        for (let i = 0; i < uncached.length; i += PREFETCH_BATCH_SIZE) {
+          if (deps.RateLimiter && !deps.RateLimiter.tryAcquirePrefetch()) {
+            break;
+          }
+
+          const batch = uncached.slice(i, i + PREFETCH_BATCH_SIZE);
+          const items = await deps.MondayAPI.fetchTaskNotesBatch(batch, apiKey);
+          await Promise.all(
+            items.map((notesData) =>
+              deps.CacheManager.set(
+                deps.CacheManager.generateKey("note", notesData.taskId),
+                notesData
+              )
+            )
+          );
+          prefetched += items.length;
+        }
+
         sendResponse({
-          success: false,
-          error: error.message || "Failed to fetch notes",
+          success: true,
+          data: {
+            prefetched: prefetched,
+            skipped: uncached.length - prefetched,
+          },
+        });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to prefetch notes"));
+      }
+    },
+
+    /**
+     * Handle fetch notes page request (load older updates)
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleFetchNotesPage(request, sendResponse) {
+      try {
+        const { taskId, page } = request;
+        const deps = getDependencies();
+
+        if (!taskId || !/^\d+$/.test(String(taskId))) {
+          sendResponse({
+            success: false,
+            error: "Invalid taskId format",
+          });
+          return;
+        }
+
+        const pageNumber = parseInt(page, 10);
+        if (!Number.isInteger(pageNumber) || pageNumber < 2) {
+          sendResponse({
+            success: false,
+            error: "Invalid page parameter",
+          });
+          return;
+        }
+
+        const apiKey = await getStoredApiKey();
+        if (!apiKey) {
+          sendResponse(apiKeyMissing());
+          return;
+        }
+
+        const pageData = await deps.MondayAPI.fetchNotesPage(
+          taskId,
+          pageNumber,
+          apiKey
+        );
+
+        // Append the page to the cached notes so reopening keeps older updates
+        const cacheKey = deps.CacheManager.generateKey("note", taskId);
+        await deps.CacheManager.update(cacheKey, (cached) => {
+          const knownIds = new Set((cached.notes || []).map((n) => n.id));
+          return {
+            ...cached,
+            notes: [
+              ...(cached.notes || []),
+              ...pageData.notes.filter((n) => !knownIds.has(n.id)),
+            ],
+            page: pageData.page,
+            hasMore: pageData.hasMore,
+          };
         });
+
+        sendResponse({ success: true, data: pageData });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to fetch older updates"));
+      }
+    },
+
+    /**
+     * Handle post reply request (reply box under a note)
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     */
+    async handlePostReply(request, sendResponse) {
+      try {
+        const { taskId, parentId, body } = request;
+        const deps = getDependencies();
+
+        if (!taskId || !/^\d+$/.test(String(taskId))) {
+          sendResponse({
+            success: false,
+            error: "Invalid taskId format",
+          });
+          return;
+        }
+
+        if (!parentId || !/^\d+$/.test(String(parentId))) {
+          sendResponse({
+            success: false,
+            error: "Invalid parentId format",
+          });
+          return;
+        }
+
+        const text = typeof body === "string" ? body.trim() : "";
+        if (!text) {
+          sendResponse({ success: false, error: "Reply cannot be empty" });
+          return;
+        }
+        if (text.length > MAX_UPDATE_LENGTH) {
+          sendResponse({
+            success: false,
+            error: `Reply is too long (max ${MAX_UPDATE_LENGTH} characters)`,
+          });
+          return;
+        }
+
+        const apiKey = await getStoredApiKey();
+        if (!apiKey) {
+          sendResponse(apiKeyMissing());
+          return;
+        }
+
+        const reply = await deps.MondayAPI.postReply(
+          taskId,
+          parentId,
+          text,
+          apiKey
+        );
+
+        // The cached thread is now stale; the next peek refetches it
+        await deps.CacheManager.delete(
+          deps.CacheManager.generateKey("note", taskId)
+        );
+
+        sendResponse({ success: true, data: reply });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to post reply"));
+      }
+    },
+
+    /**
+     * Handle change column value request (inline status/people editing)
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleChangeColumnValue(request, sendResponse) {
+      try {
+        const { taskId, columnId, value } = request;
+        const deps = getDependencies();
+
+        if (!taskId || !/^\d+$/.test(String(taskId))) {
+          sendResponse({
+            success: false,
+            error: "Invalid taskId format",
+          });
+          return;
+        }
+
+        if (!columnId || typeof columnId !== "string") {
+          sendResponse({ success: false, error: "Missing columnId parameter" });
+          return;
+        }
+
+        // Inline editing is a Pro feature (dev mode with tracking disabled
+        // is allowed so it can be tested)
+        const tracker = deps.UsageTracker;
+        const allowed =
+          tracker &&
+          ((await tracker.isProUser()) || (await tracker.isTrackingDisabled()));
+        if (!allowed) {
+          sendResponse({
+            success: false,
+            error: "Editing columns from the tooltip is a Pro feature.",
+            code: "PRO_REQUIRED",
+          });
+          return;
+        }
+
+        const apiKey = await getStoredApiKey();
+        if (!apiKey) {
+          sendResponse(apiKeyMissing());
+          return;
+        }
+
+        // Look the column up on the cached item (fetching it if needed) so
+        // the type comes from Monday, not from the page
+        const cacheKey = deps.CacheManager.generateKey("note", taskId);
+        let notesData = await deps.CacheManager.get(cacheKey);
+        if (!notesData) {
+          notesData = await deps.MondayAPI.fetchTaskNotes(taskId, apiKey);
+          await deps.CacheManager.set(cacheKey, notesData);
+        }
+
+        const column = (notesData.columnValues || []).find(
+          (col) => col.id === columnId
+        );
+        if (!column) {
+          sendResponse({ success: false, error: "Column not found" });
+          return;
+        }
+
+        if (!EDITABLE_COLUMN_TYPES.includes(column.type)) {
+          sendResponse({
+            success: false,
+            error: `Column type "${column.type}" can't be edited from the tooltip`,
+          });
+          return;
+        }
+
+        const columnValue = buildColumnValue(column.type, value);
+        if (!columnValue || !notesData.boardId) {
+          sendResponse({ success: false, error: "Invalid column value" });
+          return;
+        }
+
+        const updated = await deps.MondayAPI.changeColumnValue(
+          notesData.boardId,
+          taskId,
+          columnId,
+          columnValue,
+          apiKey
+        );
+
+        // Keep the cached item in sync with what Monday now reports
+        await deps.CacheManager.update(cacheKey, (cached) => ({
+          ...cached,
+          columnValues: (cached.columnValues || []).map((col) =>
+            col.id === columnId ? updated : col
+          ),
+        }));
+
+        sendResponse({ success: true, data: updated });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to update column"));
+      }
+    },
+
+    /**
+     * Handle post update request (new top-level update from the tooltip)
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     */
+    async handlePostUpdate(request, sendResponse) {
+      try {
+        const { taskId, body, mentions = [] } = request;
+        const deps = getDependencies();
+
+        if (!taskId || !/^\d+$/.test(String(taskId))) {
+          sendResponse({
+            success: false,
+            error: "Invalid taskId format",
+          });
+          return;
+        }
+
+        const text = typeof body === "string" ? body.trim() : "";
+        if (!text) {
+          sendResponse({ success: false, error: "Update cannot be empty" });
+          return;
+        }
+        if (text.length > MAX_UPDATE_LENGTH) {
+          sendResponse({
+            success: false,
+            error: `Update is too long (max ${MAX_UPDATE_LENGTH} characters)`,
+          });
+          return;
+        }
+
+        if (
+          !Array.isArray(mentions) ||
+          !mentions.every(
+            (m) =>
+              m &&
+              /^\d+$/.test(String(m.id)) &&
+              typeof m.name === "string" &&
+              m.name.trim()
+          )
+        ) {
+          sendResponse({ success: false, error: "Invalid mentions" });
+          return;
+        }
+
+        const apiKey = await getStoredApiKey();
+        if (!apiKey) {
+          sendResponse(apiKeyMissing());
+          return;
+        }
+
+        const note = await deps.MondayAPI.postUpdate(
+          taskId,
+          text,
+          mentions.map((m) => ({ id: String(m.id), name: m.name.trim() })),
+          apiKey
+        );
+
+        // Newest update goes first, matching the API ordering
+        const cacheKey = deps.CacheManager.generateKey("note", taskId);
+        await deps.CacheManager.update(cacheKey, (cached) => ({
+          ...cached,
+          notes: [note, ...(cached.notes || [])],
+        }));
+
+        sendResponse({ success: true, data: note });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to post update"));
+      }
+    },
+
+    /**
+     * Handle mention candidates request (board subscribers for @mentions)
+     * @param {Object} request - Message request
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleGetMentionCandidates(request, sendResponse) {
+      try {
+        const { taskId } = request;
+        const deps = getDependencies();
+
+        if (!taskId || !/^\d+$/.test(String(taskId))) {
+          sendResponse({
+            success: false,
+            error: "Invalid taskId format",
+          });
+          return;
+        }
+
+        const cacheKey = deps.CacheManager.generateKey("mentions", taskId);
+        const cached = await deps.CacheManager.get(cacheKey);
+        if (cached) {
+          sendResponse({ success: true, data: cached, cached: true });
+          return;
+        }
+
+        const apiKey = await getStoredApiKey();
+        if (!apiKey) {
+          sendResponse(apiKeyMissing());
+          return;
+        }
+
+        const candidates = await deps.MondayAPI.fetchMentionCandidates(
+          taskId,
+          apiKey
+        );
+        await deps.CacheManager.set(cacheKey, candidates);
+
+        sendResponse({ success: true, data: candidates, cached: false });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to fetch board members"));
       }
     },
 
@@ -100,14 +679,28 @@
         const { itemId, type, updateId } = request;
         const deps = getDependencies();
 
-        if (!itemId) {
-          sendResponse({ success: false, error: "Missing itemId" });
+        if (!itemId || !/^\d+$/.test(String(itemId))) {
+          sendResponse({ success: false, error: "Invalid itemId format" });
+          return;
+        }
+
+        if (type && !["note", "comment", "update"].includes(type)) {
+          sendResponse({ success: false, error: "Invalid content type" });
+          return;
+        }
+
+        // Comments and updates are fetched by their own ID
+        if (
+          (type === "comment" || type === "update") &&
+          (!updateId || !/^\d+$/.test(String(updateId)))
+        ) {
+          sendResponse({ success: false, error: "Invalid updateId format" });
           return;
         }
 
         // Check cache first
         const cacheKey = deps.CacheManager.generateKey(type, itemId, updateId);
-        const cached = deps.CacheManager.get(cacheKey);
+        const cached = await deps.CacheManager.get(cacheKey);
         if (cached) {
           sendResponse({ success: true, content: cached });
           return;
@@ -116,7 +709,7 @@
         // Get API key from storage
         const apiKey = await getStoredApiKey();
         if (!apiKey) {
-          sendResponse({ success: false, error: "API key not configured" });
+          sendResponse(apiKeyMissing());
           return;
         }
 
@@ -129,12 +722,84 @@
         );
 
         // Cache the response
-        deps.CacheManager.set(cacheKey, content);
+        await deps.CacheManager.set(cacheKey, content);
 
         sendResponse({ success: true, content: content });
       } catch (error) {
         console.error("MessageHandler: Error fetching content", error);
-        sendResponse({ success: false, error: error.message });
+        sendResponse(failure(error));
+      }
+    },
+
+    /**
+     * Handle board search request (board-wide search overlay)
+     * Brings the board's update index up to date, then searches it. If
+     * Monday.com can't be reached, the existing index is searched as is
+     * @param {Object} request - { boardId, query, refresh: skip the refresh
+     *   interval }
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleSearchBoard(request, sendResponse) {
+      const { boardId, refresh } = request;
+      const query = typeof request.query === "string" ? request.query : "";
+      const deps = getDependencies();
+
+      if (!boardId || !/^\d+$/.test(String(boardId))) {
+        sendResponse({
+          success: false,
+          error: "Invalid boardId format",
+        });
+        return;
+      }
+
+      if (query.length > MAX_BOARD_QUERY_LENGTH) {
+        sendResponse({
+          success: false,
+          error: `Search is limited to ${MAX_BOARD_QUERY_LENGTH} characters`,
+        });
+        return;
+      }
+
+      if (!deps.BoardSearchIndex) {
+        sendResponse({ success: false, error: "Board search not available" });
+        return;
+      }
+
+      try {
+        const apiKey = await getStoredApiKey();
+        if (!apiKey) {
+          sendResponse(apiKeyMissing());
+          return;
+        }
+
+        let status;
+        let stale = false;
+        try {
+          status = await deps.BoardSearchIndex.refresh(
+            String(boardId),
+            apiKey,
+            {
+              force: refresh === true,
+            }
+          );
+        } catch (error) {
+          status = deps.BoardSearchIndex.getStatus(String(boardId));
+          if (!isNetworkFailure(error) || status.indexedCount === 0) {
+            throw error;
+          }
+          stale = true;
+        }
+
+        const results = await deps.BoardSearchIndex.search(
+          String(boardId),
+          query
+        );
+        sendResponse({
+          success: true,
+          data: { ...status, results, stale },
+        });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to search board"));
       }
     },
 
@@ -170,8 +835,7 @@
         });
       } catch (error) {
         sendResponse({
-          success: false,
-          error: error.message || "Failed to validate API key",
+          ...failure(error, "Failed to validate API key"),
           valid: false,
         });
       }
@@ -210,12 +874,18 @@
         // Store API key securely
         await chrome.storage.sync.set({ apiKey: apiKey.trim() });
 
-        // Clear cache when API key changes
-        deps.CacheManager.clear();
+        // Clear cache and offline snapshots when API key changes
+        await deps.CacheManager.clear();
+        if (deps.OfflineStore) {
+          await deps.OfflineStore.clear();
+        }
+        if (deps.BoardSearchIndex) {
+          await deps.BoardSearchIndex.clear();
+        }
 
         sendResponse({ success: true });
       } catch (error) {
-        sendResponse({ success: false, error: error.message });
+        sendResponse(failure(error));
       }
     },
 
@@ -228,7 +898,7 @@
         const apiKey = await getStoredApiKey();
         sendResponse({ success: true, apiKey: apiKey });
       } catch (error) {
-        sendResponse({ success: false, error: error.message });
+        sendResponse(failure(error));
       }
     },
 
@@ -262,10 +932,7 @@
           });
         }
       } catch (error) {
-        sendResponse({
-          success: false,
-          error: error.message || "Connection test failed",
-        });
+        sendResponse(failure(error, "Connection test failed"));
       }
     },
 
@@ -289,22 +956,119 @@
         }
 
         const cacheKey = deps.CacheManager.generateKey("note", taskId);
-        const cached = deps.CacheManager.get(cacheKey);
+        const cached = await deps.CacheManager.get(cacheKey);
 
         sendResponse({
           success: true,
           cached: !!cached,
           cacheSize: deps.CacheManager.size(),
           cacheKey: cacheKey,
+          stats: await deps.CacheManager.getStats(),
         });
       } catch (error) {
         sendResponse({
-          success: false,
-          error: error.message || "Failed to check cache",
+          ...failure(error, "Failed to check cache"),
           cached: false,
         });
       }
     },
+
+    /**
+     * Handle rate limit status request (live complexity budget for the popup)
+     * @param {Function} sendResponse - Response callback
+     */
+    handleGetRateLimitStatus(sendResponse) {
+      const deps = getDependencies();
+
+      if (!deps.RateLimiter) {
+        sendResponse({
+          success: false,
+          error: "Rate limiter not available",
+        });
+        return;
+      }
+
+      sendResponse({
+        success: true,
+        data: deps.RateLimiter.getStatus(),
+      });
+    },
+
+    /**
+     * Handle API version status request (deprecation warning for the popup)
+     * @param {Function} sendResponse - Response callback
+     */
+    async handleGetApiVersionStatus(sendResponse) {
+      const deps = getDependencies();
+
+      if (!deps.ApiVersion) {
+        sendResponse({
+          success: false,
+          error: "API version manager not available",
+        });
+        return;
+      }
+
+      sendResponse({
+        success: true,
+        data: await deps.ApiVersion.getStatus(),
+      });
+    },
+
+    /**
+     * Handle live updates status request (relay connection for the popup)
+     * @param {Function} sendResponse - Response callback
+     */
+    handleGetLiveUpdatesStatus(sendResponse) {
+      const deps = getDependencies();
+
+      if (!deps.LiveUpdates) {
+        sendResponse({
+          success: false,
+          error: "Live updates not available",
+        });
+        return;
+      }
+
+      sendResponse({
+        success: true,
+        data: deps.LiveUpdates.getStatus(),
+      });
+    },
+
+    /**
+     * Remember the item last peeked at in a tab, for the side panel
+     * Stored in session storage so a side panel opened later shows it too
+     * @param {Object} request - { taskId, taskName, source: "hover"|"click" }
+     * @param {Function} sendResponse - Response callback
+     * @param {Object} sender - Message sender (content script tab)
+     */
+    async handlePeekItem(request, sendResponse, sender) {
+      const { taskId, taskName, source } = request;
+
+      if (!taskId) {
+        sendResponse({
+          success: false,
+          error: "Task ID is required",
+        });
+        return;
+      }
+
+      try {
+        await chrome.storage.session.set({
+          lastPeekedItem: {
+            taskId: String(taskId),
+            taskName: taskName || "Task",
+            source: source === "click" ? "click" : "hover",
+            tabId: sender?.tab?.id ?? null,
+            peekedAt: Date.now(),
+          },
+        });
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse(failure(error, "Failed to store peeked item"));
+      }
+    },
   };
 
   // Export globally (service worker context)
@@ -0,0 +1,490 @@
+/**
+ * Board Search Index for Background Service Worker
+ *
+ * Inverted index of the updates on a board, for the board-wide search
+ * overlay. The first search on a board fetches its newest updates in
+ * batched requests; later searches only fetch updates newer than the ones
+ * already indexed. Indexed updates are kept in IndexedDB so the index
+ * survives service worker restarts.
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    pageSize: 100, // Updates per page
+    pagesPerRequest: 5, // Pages fetched in one batched request
+    maxUpdates: 2000, // Newest updates indexed per board
+    itemNamesBatchSize: 100,
+    refreshInterval: 60 * 1000, // Look for new updates at most this often
+    rebuildInterval: 6 * 60 * 60 * 1000, // Refetch everything (edits, deletes)
+    maxAge: 7 * 24 * 60 * 60 * 1000, // Drop boards not searched for a week
+    maxBytes: 5 * 1024 * 1024,
+    maxResults: 50,
+    snippetLength: 160,
+  };
+
+  const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+  const COMBINING_MARKS = /[\u0300-\u036f]/g;
+  // Words of unfolded text (accents may be separate combining marks)
+  const RAW_WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\u0300-\u036f]*/gu;
+
+  // Dependencies (loaded before this script)
+  const getDependencies = () => {
+    const global = typeof self !== "undefined" ? self : window;
+    return {
+      MondayAPI: global.MondayAPI,
+      PersistentCache: global.PersistentCache,
+    };
+  };
+
+  let store = null;
+  function getStore() {
+    const deps = getDependencies();
+    if (!store && deps.PersistentCache) {
+      store = deps.PersistentCache.create({
+        dbName: "monday-quick-peek-search",
+        storeName: "boards",
+        maxBytes: CONFIG.maxBytes,
+      });
+    }
+    return store;
+  }
+
+  // Loaded boards (board ID -> index)
+  const boards = new Map();
+  // Boards being read from IndexedDB (board ID -> promise of the index)
+  const loading = new Map();
+
+  // Helper: Lowercase text without accents
+  function fold(text) {
+    return (text || "")
+      .normalize("NFD")
+      .replace(COMBINING_MARKS, "")
+      .toLowerCase();
+  }
+
+  // Helper: Lowercase words without accents
+  function tokenize(text) {
+    return fold(text).match(WORD_PATTERN) || [];
+  }
+
+  // Helper: Text of an update that is searched and shown in snippets
+  function getDocumentText(doc) {
+    return [
+      doc.content,
+      ...doc.replies.map((reply) => `${reply.author}: ${reply.content}`),
+    ].join(" — ");
+  }
+
+  /**
+   * Create an empty board index
+   * @param {string} boardId - Board ID
+   * @returns {Object} Index
+   */
+  function createIndex(boardId) {
+    return {
+      boardId,
+      docs: new Map(), // update ID -> update
+      postings: new Map(), // word -> Set of update IDs
+      docWords: new Map(), // update ID -> words, to unindex on change
+      itemNames: new Map(), // item ID -> name
+      builtAt: 0,
+      refreshedAt: 0,
+      complete: false, // False when the board has more than maxUpdates
+      refreshing: null,
+    };
+  }
+
+  // Helper: Add or replace an update in the index
+  function addDocument(index, doc) {
+    removeDocument(index, doc.id);
+
+    const words = new Set(tokenize(`${doc.author} ${getDocumentText(doc)}`));
+    words.forEach((word) => {
+      if (!index.postings.has(word)) index.postings.set(word, new Set());
+      index.postings.get(word).add(doc.id);
+    });
+    index.docs.set(doc.id, doc);
+    index.docWords.set(doc.id, words);
+  }
+
+  // Helper: Remove an update from the index
+  function removeDocument(index, docId) {
+    const words = index.docWords.get(docId);
+    if (!words) return;
+
+    words.forEach((word) => {
+      const ids = index.postings.get(word);
+      ids.delete(docId);
+      if (ids.size === 0) index.postings.delete(word);
+    });
+    index.docs.delete(docId);
+    index.docWords.delete(docId);
+  }
+
+  // Helper: Keep only the newest maxUpdates updates
+  function trimIndex(index) {
+    if (index.docs.size <= CONFIG.maxUpdates) return;
+
+    [...index.docs.values()]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(CONFIG.maxUpdates)
+      .forEach((doc) => removeDocument(index, doc.id));
+    index.complete = false;
+  }
+
+  /**
+   * Load a board index from IndexedDB (or create an empty one)
+   * Concurrent callers share one read and get the index once it's loaded,
+   * so none of them mistakes a saved index for a missing one
+   * @param {string} boardId - Board ID
+   * @returns {Promise<Object>} Index
+   */
+  function loadIndex(boardId) {
+    if (boards.has(boardId)) return Promise.resolve(boards.get(boardId));
+    if (loading.has(boardId)) return loading.get(boardId);
+
+    const promise = readIndex(boardId).then((index) => {
+      // clear() may have run while we were reading
+      if (loading.get(boardId) === promise) {
+        loading.delete(boardId);
+        boards.set(boardId, index);
+      }
+      return index;
+    });
+    loading.set(boardId, promise);
+    return promise;
+  }
+
+  /**
+   * Read a saved board index
+   * @param {string} boardId - Board ID
+   * @returns {Promise<Object>} Index (empty if none was saved)
+   */
+  async function readIndex(boardId) {
+    const index = createIndex(boardId);
+
+    try {
+      const entry = await getStore()?.get(`board-${boardId}`);
+      if (entry?.content) {
+        const saved = entry.content;
+        saved.docs.forEach((doc) => addDocument(index, doc));
+        index.itemNames = new Map(Object.entries(saved.itemNames || {}));
+        index.builtAt = saved.builtAt || 0;
+        index.refreshedAt = saved.refreshedAt || 0;
+        index.complete = !!saved.complete;
+      }
+    } catch (error) {
+      console.warn("BoardSearchIndex: Failed to load index", error);
+    }
+    return index;
+  }
+
+  /**
+   * Save a board index to IndexedDB (best effort)
+   * @param {Object} index - Index
+   * @returns {Promise<void>}
+   */
+  async function saveIndex(index) {
+    const cache = getStore();
+    if (!cache) return;
+
+    const now = Date.now();
+    try {
+      await cache.set(`board-${index.boardId}`, {
+        content: {
+          docs: [...index.docs.values()],
+          itemNames: Object.fromEntries(index.itemNames),
+          builtAt: index.builtAt,
+          refreshedAt: index.refreshedAt,
+          complete: index.complete,
+        },
+        freshUntil: now,
+        expiry: now + CONFIG.maxAge,
+      });
+      await cache.evict();
+    } catch (error) {
+      console.warn("BoardSearchIndex: Failed to save index", error);
+    }
+  }
+
+  /**
+   * Fetch updates newest first, in batched requests, until a page comes back
+   * short, an already indexed (unchanged) update is reached or maxUpdates
+   * @param {Object} index - Index
+   * @param {boolean} full - Fetch everything instead of only new updates
+   * @param {string} apiKey - Monday.com API key
+   * @returns {Promise<void>}
+   */
+  async function fetchUpdates(index, full, apiKey) {
+    const deps = getDependencies();
+    const fetched = new Map();
+    let nextPage = 1;
+    let done = false;
+    let reachedEnd = false;
+
+    while (!done) {
+      // An incremental refresh usually finds a few new updates: start small
+      const batchSize = full || nextPage > 1 ? CONFIG.pagesPerRequest : 1;
+      const pages = Array.from({ length: batchSize }, (_, i) => nextPage + i);
+      nextPage += batchSize;
+
+      const results = await deps.MondayAPI.fetchBoardUpdates(
+        index.boardId,
+        pages,
+        CONFIG.pageSize,
+        apiKey
+      );
+
+      for (const updates of results) {
+        for (const doc of updates) {
+          const known = index.docs.get(doc.id);
+          if (!full && known && known.updatedAt === doc.updatedAt) {
+            done = true;
+          }
+          fetched.set(doc.id, doc);
+        }
+        if (updates.length < CONFIG.pageSize) {
+          done = true;
+          reachedEnd = true;
+        }
+        if (done || fetched.size >= CONFIG.maxUpdates) break;
+      }
+      if (fetched.size >= CONFIG.maxUpdates) done = true;
+    }
+
+    if (full) {
+      [...index.docs.keys()].forEach((id) => {
+        if (!fetched.has(id)) removeDocument(index, id);
+      });
+      index.complete = reachedEnd;
+    }
+    fetched.forEach((doc) => addDocument(index, doc));
+    trimIndex(index);
+  }
+
+  /**
+   * Fetch the names of items that have indexed updates but no known name
+   * @param {Object} index - Index
+   * @param {string} apiKey - Monday.com API key
+   * @returns {Promise<void>}
+   */
+  async function fetchMissingItemNames(index, apiKey) {
+    const deps = getDependencies();
+    const missing = [
+      ...new Set(
+        [...index.docs.values()]
+          .map((doc) => doc.itemId)
+          .filter((id) => /^\d+$/.test(id) && !index.itemNames.has(id))
+      ),
+    ];
+
+    for (let i = 0; i < missing.length; i += CONFIG.itemNamesBatchSize) {
+      const batch = missing.slice(i, i + CONFIG.itemNamesBatchSize);
+      const items = await deps.MondayAPI.fetchItemNames(batch, apiKey);
+      items.forEach((item) => index.itemNames.set(item.id, item.name));
+    }
+  }
+
+  /**
+   * Build a snippet of an update around the first matched word
+   * @param {Object} doc - Update
+   * @param {Array<string>} words - Query words
+   * @returns {string} Snippet
+   */
+  function buildSnippet(doc, words) {
+    const text = getDocumentText(doc).replace(/\s+/g, " ").trim();
+    const folded = fold(text);
+
+    // Folding keeps the length of most text, so positions carry over
+    const positions = words
+      .map((word) => folded.indexOf(word))
+      .filter((position) => position !== -1);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, first - Math.floor(CONFIG.snippetLength / 3));
+    const end = Math.min(text.length, start + CONFIG.snippetLength);
+    return `${start > 0 ? "…" : ""}${text.slice(start, end)}${
+      end < text.length ? "…" : ""
+    }`;
+  }
+
+  /**
+   * Find the parts of text matched by query words, the way search matches
+   * them: each word of the text that starts with a query word, up to the
+   * length of that query word
+   * @param {string} text - Text (e.g. a snippet)
+   * @param {Array<string>} words - Query words (folded)
+   * @returns {Array<Array<number>>} Sorted [start, end] pairs
+   */
+  function getMatchRanges(text, words) {
+    const ranges = [];
+
+    for (const match of text.matchAll(RAW_WORD_PATTERN)) {
+      const folded = fold(match[0]);
+      const word = words
+        .filter((candidate) => folded.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+      if (!word) continue;
+
+      // Folding may change the length of a character; walk the raw word
+      // until the folded prefix covers the query word. Combining marks fold
+      // to nothing and stay with their letter
+      let end = 0;
+      let length = 0;
+      for (const char of match[0]) {
+        const foldedLength = fold(char).length;
+        if (length >= word.length && foldedLength > 0) break;
+        length += foldedLength;
+        end += char.length;
+      }
+      ranges.push([match.index, match.index + end]);
+    }
+    return ranges;
+  }
+
+  const BoardSearchIndex = {
+    /**
+     * Bring a board's index up to date: fetch everything the first time
+     * (and every few hours), otherwise only updates newer than the index.
+     * Concurrent calls share one refresh
+     * @param {string} boardId - Board ID
+     * @param {string} apiKey - Monday.com API key
+     * @param {Object} options - { force: skip the refresh interval }
+     * @returns {Promise<Object>} Status (see getStatus)
+     */
+    async refresh(boardId, apiKey, options = {}) {
+      const index = await loadIndex(boardId);
+      const now = Date.now();
+      const full = now - index.builtAt > CONFIG.rebuildInterval;
+
+      if (
+        !full &&
+        !options.force &&
+        now - index.refreshedAt < CONFIG.refreshInterval
+      ) {
+        return this.getStatus(boardId);
+      }
+
+      if (!index.refreshing) {
+        index.refreshing = (async () => {
+          try {
+            await fetchUpdates(index, full, apiKey);
+            await fetchMissingItemNames(index, apiKey);
+            index.refreshedAt = Date.now();
+            if (full) index.builtAt = index.refreshedAt;
+            await saveIndex(index);
+          } finally {
+            index.refreshing = null;
+          }
+        })();
+      }
+
+      await index.refreshing;
+      return this.getStatus(boardId);
+    },
+
+    /**
+     * Search the indexed updates of a board
+     * Every query word must start a word of the update, its replies or its
+     * author; updates matching whole words rank first, then newest first
+     * @param {string} boardId - Board ID
+     * @param {string} query - Search text
+     * @returns {Promise<Array<Object>>} Results ({ updateId, itemId,
+     *   itemName, author, createdAt, snippet, snippetRanges: matched
+     *   [start, end] pairs of the snippet })
+     */
+    async search(boardId, query) {
+      const index = await loadIndex(boardId);
+      const words = [...new Set(tokenize(query))];
+      if (words.length === 0) return [];
+
+      // Score per update: 2 for a whole-word hit, 1 for a prefix hit
+      let scores = null;
+      for (const word of words) {
+        const wordScores = new Map();
+        index.postings.forEach((ids, indexed) => {
+          if (!indexed.startsWith(word)) return;
+          const points = indexed === word ? 2 : 1;
+          ids.forEach((id) => {
+            wordScores.set(id, Math.max(wordScores.get(id) || 0, points));
+          });
+        });
+
+        if (scores === null) {
+          scores = wordScores;
+        } else {
+          const combined = new Map();
+          scores.forEach((score, id) => {
+            if (wordScores.has(id)) {
+              combined.set(id, score + wordScores.get(id));
+            }
+          });
+          scores = combined;
+        }
+        if (scores.size === 0) return [];
+      }
+
+      return [...scores.entries()]
+        .map(([id, score]) => ({ doc: index.docs.get(id), score }))
+        .sort(
+          (a, b) =>
+            b.score - a.score ||
+            new Date(b.doc.createdAt) - new Date(a.doc.createdAt)
+        )
+        .slice(0, CONFIG.maxResults)
+        .map(({ doc }) => {
+          const snippet = buildSnippet(doc, words);
+          return {
+            updateId: doc.id,
+            itemId: doc.itemId,
+            itemName: index.itemNames.get(doc.itemId) || "Untitled Task",
+            author: doc.author,
+            createdAt: doc.createdAt,
+            snippet,
+            snippetRanges: getMatchRanges(snippet, words),
+          };
+        });
+    },
+
+    /**
+     * Get the index status of a board
+     * @param {string} boardId - Board ID
+     * @returns {Object} { indexedCount, complete, refreshedAt }
+     */
+    getStatus(boardId) {
+      const index = boards.get(boardId);
+      return {
+        indexedCount: index ? index.docs.size : 0,
+        complete: index ? index.complete : false,
+        refreshedAt: index ? index.refreshedAt : 0,
+      };
+    },
+
+    /**
+     * Drop every index (e.g. when the API key changes)
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      boards.clear();
+      loading.clear();
+      try {
+        await getStore()?.clear();
+      } catch (error) {
+        console.warn("BoardSearchIndex: Failed to clear indexes", error);
+      }
+    },
+  };
+
+  // Export globally (service worker context)
+  if (typeof self !== "undefined") {
+    self.BoardSearchIndex = BoardSearchIndex;
+  } else if (typeof window !== "undefined") {
+    window.BoardSearchIndex = BoardSearchIndex;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = BoardSearchIndex;
+  }
+})();
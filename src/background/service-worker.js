@@ -6,6 +6,10 @@
  * - Caching (via CacheManager)
  * - Message passing (via MessageHandler)
  * - Rate limiting (via RateLimiter)
+ * - API-Version selection with deprecation fallback (via ApiVersion)
+ * - Live cache invalidation from webhook events (via LiveUpdates)
+ * - Board-wide search over an index of board updates (via BoardSearchIndex)
+ * - User preferences from the popup (via Settings)
  */
 
 // Import all required modules
@@ -13,22 +17,29 @@
 // Service worker is at: src/background/service-worker.js
 // So paths are relative to src/background/
 importScripts(
+  "../config/config.js",
+  "../shared/services/usageTracker.js",
+  "../shared/services/settings.js",
+  "../shared/services/errorHandler.js",
   "./cache/LRUCache.js",
+  "./cache/PersistentCache.js",
   "./cache/CacheManager.js",
+  "./cache/OfflineStore.js",
   "./api/RateLimiter.js",
+  "./api/ApiVersion.js",
+  "./api/GraphQLTransport.js",
   "./api/GraphQLQueries.js",
   "./api/ResponseParser.js",
+  "./api/RichTextParser.js",
   "./api/MondayAPI.js",
-  "./messaging/MessageHandler.js"
+  "./messaging/MessageHandler.js",
+  "./search/BoardSearchIndex.js",
+  "./live/LiveUpdates.js"
 );
 
-// Configuration
-const CONFIG = {
-  apiBaseUrl: "https://api.monday.com/v2",
-  cacheExpiry: 5 * 60 * 1000, // 5 minutes
-  maxCacheSize: 100,
-  apiVersion: "2025-10",
-};
+// Load user preferences; CacheManager, RateLimiter and LiveUpdates subscribe
+// to them and follow changes made in the popup
+Settings.load();
 
 /**
  * Initialize the background service worker
@@ -49,6 +60,32 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// Keyboard shortcut commands (manifest.json) -> content script actions
+const COMMAND_ACTIONS = {
+  "toggle-peek": "togglePeek",
+  "search-board": "openBoardSearch",
+};
+
+/**
+ * Handle keyboard shortcuts (configurable at chrome://extensions/shortcuts)
+ * The peek and the board search run in the content script of the active tab
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return;
+
+  try {
+    const targetTab =
+      tab ||
+      (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (targetTab?.id) {
+      await chrome.tabs.sendMessage(targetTab.id, { action });
+    }
+  } catch (error) {
+    // Not a monday.com tab, or the content script isn't loaded yet
+  }
+});
+
 /**
  * Handle messages from content script and popup
  * Routes to MessageHandler for processing
@@ -68,7 +105,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true; // Indicates we will send a response asynchronously
 
     case "fetchNotes":
-      MessageHandler.handleFetchNotes(request, sendResponse);
+      MessageHandler.handleFetchNotes(request, sendResponse, sender);
+      return true;
+
+    case "prefetchNotes":
+      MessageHandler.handlePrefetchNotes(request, sendResponse);
+      return true;
+
+    case "fetchNotesPage":
+      MessageHandler.handleFetchNotesPage(request, sendResponse);
+      return true;
+
+    case "postReply":
+      MessageHandler.handlePostReply(request, sendResponse);
+      return true;
+
+    case "changeColumnValue":
+      MessageHandler.handleChangeColumnValue(request, sendResponse);
+      return true;
+
+    case "postUpdate":
+      MessageHandler.handlePostUpdate(request, sendResponse);
+      return true;
+
+    case "getMentionCandidates":
+      MessageHandler.handleGetMentionCandidates(request, sendResponse);
       return true;
 
     case "validateApiKey":
@@ -91,6 +152,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       MessageHandler.handleTestApiConnection(request, sendResponse);
       return true;
 
+    case "getRateLimitStatus":
+      MessageHandler.handleGetRateLimitStatus(sendResponse);
+      return false;
+
+    case "getApiVersionStatus":
+      MessageHandler.handleGetApiVersionStatus(sendResponse);
+      return true;
+
+    case "getLiveUpdatesStatus":
+      MessageHandler.handleGetLiveUpdatesStatus(sendResponse);
+      return false;
+
+    case "searchBoard":
+      MessageHandler.handleSearchBoard(request, sendResponse);
+      return true;
+
+    case "peekItem":
+      MessageHandler.handlePeekItem(request, sendResponse, sender);
+      return true;
+
     default:
       console.warn("Background: Unknown action", request.action);
       sendResponse({ success: false, error: "Unknown action" });
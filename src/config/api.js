@@ -5,7 +5,7 @@
 
 export const API_CONFIG = {
   baseUrl: "https://api.monday.com/v2",
-  version: "2025-10",
+  // API version: see apiVersion in src/config/config.js
   headers: {
     "Content-Type": "application/json",
   },
@@ -16,14 +16,34 @@
     hideDelay: 200, // Delay before hiding tooltip (ms)
     tooltipId: "quick-peek-tooltip",
     tooltipOffset: 15, // Distance from cursor/element
+    tooltipPosition: "auto", // auto, cursor, right, below or docked (see TooltipPositioner)
+    enableNotifications: true, // Highlight updates that arrive while a tooltip is open
     zIndex: 999999, // High z-index to appear above Monday.com UI
 
     // Search settings
     searchDebounceMs: 150, // Debounce delay for search input
 
+    // Composer settings
+    maxUpdateLength: 5000, // Longest update or reply (also checked in the background)
+
+    // Item summary settings (column values shown under the tooltip header)
+    summaryColumnTypes: ["status", "people", "date", "timeline", "numbers"],
+    summaryColumnIds: [], // Extra column IDs to always show
+    summaryMaxColumns: 6,
+
+    // Prefetch settings (warm the cache for rows scrolled into view)
+    enablePrefetch: true,
+    prefetchBudget: 10, // Max prefetch requests per minute
+    prefetchDebounceMs: 400,
+
+    // Live updates (webhook events forwarded by a relay; off by default)
+    enableLiveUpdates: false,
+    liveUpdatesUrl: "",
+
     // API settings
     apiBaseUrl: "https://api.monday.com/v2",
-    apiVersion: "2025-10",
+    apiVersion: "2025-10", // API-Version header sent with every request
+    apiFallbackVersion: "2026-01", // Used once apiVersion is reported deprecated
     cacheExpiry: 5 * 60 * 1000, // 5 minutes
     maxCacheSize: 100,
     rateLimitDelay: 1000, // Delay between requests
@@ -43,9 +63,11 @@
     },
   };
 
-  // Expose CONFIG globally for all scripts
+  // Expose CONFIG globally for all scripts (self in the service worker)
   if (typeof window !== "undefined") {
     window.CONFIG = CONFIG;
+  } else if (typeof self !== "undefined") {
+    self.CONFIG = CONFIG;
   }
 
   // Also expose for Node.js/CommonJS if needed
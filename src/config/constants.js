@@ -16,7 +16,7 @@ export const CONFIG = {
 
   // API settings
   apiBaseUrl: "https://api.monday.com/v2",
-  apiVersion: "2023-10",
+  // API version: see apiVersion in src/config/config.js
   cacheExpiry: 5 * 60 * 1000, // 5 minutes
   maxCacheSize: 100,
   rateLimitDelay: 1000, // Delay between requests
@@ -10,6 +10,40 @@
   // Dependencies
   const getState = () => window.QuickPeekState || {};
 
+  /**
+   * Send a message to the background worker and unwrap its response
+   * @param {Object} message - Message payload (must include action)
+   * @returns {Promise<Object>} Response data
+   */
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      if (!chrome.runtime?.id) {
+        reject(new Error("Extension context invalidated"));
+        return;
+      }
+
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          const error = new Error(chrome.runtime.lastError.message);
+          error.code = "NETWORK_ERROR";
+          reject(error);
+          return;
+        }
+
+        if (!response || !response.success) {
+          const error = new Error(
+            response?.error || "No response from background"
+          );
+          error.code = response?.code || "UNKNOWN_ERROR";
+          reject(error);
+          return;
+        }
+
+        resolve(response.data);
+      });
+    });
+  }
+
   const ContentAPI = {
     /**
      * Fetch content from API via background worker
@@ -30,9 +64,7 @@
 
         // Check if extension context is still valid
         if (!chrome.runtime?.id) {
-          console.warn(
-            "ContentAPI: Extension context invalidated, using mock data"
-          );
+          console.warn("ContentAPI: Extension context invalidated");
           resolve(null);
           return;
         }
@@ -60,9 +92,7 @@
                 errorMessage.includes("message port closed") ||
                 errorMessage.includes("Could not establish connection")
               ) {
-                console.warn(
-                  "ContentAPI: Extension context invalidated, using mock data"
-                );
+                console.warn("ContentAPI: Extension context invalidated");
                 resolve(null);
                 return;
               }
@@ -93,6 +123,9 @@
                 success: true,
                 data: response.data,
                 cached: response.cached || false,
+                stale: response.stale || false,
+                offline: response.offline || false,
+                offlineAsOf: response.offlineAsOf || null,
               });
             } else {
               // Handle API errors
@@ -100,24 +133,14 @@
                 response.error || "Failed to fetch content"
               );
 
-              // Classify error based on response
-              if (response.error?.includes("API key")) {
-                error.code =
-                  window.ErrorHandler?.ERROR_CODES?.API_KEY_MISSING ||
-                  "API_KEY_MISSING";
-              } else if (response.error?.includes("not found")) {
-                error.code =
-                  window.ErrorHandler?.ERROR_CODES?.TASK_NOT_FOUND ||
-                  "TASK_NOT_FOUND";
-              } else if (response.error?.includes("rate limit")) {
-                error.code =
-                  window.ErrorHandler?.ERROR_CODES?.RATE_LIMITED ||
-                  "RATE_LIMITED";
-              } else {
-                error.code =
-                  window.ErrorHandler?.ERROR_CODES?.UNKNOWN_ERROR ||
-                  "UNKNOWN_ERROR";
-              }
+              // The background sends ERROR_CODES with every failure
+              error.code =
+                response.code ||
+                window.ErrorHandler?.ERROR_CODES?.UNKNOWN_ERROR ||
+                "UNKNOWN_ERROR";
+              // Transient failures were already retried in the background;
+              // the tooltip's Retry button still lets the user try again
+              error.retryable = false;
 
               reject(error);
             }
@@ -125,6 +148,109 @@
         );
       });
     },
+
+    /**
+     * Ask the background worker to warm its cache for these items
+     * @param {Array<string>} itemIds - Item IDs of visible rows
+     * @returns {Promise<Object>} { prefetched, skipped }
+     */
+    prefetchNotes(itemIds) {
+      return sendMessage({
+        action: "prefetchNotes",
+        taskIds: itemIds,
+      });
+    },
+
+    /**
+     * Fetch a page of older updates via background worker
+     * @param {string} itemId - Item ID
+     * @param {number} page - Page number to fetch
+     * @returns {Promise<Object>} Page data ({ notes, page, hasMore })
+     */
+    fetchNotesPage(itemId, page) {
+      return sendMessage({
+        action: "fetchNotesPage",
+        taskId: itemId,
+        page: page,
+      });
+    },
+
+    /**
+     * Post a reply to an update via background worker
+     * @param {string} itemId - Item ID
+     * @param {string} parentId - Update ID being replied to
+     * @param {string} body - Reply text
+     * @returns {Promise<Object>} The created reply
+     */
+    postReply(itemId, parentId, body) {
+      return sendMessage({
+        action: "postReply",
+        taskId: itemId,
+        parentId: parentId,
+        body: body,
+      });
+    },
+
+    /**
+     * Post a new top-level update via background worker
+     * @param {string} itemId - Item ID
+     * @param {string} body - Update text
+     * @param {Array<Object>} mentions - Mentioned users ({ id, name })
+     * @returns {Promise<Object>} The created note
+     */
+    postUpdate(itemId, body, mentions = []) {
+      return sendMessage({
+        action: "postUpdate",
+        taskId: itemId,
+        body: body,
+        mentions: mentions,
+      });
+    },
+
+    /**
+     * Change a status or people column via background worker
+     * @param {string} itemId - Item ID
+     * @param {string} columnId - Column ID
+     * @param {Object} value - { index } for status, { personIds } for people
+     * @returns {Promise<Object>} Updated column value
+     */
+    changeColumnValue(itemId, columnId, value) {
+      return sendMessage({
+        action: "changeColumnValue",
+        taskId: itemId,
+        columnId: columnId,
+        value: value,
+      });
+    },
+
+    /**
+     * Fetch users that can be @mentioned on the item's board
+     * @param {string} itemId - Item ID
+     * @returns {Promise<Object>} { boardId, users }
+     */
+    getMentionCandidates(itemId) {
+      return sendMessage({
+        action: "getMentionCandidates",
+        taskId: itemId,
+      });
+    },
+
+    /**
+     * Search the updates of a whole board via background worker
+     * @param {string} boardId - Board ID
+     * @param {string} query - Search text ("" only refreshes the index)
+     * @param {boolean} refresh - Look for new updates right away
+     * @returns {Promise<Object>} { results, indexedCount, complete,
+     *   refreshedAt, stale }
+     */
+    searchBoard(boardId, query, refresh = false) {
+      return sendMessage({
+        action: "searchBoard",
+        boardId: boardId,
+        query: query,
+        refresh: refresh,
+      });
+    },
   };
 
   // Export globally
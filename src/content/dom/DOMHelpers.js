@@ -102,6 +102,15 @@
       // Fallback: use first text node or row text
       return row.textContent?.trim().split("\n")[0] || "Untitled Task";
     },
+
+    /**
+     * Get the ID of the board shown on the page
+     * @returns {string|null} Board ID from the URL, or null off-board
+     */
+    getBoardId() {
+      const match = location.pathname.match(/\/boards\/(\d+)/);
+      return match ? match[1] : null;
+    },
   };
 
   // Export globally
@@ -9,16 +9,32 @@
 
   // State (shared with other modules via global state object)
   const getState = () => window.QuickPeekState || {};
+  const getPrefetcher = () => window.Prefetcher;
 
   const CONFIG = {
-    hoverDelay: 500,
-    hideDelay: 400,
     selectors: {
       boardRow:
         '.pulse-component[role="list"], [id^="row-pulse-"], .board-row, [data-testid*="board-row"], [class*="boardRow"], [class*="pulse-component"]',
+      subitemRow:
+        '[class*="subitems-component"] [id^="row-pulse-"], [class*="subitem-row"], [class*="SubitemRow"], [data-testid*="subitem-row"], [data-testid*="subitem"][data-item-id]',
     },
   };
 
+  /**
+   * Find the subitem row that contains an element, if it is nested inside row
+   * @param {HTMLElement} element - Element inside row
+   * @param {HTMLElement} row - Row being processed
+   * @returns {boolean} True if element belongs to a subitem row nested in row
+   */
+  function isInNestedSubitem(element, row) {
+    try {
+      const subitemRow = element.closest(CONFIG.selectors.subitemRow);
+      return !!subitemRow && subitemRow !== row && row.contains(subitemRow);
+    } catch (e) {
+      return false;
+    }
+  }
+
   const HoverDetector = {
     /**
      * Find all task rows and attach hover listeners to updates column
@@ -74,8 +90,22 @@
         }
       });
 
+      // Subitem rows are rendered separately from their parent rows and may
+      // not match the selector picked above, so always include them
+      let subitemRows = [];
+      try {
+        subitemRows = Array.from(
+          document.querySelectorAll(CONFIG.selectors.subitemRow)
+        );
+      } catch (e) {
+        // Selector failed, skip subitems
+      }
+      subitemRows.forEach((row) => {
+        row.dataset.quickPeekSubitem = "true";
+      });
+
       // Remove duplicates
-      rows = [...new Set(rows)];
+      rows = [...new Set([...rows, ...subitemRows])];
 
       // Filter out rows that are too small or don't look like task rows
       rows = rows.filter((row) => {
@@ -98,9 +128,13 @@
 
         // Try to find the updates column within this row
         let updatesTarget = null;
+        // Skip cells that belong to a subitem row nested inside this row
         for (const selector of updatesSelectors) {
           try {
-            updatesTarget = row.querySelector(selector);
+            updatesTarget =
+              Array.from(row.querySelectorAll(selector)).find(
+                (el) => !isInNestedSubitem(el, row)
+              ) || null;
             if (updatesTarget) {
               break;
             }
@@ -117,6 +151,12 @@
         // Mark row as processed
         row.dataset.quickPeekListener = "true";
 
+        // Warm the cache once the row scrolls into view
+        const prefetcher = getPrefetcher();
+        if (prefetcher) {
+          prefetcher.observe(row);
+        }
+
         // Store reference to parent row on the target element
         if (updatesTarget !== row) {
           updatesTarget.dataset.quickPeekParentRow = "true";
@@ -200,6 +240,16 @@
 
       tryAttach();
     },
+
+    /**
+     * Get rows that have hover listeners attached, in document order
+     * @returns {Array<HTMLElement>} Task and subitem rows
+     */
+    getRows() {
+      return Array.from(
+        document.querySelectorAll('[data-quick-peek-listener="true"]')
+      );
+    },
   };
 
   // Export globally
@@ -0,0 +1,219 @@
+/**
+ * Keyboard Peek Module for Content Script
+ *
+ * Opens the peek for the row under the keyboard focus or selection when the
+ * extension's shortcut is pressed (see "commands" in manifest.json), moves
+ * between rows with the arrow keys and closes with Escape
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getState = () => window.QuickPeekState || {};
+  const getTooltipManager = () => window.TooltipManager;
+  const getHoverDetector = () => window.HoverDetector;
+
+  const CONFIG = {
+    followDelay: 120, // Wait for arrow key repeats to settle before fetching
+    activeRowClass: "quick-peek-keyboard-row",
+    selectedRowSelector:
+      '[aria-selected="true"], [class*="selected"], input[type="checkbox"]:checked',
+  };
+
+  let openPeek = null; // Callback that shows the tooltip for a row
+  let activeRow = null;
+  let followTimer = null;
+
+  /**
+   * Get the rows the hover detector found, in document order
+   * @returns {Array<HTMLElement>} Visible rows
+   */
+  function getRows() {
+    const hoverDetector = getHoverDetector();
+    const rows = hoverDetector ? hoverDetector.getRows() : [];
+    return rows.filter((row) => row.getBoundingClientRect().height > 0);
+  }
+
+  /**
+   * Find the row for the element that has keyboard focus
+   * @param {Array<HTMLElement>} rows - Candidate rows
+   * @returns {HTMLElement|null} Row
+   */
+  function findFocusedRow(rows) {
+    const focused = document.activeElement;
+    if (!focused || focused === document.body) return null;
+
+    // Innermost row wins, so a focused subitem doesn't open its parent
+    return (
+      rows
+        .filter((row) => row.contains(focused))
+        .sort((a, b) => (a.contains(b) ? 1 : b.contains(a) ? -1 : 0))[0] || null
+    );
+  }
+
+  /**
+   * Find the first selected row that is on screen
+   * @param {Array<HTMLElement>} rows - Candidate rows
+   * @returns {HTMLElement|null} Row
+   */
+  function findSelectedRow(rows) {
+    return (
+      rows.find((row) => {
+        if (!isInViewport(row)) return false;
+        try {
+          return (
+            row.matches(CONFIG.selectedRowSelector) ||
+            !!row.querySelector(CONFIG.selectedRowSelector)
+          );
+        } catch (e) {
+          return false;
+        }
+      }) || null
+    );
+  }
+
+  // Helper: Check whether a row is at least partly visible
+  function isInViewport(row) {
+    const rect = row.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
+  }
+
+  // Helper: Keys typed into these elements belong to them, not to the peek
+  function isEditable(element) {
+    if (!element) return false;
+    if (element.classList?.contains("search-input")) return false;
+    return (
+      element.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+    );
+  }
+
+  /**
+   * Mark a row as the keyboard peek target and show its tooltip
+   * @param {HTMLElement} row - Task row
+   * @param {boolean} immediate - Skip the follow delay
+   */
+  function moveTo(row, immediate) {
+    if (activeRow) {
+      activeRow.classList.remove(CONFIG.activeRowClass);
+    }
+    activeRow = row;
+    row.classList.add(CONFIG.activeRowClass);
+    row.scrollIntoView({ block: "nearest" });
+
+    clearTimeout(followTimer);
+    if (immediate) {
+      openPeek(row);
+    } else {
+      followTimer = setTimeout(() => {
+        followTimer = null;
+        openPeek(row);
+      }, CONFIG.followDelay);
+    }
+  }
+
+  /**
+   * Handle arrow keys and Escape while the keyboard peek is open
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  function handleKeydown(e) {
+    if (!activeRow || e.defaultPrevented) return;
+
+    // The tooltip was closed some other way (mouse, navigation)
+    if (!getState().currentTooltip && !followTimer) {
+      KeyboardPeek.close();
+      return;
+    }
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      KeyboardPeek.close();
+      return;
+    }
+
+    if (
+      (e.key !== "ArrowDown" && e.key !== "ArrowUp") ||
+      isEditable(e.target)
+    ) {
+      return;
+    }
+
+    const rows = getRows();
+    const index = rows.indexOf(activeRow);
+    const next = rows[index + (e.key === "ArrowDown" ? 1 : -1)];
+    e.preventDefault();
+    if (next) {
+      moveTo(next, false);
+    }
+  }
+
+  const KeyboardPeek = {
+    /**
+     * Set up the keyboard handler
+     * @param {Object} options - Options
+     * @param {Function} options.open - Shows the tooltip for a row
+     */
+    init(options) {
+      openPeek = options.open;
+      document.removeEventListener("keydown", handleKeydown);
+      document.addEventListener("keydown", handleKeydown);
+    },
+
+    /**
+     * Open the peek for the focused or selected row, or close it if open
+     */
+    toggle() {
+      if (activeRow) {
+        this.close();
+        return;
+      }
+      if (!openPeek) return;
+
+      const rows = getRows();
+      const row =
+        findFocusedRow(rows) ||
+        findSelectedRow(rows) ||
+        (rows.includes(getState().currentTarget)
+          ? getState().currentTarget
+          : null) ||
+        rows.find(isInViewport);
+      if (row) {
+        moveTo(row, true);
+      }
+    },
+
+    /**
+     * Close the keyboard peek
+     */
+    close() {
+      clearTimeout(followTimer);
+      followTimer = null;
+      if (activeRow) {
+        activeRow.classList.remove(CONFIG.activeRowClass);
+        activeRow = null;
+      }
+      const tooltipManager = getTooltipManager();
+      if (tooltipManager) {
+        tooltipManager.hide();
+      }
+    },
+
+    /**
+     * Check whether the keyboard peek is open
+     * @returns {boolean} True while a row is targeted from the keyboard
+     */
+    isActive() {
+      return !!activeRow;
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.KeyboardPeek = KeyboardPeek;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = KeyboardPeek;
+  }
+})();
@@ -0,0 +1,142 @@
+/**
+ * Prefetcher Module for Content Script
+ *
+ * Watches task rows with an IntersectionObserver and asks the background
+ * worker to warm its cache for rows scrolled into view, so hovers render
+ * from cache instead of waiting on the network
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getConfig = () => window.CONFIG || {};
+  const getContentAPI = () => window.ContentAPI;
+  const getDOMHelpers = () => window.DOMHelpers;
+
+  const CONFIG = {
+    rootMargin: "200px 0px", // Start a little before rows become visible
+  };
+
+  let observer = null;
+  let flushTimer = null;
+  const pendingIds = new Set();
+  const requestedAt = new Map(); // itemId -> timestamp of last prefetch
+
+  // Helper: Prefetching can be turned off from the popup
+  function isEnabled() {
+    return (
+      getConfig().enablePrefetch !== false &&
+      typeof IntersectionObserver !== "undefined"
+    );
+  }
+
+  // Helper: Skip items prefetched recently (still cached in the background,
+  // which keeps entries for the cacheExpiry setting)
+  function wasRecentlyRequested(itemId) {
+    const timestamp = requestedAt.get(itemId);
+    return !!timestamp && Date.now() - timestamp < getConfig().cacheExpiry;
+  }
+
+  const Prefetcher = {
+    /**
+     * Start watching a task row
+     * @param {HTMLElement} row - Task row element
+     */
+    observe(row) {
+      if (!row || !isEnabled()) return;
+
+      if (!observer) {
+        observer = new IntersectionObserver(
+          (entries) => this.handleIntersections(entries),
+          { rootMargin: CONFIG.rootMargin }
+        );
+      }
+      observer.observe(row);
+    },
+
+    /**
+     * Queue item IDs of rows that became visible
+     * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+     */
+    handleIntersections(entries) {
+      const domHelpers = getDOMHelpers();
+      if (!domHelpers || !isEnabled()) return;
+
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+
+        const itemId = domHelpers.getTaskId(entry.target);
+        if (itemId && !wasRecentlyRequested(itemId)) {
+          pendingIds.add(itemId);
+        }
+      });
+
+      if (pendingIds.size > 0) {
+        this.scheduleFlush();
+      }
+    },
+
+    /**
+     * Debounce flushes so a scroll produces one request, not one per row
+     */
+    scheduleFlush() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+      }
+      flushTimer = setTimeout(() => {
+        flushTimer = null;
+        this.flush();
+      }, getConfig().prefetchDebounceMs || 400);
+    },
+
+    /**
+     * Send queued item IDs to the background worker
+     */
+    async flush() {
+      const contentAPI = getContentAPI();
+      if (!contentAPI || pendingIds.size === 0) return;
+
+      const itemIds = Array.from(pendingIds);
+      pendingIds.clear();
+
+      const now = Date.now();
+      itemIds.forEach((id) => requestedAt.set(id, now));
+
+      try {
+        const result = await contentAPI.prefetchNotes(itemIds);
+
+        // Items skipped for budget reasons can be retried on the next scroll
+        if (result?.skipped > 0) {
+          itemIds.forEach((id) => requestedAt.delete(id));
+        }
+      } catch (error) {
+        itemIds.forEach((id) => requestedAt.delete(id));
+      }
+    },
+
+    /**
+     * Stop watching all rows
+     */
+    disconnect() {
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+      }
+      pendingIds.clear();
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.Prefetcher = Prefetcher;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = Prefetcher;
+  }
+})();
@@ -18,8 +18,6 @@
   // Configuration
   const CONFIG = {
     ...(window.CONFIG || {}),
-    hoverDelay: 500,
-    hideDelay: 400,
     tooltipId: "quick-peek-tooltip",
     tooltipOffset: 20,
     zIndex: 999999,
@@ -28,7 +26,11 @@
   // Merge CONFIG into window.CONFIG for modules
   window.CONFIG = { ...window.CONFIG, ...CONFIG };
 
-  // Mock data for fallback
+  // Unpacked (developer) builds have no update_url; only they may show mock
+  // notes when the background can't be reached
+  const isDevBuild = !chrome.runtime?.getManifest?.().update_url;
+
+  // Mock data for development fallback
   const mockNotes = {
     taskName: "Example Task",
     notes: [
@@ -54,9 +56,32 @@
   const MutationObserverManager = window.MutationObserverManager;
   const DOMHelpers = window.DOMHelpers;
   const TooltipPositioner = window.TooltipPositioner;
+  const NotesPager = window.NotesPager;
+  const ReplyComposer = window.ReplyComposer;
+  const UpdateComposer = window.UpdateComposer;
+  const ColumnEditor = window.ColumnEditor;
+  const KeyboardPeek = window.KeyboardPeek;
+  const PinnedPanels = window.PinnedPanels;
+  const BoardSearch = window.BoardSearch;
+  const Settings = window.Settings;
+
+  // Settings the content script reads from window.CONFIG (the rest apply in
+  // the service worker)
+  const CONTENT_SETTINGS = [
+    "hoverDelay",
+    "hideDelay",
+    "tooltipPosition",
+    "enableNotifications",
+    "summaryColumnTypes",
+    "summaryColumnIds",
+    "enablePrefetch",
+    "prefetchBudget",
+  ];
 
   // State
   let isInitialized = false;
+  let messageListenerAttached = false;
+  let clickTrackingAttached = false;
 
   /**
    * Initialize the content script
@@ -95,6 +120,19 @@
       });
     }
 
+    // Restore panels pinned on this board (and keep open ones attached)
+    if (PinnedPanels) {
+      PinnedPanels.init();
+    }
+
+    // Keyboard shortcut peek (shortcut handled by the service worker)
+    if (KeyboardPeek) {
+      KeyboardPeek.init({ open: (row) => showTooltip(row, null) });
+    }
+
+    // Clicked rows are shown in the side panel
+    setupClickTracking();
+
     // Set up message listener for API calls from popup
     // This allows the popup to validate API keys using the monday.com origin
     setupMessageListener();
@@ -102,11 +140,65 @@
     isInitialized = true;
   }
 
+  /**
+   * Apply preferences saved from the popup to window.CONFIG, which the
+   * other modules read on every use
+   * @param {Object} settings - Current settings
+   * @param {Array<string>} changedKeys - Settings that changed
+   */
+  function applySettings(settings, changedKeys) {
+    CONTENT_SETTINGS.forEach((key) => {
+      window.CONFIG[key] = settings[key];
+    });
+    // Set in minutes, kept in ms like the default in config.js
+    window.CONFIG.cacheExpiry = settings.cacheExpiry * 60 * 1000;
+
+    if (
+      changedKeys.includes("enablePrefetch") &&
+      !settings.enablePrefetch &&
+      window.Prefetcher
+    ) {
+      window.Prefetcher.disconnect();
+    }
+  }
+
   /**
    * Set up message listener for extension messages
    */
   function setupMessageListener() {
+    // init() runs again after SPA navigation; one listener is enough
+    if (messageListenerAttached) return;
+    messageListenerAttached = true;
+
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Fresh notes after stale cached notes were shown
+      if (request.action === "notesRefreshed") {
+        handleNotesRefreshed(request);
+        return;
+      }
+
+      // Keyboard shortcut from the "toggle-peek" command
+      if (request.action === "togglePeek") {
+        if (KeyboardPeek) {
+          KeyboardPeek.toggle();
+        }
+        return;
+      }
+
+      // Keyboard shortcut from the "search-board" command
+      if (request.action === "openBoardSearch") {
+        if (BoardSearch) {
+          BoardSearch.open();
+        }
+        return;
+      }
+
+      // Webhook event forwarded by the live updates relay
+      if (request.action === "liveUpdate") {
+        handleLiveUpdate(request);
+        return;
+      }
+
       // Handle pro license activation notification
       if (request.action === "proLicenseActivated") {
         // Hide upgrade banners when pro is activated
@@ -117,6 +209,48 @@
     });
   }
 
+  /**
+   * Tell the background which item was peeked at, for the side panel
+   * @param {string} taskId - Item ID
+   * @param {string} taskName - Item name
+   * @param {string} source - "hover" or "click"
+   */
+  function reportPeekedItem(taskId, taskName, source) {
+    if (!chrome.runtime?.id) return;
+
+    chrome.runtime
+      .sendMessage({
+        action: "peekItem",
+        taskId: taskId,
+        taskName: taskName,
+        source: source,
+      })
+      .catch(() => {
+        // Extension reloaded; the side panel just won't update
+      });
+  }
+
+  /**
+   * Report clicks on task rows so the side panel shows the clicked item even
+   * when it isn't following the hover
+   */
+  function setupClickTracking() {
+    if (clickTrackingAttached || !DOMHelpers) return;
+    clickTrackingAttached = true;
+
+    document.addEventListener(
+      "click",
+      (e) => {
+        const row = e.target.closest?.('[data-quick-peek-listener="true"]');
+        const taskId = row ? DOMHelpers.getTaskId(row) : null;
+        if (taskId) {
+          reportPeekedItem(taskId, DOMHelpers.getTaskName(row), "click");
+        }
+      },
+      true
+    );
+  }
+
   /**
    * Attach hover listeners with retry logic
    */
@@ -171,7 +305,7 @@
     // Show tooltip after delay
     const hoverTimeout = setTimeout(() => {
       showTooltip(row, event);
-    }, CONFIG.hoverDelay);
+    }, window.CONFIG.hoverDelay);
 
     if (StateManager) {
       StateManager.set("hoverTimeout", hoverTimeout);
@@ -197,7 +331,7 @@
           TooltipManager.hide();
         }
       }
-    }, CONFIG.hideDelay);
+    }, window.CONFIG.hideDelay);
 
     if (StateManager) {
       StateManager.set("hideTimeout", hideTimeout);
@@ -210,7 +344,8 @@
   function handleMouseMove(event) {
     const state = window.QuickPeekState;
     if (state.currentTooltip && state.currentTarget === event.currentTarget) {
-      if (TooltipPositioner) {
+      // Anchored placements stay put while the mouse moves
+      if (TooltipPositioner && TooltipPositioner.followsCursor()) {
         TooltipPositioner.position(
           state.currentTooltip,
           event.currentTarget,
@@ -323,14 +458,17 @@
     }
 
     // Show loading state
-    const loadingContent =
-      '<div class="tooltip-content"><div style="text-align: center; padding: 40px; color: #676879;">Loading...</div></div>';
+    const loadingContent = TooltipRenderer
+      ? TooltipRenderer.renderLoading(taskName)
+      : '<div class="tooltip-content">Loading...</div>';
     TooltipManager.show(row, event, loadingContent);
 
     try {
       // Try to fetch real data from API
       const itemId = DOMHelpers ? DOMHelpers.getTaskId(row) : null;
       let notesData = null;
+      let stale = false;
+      let offlineAsOf = null;
 
       if (itemId && ContentAPI) {
         // Cancel any previous request
@@ -357,20 +495,30 @@
 
         if (response && response.success && response.data) {
           notesData = response.data;
-        } else if (response === null) {
-          notesData = mockNotes;
+          stale = response.stale;
+          offlineAsOf = response.offline ? response.offlineAsOf : null;
         } else if (response && !response.success) {
           throw new Error(response.error || "Failed to fetch content");
-        } else {
+        } else if (isDevBuild) {
           notesData = mockNotes;
+        } else {
+          // Background unreachable, usually after the extension was updated
+          throw new Error(
+            "Quick Peek was updated. Reload the page to see notes."
+          );
         }
-      } else {
+      } else if (isDevBuild) {
         notesData = mockNotes;
+      } else {
+        // Not a row we can read an item ID from
+        TooltipManager.hide();
+        return;
       }
 
-      // Check if there are any notes
+      // Check if there are any notes (or subitems worth peeking at)
       const notes = notesData?.notes || [];
-      if (notes.length === 0) {
+      const subitems = notesData?.subitems || [];
+      if (notes.length === 0 && subitems.length === 0) {
         TooltipManager.hide();
         return;
       }
@@ -378,6 +526,7 @@
       // Store notes in state for search
       if (StateManager) {
         StateManager.set("currentNotes", notes);
+        StateManager.set("currentNotesData", notesData);
       }
 
       // Format and display content
@@ -387,6 +536,21 @@
 
       TooltipManager.updateContent(content);
 
+      // Let the side panel follow the hover
+      if (itemId) {
+        reportPeekedItem(itemId, taskName, "hover");
+      }
+
+      // Cached notes past their expiry: the background is refetching them
+      if (stale) {
+        TooltipManager.setRefreshing(true);
+      }
+
+      // Monday.com unreachable: these are the last saved notes
+      if (offlineAsOf) {
+        TooltipManager.setOffline(offlineAsOf);
+      }
+
       // Only add watermark and track usage for FREE users
       const isPro = tooltip.dataset.isPro === "true";
 
@@ -413,28 +577,7 @@
 
       // Attach search listeners and theme toggle
       setTimeout(() => {
-        if (SearchManager) {
-          SearchManager.attachListeners(tooltip);
-        }
-
-        // Attach theme toggle listener
-        const themeToggle = tooltip.querySelector(".theme-toggle");
-        if (themeToggle) {
-          themeToggle.addEventListener("click", (e) => {
-            e.stopPropagation();
-            if (tooltip.classList.contains("force-dark")) {
-              tooltip.classList.remove("force-dark");
-              tooltip.classList.add("force-light");
-              themeToggle.textContent = "☀️";
-            } else if (tooltip.classList.contains("force-light")) {
-              tooltip.classList.remove("force-light");
-              themeToggle.textContent = "🌓";
-            } else {
-              tooltip.classList.add("force-dark");
-              themeToggle.textContent = "🌙";
-            }
-          });
-        }
+        attachTooltipListeners(tooltip);
       }, 50);
     } catch (error) {
       // Use error handler to show error UI (no console logging for cleaner output)
@@ -468,6 +611,188 @@
     }
   }
 
+  /**
+   * Attach listeners to freshly rendered tooltip content
+   * Delegated listeners are bound once; the search input and theme toggle
+   * are replaced on every full render
+   * @param {HTMLElement} tooltip - Tooltip element
+   */
+  function attachTooltipListeners(tooltip) {
+    if (SearchManager) {
+      SearchManager.attachListeners(tooltip);
+    }
+
+    if (NotesPager) {
+      NotesPager.attachListeners(tooltip);
+    }
+
+    if (ReplyComposer) {
+      ReplyComposer.attachListeners(tooltip);
+    }
+
+    if (UpdateComposer) {
+      UpdateComposer.attachListeners(tooltip);
+    }
+
+    if (ColumnEditor) {
+      ColumnEditor.attachListeners(tooltip);
+    }
+
+    if (PinnedPanels) {
+      PinnedPanels.attachListeners(tooltip);
+    }
+
+    // Attach theme toggle listener
+    const themeToggle = tooltip.querySelector(".theme-toggle");
+    if (themeToggle) {
+      themeToggle.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (tooltip.classList.contains("force-dark")) {
+          tooltip.classList.remove("force-dark");
+          tooltip.classList.add("force-light");
+          themeToggle.textContent = "☀️";
+        } else if (tooltip.classList.contains("force-light")) {
+          tooltip.classList.remove("force-light");
+          themeToggle.textContent = "🌓";
+        } else {
+          tooltip.classList.add("force-dark");
+          themeToggle.textContent = "🌙";
+        }
+      });
+    }
+  }
+
+  /**
+   * Swap fresh notes into the open tooltip for the same item
+   * Skipped while the user has a draft, an optimistic note or older pages
+   * loaded; the fresh data is cached for the next peek
+   * @param {Object} notesData - Fresh notes data
+   */
+  function applyFreshNotes(notesData) {
+    const state = window.QuickPeekState;
+    const tooltip = state.currentTooltip;
+    if (
+      !tooltip ||
+      !TooltipRenderer ||
+      state.currentNotesData?.taskId !== notesData?.taskId
+    ) {
+      return;
+    }
+
+    const busy =
+      tooltip.querySelector(
+        ".composer-form, .note-reply-form, .column-editor"
+      ) ||
+      (state.currentNotes || []).some((note) => note.pending) ||
+      (state.currentNotesData?.page || 1) > 1;
+    if (busy) return;
+
+    const shownIds = new Set(
+      (state.currentNotes || []).map((note) => String(note.id))
+    );
+    if (StateManager) {
+      StateManager.set("currentNotes", notesData.notes || []);
+      StateManager.set("currentNotesData", notesData);
+    }
+
+    const taskName =
+      tooltip.querySelector(".tooltip-task-name")?.textContent ||
+      notesData.taskName ||
+      "Task";
+    TooltipManager.updateContent(
+      TooltipRenderer.formatContent(
+        taskName,
+        notesData,
+        state.currentSearchTerm || ""
+      ),
+      { preserveState: true }
+    );
+    attachTooltipListeners(tooltip);
+
+    if (window.CONFIG.enableNotifications) {
+      highlightNewNotes(tooltip, shownIds);
+    }
+  }
+
+  /**
+   * Briefly highlight notes that weren't shown before a refresh
+   * @param {HTMLElement} tooltip - Tooltip element
+   * @param {Set<string>} shownIds - IDs of the notes shown before
+   */
+  function highlightNewNotes(tooltip, shownIds) {
+    tooltip.querySelectorAll(".note-item[data-note-id]").forEach((item) => {
+      if (!shownIds.has(item.dataset.noteId)) {
+        item.classList.add("note-new");
+      }
+    });
+  }
+
+  /**
+   * Swap in notes refetched after stale cached notes were shown, in the
+   * tooltip and in pinned panels for the item
+   * @param {Object} message - { taskId, data, changed, error }
+   */
+  function handleNotesRefreshed(message) {
+    const state = window.QuickPeekState;
+    if (PinnedPanels && message.changed && message.data) {
+      PinnedPanels.refresh(message.taskId, message.data);
+    }
+
+    if (
+      !state.currentTooltip ||
+      state.currentNotesData?.taskId !== message.taskId
+    ) {
+      return;
+    }
+
+    TooltipManager.setRefreshing(false);
+    if (message.changed && message.data) {
+      applyFreshNotes(message.data);
+    }
+  }
+
+  /**
+   * Refresh the open tooltip and pinned panels when a webhook event touches
+   * their item
+   * @param {Object} message - { type, taskId, parentId, data }
+   */
+  async function handleLiveUpdate(message) {
+    const state = window.QuickPeekState;
+    if (PinnedPanels) {
+      PinnedPanels.handleLiveUpdate(message);
+    }
+
+    const currentId = state.currentNotesData?.taskId;
+    if (
+      !state.currentTooltip ||
+      !currentId ||
+      (currentId !== message.taskId && currentId !== message.parentId)
+    ) {
+      return;
+    }
+
+    // Column changes arrive already patched; anything else is refetched
+    if (message.data && currentId === message.taskId) {
+      applyFreshNotes(message.data);
+      return;
+    }
+
+    if (!ContentAPI) return;
+    TooltipManager.setRefreshing(true);
+    try {
+      const response = await ContentAPI.fetchContent(currentId, "note");
+      if (response?.success && response.data) {
+        applyFreshNotes(response.data);
+      }
+    } catch (error) {
+      // Keep showing what we have
+    } finally {
+      if (state.currentNotesData?.taskId === currentId) {
+        TooltipManager.setRefreshing(false);
+      }
+    }
+  }
+
   // Initialize when script loads
   init();
 
@@ -487,6 +812,12 @@
     }
   }).observe(document, { subtree: true, childList: true });
 
+  // Load popup preferences once and follow changes (init reruns on navigation)
+  if (Settings) {
+    Settings.subscribe(applySettings);
+    Settings.load();
+  }
+
   // Listen for messages from popup (e.g., when license is activated/deactivated)
   if (chrome.runtime?.onMessage) {
     chrome.runtime.onMessage.addListener(
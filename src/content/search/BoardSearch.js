@@ -0,0 +1,320 @@
+/**
+ * Board Search Module
+ *
+ * Overlay that searches the updates of every item on the current board,
+ * opened with the "search-board" shortcut (see "commands" in manifest.json).
+ * The index lives in the background (BoardSearchIndex); picking a result
+ * scrolls to the item's row and highlights it.
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getConfig = () => window.CONFIG || {};
+  const getContentAPI = () => window.ContentAPI;
+  const getDOMHelpers = () => window.DOMHelpers;
+  const getHoverDetector = () => window.HoverDetector;
+  const getTooltipManager = () => window.TooltipManager;
+  const getTooltipRenderer = () => window.TooltipRenderer;
+
+  const CONFIG = {
+    overlayId: "quick-peek-board-search",
+    searchDelay: 200,
+    hitClass: "quick-peek-search-hit",
+    hitDuration: 2500, // How long the jumped-to row stays highlighted
+  };
+
+  let overlay = null;
+  let boardId = null;
+  let results = [];
+  let selectedIndex = -1;
+  let searchTimer = null;
+  let searchToken = 0; // Drops responses to outdated queries
+  let previousFocus = null;
+
+  // Helper: Escape HTML via the tooltip renderer
+  function escapeHtml(text) {
+    return getTooltipRenderer()?.escapeHtml(text) ?? "";
+  }
+
+  /**
+   * Create the overlay element
+   * @returns {HTMLElement} Overlay
+   */
+  function createOverlay() {
+    const element = document.createElement("div");
+    element.id = CONFIG.overlayId;
+    element.className = "board-search-overlay";
+    element.style.zIndex = String(getConfig().zIndex || 999999);
+    element.innerHTML = `
+      <div class="board-search" role="dialog" aria-label="Search board updates">
+        <input type="text" class="board-search-input" placeholder="Search updates on this board..." autocomplete="off" aria-label="Search updates on this board" />
+        <div class="board-search-status" aria-live="polite"></div>
+        <ul class="board-search-results" role="listbox"></ul>
+        <div class="board-search-hint">↑↓ to move · Enter to jump to the item · Esc to close</div>
+      </div>`;
+
+    element.addEventListener("click", (e) => {
+      const item = e.target.closest(".board-search-result");
+      if (item) {
+        jumpTo(results[parseInt(item.dataset.index, 10)]);
+      } else if (e.target === element) {
+        BoardSearch.close();
+      }
+    });
+
+    element.addEventListener("input", (e) => {
+      if (!e.target.classList.contains("board-search-input")) return;
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(
+        () => runSearch(e.target.value),
+        CONFIG.searchDelay
+      );
+    });
+
+    // Keep typing in the overlay away from Monday's shortcuts
+    element.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+
+      if (e.key === "Escape") {
+        e.preventDefault();
+        BoardSearch.close();
+      } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        select(selectedIndex + (e.key === "ArrowDown" ? 1 : -1));
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        if (results[selectedIndex]) jumpTo(results[selectedIndex]);
+      }
+    });
+
+    return element;
+  }
+
+  /**
+   * Set the status line
+   * @param {string} text - Status text
+   * @param {boolean} isError - Show as an error
+   */
+  function setStatus(text, isError = false) {
+    const status = overlay?.querySelector(".board-search-status");
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle("is-error", isError);
+  }
+
+  // Helper: Status line describing the index
+  function describeIndex(data) {
+    const count = data.indexedCount.toLocaleString();
+    let text = data.complete
+      ? `${count} update${data.indexedCount === 1 ? "" : "s"} indexed`
+      : `Newest ${count} updates indexed`;
+    if (data.stale) {
+      text += " · offline, results may be outdated";
+    }
+    return text;
+  }
+
+  /**
+   * Search the board and render the results
+   * @param {string} query - Search text
+   */
+  async function runSearch(query) {
+    const contentAPI = getContentAPI();
+    if (!overlay || !contentAPI) return;
+
+    const token = ++searchToken;
+    const trimmed = query.trim();
+    if (trimmed) setStatus("Searching...");
+
+    try {
+      const data = await contentAPI.searchBoard(boardId, trimmed);
+      if (token !== searchToken || !overlay) return;
+
+      renderResults(data.results || []);
+      if (!trimmed) {
+        setStatus(describeIndex(data));
+      } else if (results.length === 0) {
+        setStatus(`No updates match · ${describeIndex(data)}`);
+      } else {
+        setStatus(
+          `${results.length} result${
+            results.length === 1 ? "" : "s"
+          } · ${describeIndex(data)}`
+        );
+      }
+    } catch (error) {
+      if (token !== searchToken || !overlay) return;
+      renderResults([]);
+      setStatus(error.message || "Failed to search board", true);
+    }
+  }
+
+  /**
+   * Render the result list
+   * Snippets are highlighted with the ranges the index matched, since its
+   * prefix matching differs from the tooltip search syntax
+   * @param {Array<Object>} newResults - Results from the background
+   */
+  function renderResults(newResults) {
+    const tooltipRenderer = getTooltipRenderer();
+    const list = overlay.querySelector(".board-search-results");
+    results = newResults;
+
+    list.innerHTML = results
+      .map(
+        (result, index) => `
+        <li class="board-search-result" role="option" data-index="${index}">
+          <div class="board-search-result-header">
+            <span class="board-search-item">${escapeHtml(
+              result.itemName
+            )}</span>
+            <span class="board-search-meta">${escapeHtml(
+              result.author
+            )} · ${escapeHtml(
+          tooltipRenderer?.formatRelativeTime(result.createdAt) || ""
+        )}</span>
+          </div>
+          <div class="board-search-snippet">${
+            tooltipRenderer
+              ? tooltipRenderer.highlightRanges(
+                  result.snippet,
+                  result.snippetRanges
+                )
+              : escapeHtml(result.snippet)
+          }</div>
+        </li>`
+      )
+      .join("");
+
+    select(results.length > 0 ? 0 : -1);
+  }
+
+  /**
+   * Mark a result as selected
+   * @param {number} index - Result index (clamped)
+   */
+  function select(index) {
+    if (results.length === 0) {
+      selectedIndex = -1;
+      return;
+    }
+    selectedIndex = Math.max(0, Math.min(results.length - 1, index));
+
+    overlay.querySelectorAll(".board-search-result").forEach((item, i) => {
+      const selected = i === selectedIndex;
+      item.classList.toggle("selected", selected);
+      item.setAttribute("aria-selected", String(selected));
+      if (selected) item.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  /**
+   * Find the rendered row of an item
+   * @param {string} itemId - Item ID
+   * @returns {HTMLElement|null} Row
+   */
+  function findRow(itemId) {
+    const domHelpers = getDOMHelpers();
+    const hoverDetector = getHoverDetector();
+    const rows = hoverDetector ? hoverDetector.getRows() : [];
+
+    return (
+      rows.find((row) => domHelpers?.getTaskId(row) === itemId) ||
+      document.querySelector(
+        `[id^="row-pulse-"][id*="-${CSS.escape(itemId)}-"]`
+      )
+    );
+  }
+
+  /**
+   * Scroll to a result's row and highlight it
+   * Rows outside the rendered part of the board aren't in the DOM; the item
+   * is opened by URL instead
+   * @param {Object} result - Search result
+   */
+  function jumpTo(result) {
+    if (!result) return;
+    const targetBoardId = boardId;
+    BoardSearch.close();
+
+    const row = findRow(result.itemId);
+    if (!row) {
+      window.location.assign(
+        `/boards/${targetBoardId}/pulses/${result.itemId}`
+      );
+      return;
+    }
+
+    row.scrollIntoView({ block: "center", behavior: "smooth" });
+    row.classList.add(CONFIG.hitClass);
+    setTimeout(() => row.classList.remove(CONFIG.hitClass), CONFIG.hitDuration);
+  }
+
+  const BoardSearch = {
+    /**
+     * Open the overlay for the current board (or focus it if open)
+     */
+    open() {
+      if (overlay) {
+        const input = overlay.querySelector(".board-search-input");
+        input.focus();
+        input.select();
+        return;
+      }
+
+      boardId = getDOMHelpers()?.getBoardId() || null;
+      previousFocus = document.activeElement;
+      getTooltipManager()?.hide();
+
+      overlay = createOverlay();
+      document.body.appendChild(overlay);
+      overlay.querySelector(".board-search-input").focus();
+
+      if (!boardId) {
+        setStatus("Open a board to search its updates.", true);
+        return;
+      }
+
+      // Build or refresh the index while the user starts typing
+      setStatus("Indexing board updates...");
+      runSearch("");
+    },
+
+    /**
+     * Close the overlay
+     */
+    close() {
+      clearTimeout(searchTimer);
+      searchToken++;
+      if (!overlay) return;
+
+      overlay.remove();
+      overlay = null;
+      results = [];
+      selectedIndex = -1;
+      if (previousFocus && document.contains(previousFocus)) {
+        previousFocus.focus();
+      }
+      previousFocus = null;
+    },
+
+    /**
+     * Check whether the overlay is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+      return !!overlay;
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.BoardSearch = BoardSearch;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = BoardSearch;
+  }
+})();
@@ -0,0 +1,189 @@
+/**
+ * Fuzzy Matcher Module
+ *
+ * Typo-tolerant, accent-insensitive text matching for the tooltip search.
+ * Text is folded (lowercased, diacritics stripped) before matching, and
+ * matches are reported as ranges in the original text for highlighting.
+ */
+
+(function () {
+  "use strict";
+
+  const CONFIG = {
+    minFuzzyLength: 4, // Shorter terms must match exactly
+    longTermLength: 8, // Terms this long may have two typos
+    exactQuality: 1,
+    typoPenalty: 0.4, // Quality lost per typo
+  };
+
+  const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+  const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+  /**
+   * Fold text for matching: lowercase without diacritics ("Café" -> "cafe")
+   * @param {string} text - Text to fold
+   * @returns {string} Folded text
+   */
+  function fold(text) {
+    return (text || "")
+      .normalize("NFD")
+      .replace(COMBINING_MARKS, "")
+      .toLowerCase();
+  }
+
+  /**
+   * Fold text, keeping the original index of every folded character
+   * @param {string} text - Text to fold
+   * @returns {Object} { text: folded text, map: original index per char }
+   */
+  function foldWithMap(text) {
+    let folded = "";
+    const map = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = fold(text[i]);
+      folded += char;
+      for (let j = 0; j < char.length; j++) map.push(i);
+    }
+    return { text: folded, map };
+  }
+
+  /**
+   * Edit distance with adjacent transpositions (optimal string alignment)
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} max - Stop once the distance must exceed this
+   * @returns {number} Distance, or max + 1 if greater than max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = [];
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, row[j]);
+      }
+
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // Helper: Typos allowed for a term
+  function getMaxTypos(term) {
+    if (term.length < CONFIG.minFuzzyLength || /\s/.test(term)) return 0;
+    return term.length >= CONFIG.longTermLength ? 2 : 1;
+  }
+
+  /**
+   * Find a folded term in text
+   * Exact (accent-insensitive) hits win; otherwise words within a typo or
+   * two of the term match, including words the term is a misspelled start of
+   * @param {string} term - Folded term
+   * @param {string} text - Original text
+   * @param {Object} options - { fuzzy: allow typos (default true) }
+   * @returns {Object|null} { quality: 0-1, ranges: [[start, end]] }
+   */
+  function find(term, text, options = {}) {
+    if (!term || !text) return null;
+
+    const folded = foldWithMap(text);
+    const toOriginal = (start, end) => [
+      folded.map[start],
+      folded.map[end - 1] + 1,
+    ];
+
+    // Exact matches
+    const ranges = [];
+    let index = folded.text.indexOf(term);
+    while (index !== -1) {
+      ranges.push(toOriginal(index, index + term.length));
+      index = folded.text.indexOf(term, index + term.length);
+    }
+    if (ranges.length > 0) {
+      return { quality: CONFIG.exactQuality, ranges };
+    }
+
+    const maxTypos = options.fuzzy === false ? 0 : getMaxTypos(term);
+    if (maxTypos === 0) return null;
+
+    // Closest words, compared whole and as a prefix the length of the term
+    let best = maxTypos + 1;
+    let bestRanges = [];
+    for (const match of folded.text.matchAll(WORD_PATTERN)) {
+      const word = match[0];
+      const prefix = word.slice(0, term.length);
+      const wordDistance = editDistance(term, word, maxTypos);
+      const prefixDistance =
+        prefix.length < word.length
+          ? editDistance(term, prefix, maxTypos)
+          : wordDistance;
+      const distance = Math.min(wordDistance, prefixDistance);
+      if (distance > maxTypos || distance > best) continue;
+
+      const length =
+        wordDistance <= prefixDistance ? word.length : prefix.length;
+      const range = toOriginal(match.index, match.index + length);
+      if (distance < best) {
+        best = distance;
+        bestRanges = [range];
+      } else {
+        bestRanges.push(range);
+      }
+    }
+
+    if (bestRanges.length === 0) return null;
+    return {
+      quality: Math.max(0, CONFIG.exactQuality - best * CONFIG.typoPenalty),
+      ranges: bestRanges,
+    };
+  }
+
+  /**
+   * Sort and merge overlapping ranges
+   * @param {Array<Array<number>>} ranges - [start, end] pairs
+   * @returns {Array<Array<number>>} Merged ranges
+   */
+  function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+    const merged = [];
+
+    sorted.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+    return merged;
+  }
+
+  const FuzzyMatcher = {
+    fold,
+    find,
+    mergeRanges,
+    editDistance,
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.FuzzyMatcher = FuzzyMatcher;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = FuzzyMatcher;
+  }
+})();
@@ -1,30 +1,456 @@
 /**
  * Search Filter Module
- * Pure function for filtering notes based on search term
+ *
+ * Parses the tooltip search box query language and filters notes with it.
+ *
+ * Syntax (terms are ANDed; OR separates alternatives):
+ * - word, "quoted phrase"  Text in the note, its author, date or replies
+ * - author:dana            Note author contains "dana" (author:"Dana Lee")
+ * - before:2026-01-01      Posted before that day
+ * - after:2026-01-01       Posted after that day
+ * - has:link, has:image    Note contains a link / an image
+ * - -term                  Excludes notes matching the term (-author:bot)
+ * - a OR b                 Notes matching either side
+ *
+ * Words tolerate a typo or two and ignore accents (via FuzzyMatcher); when
+ * the query has words, results are ranked by match quality, then recency.
  */
 
-/**
- * Filter notes based on search term
- * @param {string} searchTerm - Search term
- * @param {Array} notes - Array of notes to filter
- * @returns {Array} Filtered notes
- */
-export function filterNotes(searchTerm, notes) {
-  if (!searchTerm || !notes) return notes;
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getFuzzyMatcher = () =>
+    typeof window !== "undefined" ? window.FuzzyMatcher : null;
+
+  const CONFIG = {
+    qualityWeight: 0.8, // Ranking: how well the words matched...
+    recencyWeight: 0.2, // ...and how recent the note is
+    recencyHalfLife: 30, // Days after which recency counts half
+  };
+
+  const FIELDS = new Set(["author", "before", "after", "has"]);
+  const HAS_VALUES = new Set(["link", "image"]);
+
+  // Date facets offered as chips: label and age in days
+  const DATE_FACETS = [
+    { label: "Past week", days: 7 },
+    { label: "Past month", days: 30 },
+  ];
+  const MAX_AUTHOR_FACETS = 5;
+
+  /**
+   * Split a query into raw tokens, keeping quoted text together
+   * `author:"Dana Lee"` and `-"exact phrase"` stay single tokens
+   * @param {string} input - Query text
+   * @returns {Array<Object>} { text, quoted } tokens
+   */
+  function tokenize(input) {
+    const tokens = [];
+    const pattern = /(-?(?:[a-z]+:)?)"([^"]*)"?|(\S+)/gi;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      if (match[3] !== undefined) {
+        tokens.push({ text: match[3], quoted: false });
+      } else {
+        tokens.push({ prefix: match[1], text: match[2], quoted: true });
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a yyyy-mm-dd date (local time)
+   * @param {string} value - Date text
+   * @param {number} [dayOffset] - Days to add (1 for the start of the next day)
+   * @returns {Date|null} Start of that day, or null if incomplete/invalid
+   */
+  function parseDate(value, dayOffset = 0) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+
+    const date = new Date(+match[1], +match[2] - 1, +match[3]);
+    if (date.getMonth() !== +match[2] - 1) return null;
+    return new Date(+match[1], +match[2] - 1, +match[3] + dayOffset);
+  }
+
+  /**
+   * Turn one raw token into a term
+   * @param {Object} token - Raw token
+   * @returns {Object|null} Term, or null for incomplete terms (ignored)
+   */
+  function parseTerm(token) {
+    let text = token.quoted ? token.prefix : token.text;
+    let negated = false;
+
+    if (text.startsWith("-") && (token.quoted || text.length > 1)) {
+      negated = true;
+      text = text.slice(1);
+    }
+
+    const colon = text.indexOf(":");
+    const field = colon > 0 ? text.slice(0, colon).toLowerCase() : null;
 
-  const term = searchTerm.trim().toLowerCase();
-  if (!term) return notes;
+    if (field && FIELDS.has(field)) {
+      const value = (token.quoted ? token.text : text.slice(colon + 1)).trim();
+      if (!value) return null;
 
-  return notes.filter((note) => {
-    const searchIn = [
+      if (field === "before" || field === "after") {
+        // after: excludes the day itself, so compare from the next day
+        const date = parseDate(value, field === "after" ? 1 : 0);
+        return date ? { type: field, value: value, date, negated } : null;
+      }
+      if (field === "has") {
+        const kind = value.toLowerCase();
+        return HAS_VALUES.has(kind)
+          ? { type: "has", value: kind, negated }
+          : null;
+      }
+      return { type: "author", value: foldText(value), negated };
+    }
+
+    const value = foldText(token.quoted ? token.text : text);
+    return value
+      ? { type: "text", value, phrase: token.quoted, negated }
+      : null;
+  }
+
+  // Helper: Lowercase text without accents
+  function foldText(text) {
+    const fuzzyMatcher = getFuzzyMatcher();
+    return fuzzyMatcher ? fuzzyMatcher.fold(text) : text.toLowerCase();
+  }
+
+  /**
+   * Find a folded term in text
+   * @param {string} term - Folded term
+   * @param {string} text - Text to search
+   * @param {boolean} fuzzy - Allow typos
+   * @returns {Object|null} { quality, ranges } (see FuzzyMatcher.find)
+   */
+  function findTerm(term, text, fuzzy) {
+    const fuzzyMatcher = getFuzzyMatcher();
+    if (fuzzyMatcher) return fuzzyMatcher.find(term, text, { fuzzy });
+
+    const lower = (text || "").toLowerCase();
+    const ranges = [];
+    let index = lower.indexOf(term);
+    while (term && index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+    return ranges.length > 0 ? { quality: 1, ranges } : null;
+  }
+
+  /**
+   * Parse a query into OR-groups of ANDed terms
+   * @param {string} input - Query text
+   * @returns {Object} { groups: Array<Array<Object>>, terms: Array<Object> }
+   */
+  function parseQuery(input) {
+    const groups = [[]];
+
+    tokenize(input || "").forEach((token) => {
+      if (!token.quoted && (token.text === "OR" || token.text === "|")) {
+        groups.push([]);
+        return;
+      }
+      const term = parseTerm(token);
+      if (term) groups[groups.length - 1].push(term);
+    });
+
+    const nonEmpty = groups.filter((group) => group.length > 0);
+    return { groups: nonEmpty, terms: nonEmpty.flat() };
+  }
+
+  // Helper: Parse a query, reusing the last result (highlighting asks for
+  // the same query once per text node)
+  let lastParsed = { input: null, query: null };
+  function getQuery(input) {
+    if (lastParsed.input !== input) {
+      lastParsed = { input, query: parseQuery(input) };
+    }
+    return lastParsed.query;
+  }
+
+  // Helper: Check a rich content tree for a tag
+  function hasTag(nodes, tag) {
+    return (nodes || []).some(
+      (node) => node && (node.tag === tag || hasTag(node.children, tag))
+    );
+  }
+
+  // Helper: Text searched by plain terms
+  function getSearchableText(note) {
+    return [
       note.content || "",
       note.author || "",
       note.createdAt ? new Date(note.createdAt).toLocaleDateString() : "",
       note.createdAt ? new Date(note.createdAt).toLocaleTimeString() : "",
-    ]
-      .join(" ")
-      .toLowerCase();
+      ...(note.replies || []).map(
+        (reply) => `${reply.content || ""} ${reply.author || ""}`
+      ),
+    ].join(" ");
+  }
+
+  /**
+   * Score a single term against a note (ignoring negation)
+   * Excluded words must match exactly so a typo never hides a note
+   * @param {Object} term - Parsed term
+   * @param {Object} note - Note
+   * @param {string} text - Cached searchable text of the note
+   * @returns {number} Match quality 0-1 (0: no match)
+   */
+  function scoreTerm(term, note, text) {
+    const createdAt = note.createdAt ? new Date(note.createdAt) : null;
+
+    switch (term.type) {
+      case "author":
+        return findTerm(term.value, note.author, false) ? 1 : 0;
+      case "before":
+        return createdAt && createdAt < term.date ? 1 : 0;
+      case "after":
+        return createdAt && createdAt >= term.date ? 1 : 0;
+      case "has":
+        if (term.value === "image") {
+          return hasTag(note.richContent, "img") ? 1 : 0;
+        }
+        return hasTag(note.richContent, "a") ||
+          /https?:\/\//i.test(note.content || "")
+          ? 1
+          : 0;
+      default: {
+        const match = findTerm(term.value, text, !term.phrase && !term.negated);
+        return match ? match.quality : 0;
+      }
+    }
+  }
+
+  /**
+   * Score a note against a parsed query
+   * A group's score is the average quality of its words (1 without words);
+   * the note takes its best matching group
+   * @param {Object} query - Result of parseQuery
+   * @param {Object} note - Note
+   * @returns {number|null} Match quality 0-1, or null if the note doesn't match
+   */
+  function scoreNote(query, note) {
+    if (query.groups.length === 0) return 1;
+
+    const text = getSearchableText(note);
+    let best = null;
+
+    query.groups.forEach((group) => {
+      const qualities = [];
+      const matches = group.every((term) => {
+        const quality = scoreTerm(term, note, text);
+        if (term.negated) return quality === 0;
+        if (term.type === "text") qualities.push(quality);
+        return quality > 0;
+      });
+      if (!matches) return;
+
+      const score =
+        qualities.length > 0
+          ? qualities.reduce((sum, quality) => sum + quality, 0) /
+            qualities.length
+          : 1;
+      best = Math.max(best ?? 0, score);
+    });
+    return best;
+  }
+
+  /**
+   * Check whether a note matches a parsed query
+   * @param {Object} query - Result of parseQuery
+   * @param {Object} note - Note
+   * @returns {boolean} True if the note matches
+   */
+  function matchesNote(query, note) {
+    return scoreNote(query, note) !== null;
+  }
+
+  // Helper: 1 for a note posted now, halving every recencyHalfLife days
+  function getRecency(note, now) {
+    const created = note.createdAt ? new Date(note.createdAt).getTime() : NaN;
+    if (Number.isNaN(created)) return 0;
+
+    const ageDays = Math.max(0, now - created) / (24 * 60 * 60 * 1000);
+    return 1 / (1 + ageDays / CONFIG.recencyHalfLife);
+  }
+
+  /**
+   * Filter notes based on search query
+   * With words in the query, the best matches come first (ties: newest)
+   * @param {string} searchTerm - Search query
+   * @param {Array} notes - Array of notes to filter
+   * @returns {Array} Filtered notes
+   */
+  function filterNotes(searchTerm, notes) {
+    if (!searchTerm || !notes) return notes;
+
+    const query = getQuery(searchTerm);
+    if (query.groups.length === 0) return notes;
+
+    const now = Date.now();
+    const scored = notes
+      .map((note) => ({ note, score: scoreNote(query, note) }))
+      .filter((entry) => entry.score !== null);
+
+    const hasWords = query.terms.some(
+      (term) => term.type === "text" && !term.negated
+    );
+    if (hasWords) {
+      scored.forEach((entry) => {
+        entry.rank =
+          entry.score * CONFIG.qualityWeight +
+          getRecency(entry.note, now) * CONFIG.recencyWeight;
+      });
+      scored.sort((a, b) => b.rank - a.rank);
+    }
+    return scored.map((entry) => entry.note);
+  }
+
+  /**
+   * Get the ranges of text to highlight for a query, including typo matches
+   * Words and phrases everywhere; author: values only in author names
+   * @param {string} text - Text to highlight
+   * @param {string} searchTerm - Search query
+   * @param {string} [field] - "author" when highlighting an author name
+   * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end] pairs
+   */
+  function getHighlightRanges(text, searchTerm, field) {
+    if (!text || !searchTerm) return [];
+
+    const ranges = [];
+    getQuery(searchTerm).terms.forEach((term) => {
+      if (term.negated) return;
+      if (
+        term.type === "text" ||
+        (term.type === "author" && field === "author")
+      ) {
+        const match = findTerm(
+          term.value,
+          text,
+          term.type === "text" && !term.phrase
+        );
+        if (match) ranges.push(...match.ranges);
+      }
+    });
+
+    const fuzzyMatcher = getFuzzyMatcher();
+    return fuzzyMatcher
+      ? fuzzyMatcher.mergeRanges(ranges)
+      : ranges.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Format a facet token, quoting values with spaces
+   * @param {string} field - Field name
+   * @param {string} value - Value
+   * @returns {string} Token, e.g. author:"Dana Lee"
+   */
+  function formatToken(field, value) {
+    return /[\s"]/.test(value)
+      ? `${field}:"${value.replace(/"/g, "")}"`
+      : `${field}:${value}`;
+  }
+
+  /**
+   * Check whether a query already contains a token (case-insensitive)
+   * @param {string} searchTerm - Search query
+   * @param {string} token - Token
+   * @returns {boolean} True if present
+   */
+  function hasToken(searchTerm, token) {
+    const wanted = token.toLowerCase();
+    return tokenize(searchTerm || "").some(
+      (raw) =>
+        (raw.quoted ? `${raw.prefix}"${raw.text}"` : raw.text).toLowerCase() ===
+        wanted
+    );
+  }
+
+  /**
+   * Add a token to a query, or remove it if present
+   * @param {string} searchTerm - Search query
+   * @param {string} token - Token
+   * @returns {string} New query
+   */
+  function toggleToken(searchTerm, token) {
+    const wanted = token.toLowerCase();
+    const raws = tokenize(searchTerm || "").map((raw) =>
+      raw.quoted ? `${raw.prefix}"${raw.text}"` : raw.text
+    );
+    const kept = raws.filter((raw) => raw.toLowerCase() !== wanted);
+
+    if (kept.length === raws.length) kept.push(token);
+    return kept.join(" ");
+  }
+
+  /**
+   * Build author and date facets for the chips under the search box
+   * @param {Array} notes - Notes
+   * @param {Date} [now] - Current time (for date facets)
+   * @returns {Array<Object>} { kind, label, token, count }
+   */
+  function getFacets(notes, now = new Date()) {
+    const counts = new Map();
+    (notes || []).forEach((note) => {
+      if (note.author && !note.pending) {
+        counts.set(note.author, (counts.get(note.author) || 0) + 1);
+      }
+    });
+
+    const authors = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, MAX_AUTHOR_FACETS)
+      .map(([name, count]) => ({
+        kind: "author",
+        label: name,
+        token: formatToken("author", name),
+        count: count,
+      }));
+
+    const dates = DATE_FACETS.map((facet) => {
+      // after: excludes the day itself, so this covers today and the
+      // days before it
+      const since = new Date(
+        now.getFullYear(),
+        now.getMonth(),
+        now.getDate() - facet.days
+      );
+      const token = `after:${since.getFullYear()}-${String(
+        since.getMonth() + 1
+      ).padStart(2, "0")}-${String(since.getDate()).padStart(2, "0")}`;
+      return {
+        kind: "date",
+        label: facet.label,
+        token: token,
+        count: filterNotes(token, notes || []).length,
+      };
+    }).filter((facet) => facet.count > 0);
+
+    return [...(authors.length > 1 ? authors : []), ...dates];
+  }
+
+  const SearchFilter = {
+    parseQuery,
+    matchesNote,
+    filterNotes,
+    getHighlightRanges,
+    getFacets,
+    hasToken,
+    toggleToken,
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.SearchFilter = SearchFilter;
+  }
 
-    return searchIn.includes(term);
-  });
-}
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SearchFilter;
+  }
+})();
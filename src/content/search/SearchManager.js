@@ -97,6 +97,19 @@
         }
       }
 
+      // Facet chips toggle their filter token in the query (delegated once)
+      if (!tooltip.dataset.searchChipsBound) {
+        tooltip.dataset.searchChipsBound = "true";
+        tooltip.addEventListener("click", (e) => {
+          const chip = e.target.closest(".search-chip");
+          if (!chip || !tooltip.contains(chip)) return;
+
+          e.preventDefault();
+          e.stopPropagation();
+          this.toggleFacet(tooltip, chip.dataset.token);
+        });
+      }
+
       if (clearButton) {
         clearButton.addEventListener("click", (e) => {
           e.preventDefault();
@@ -115,6 +128,14 @@
       }
     },
 
+    /**
+     * Re-render the notes list, keeping the current search term
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    rerender(tooltip) {
+      this.updateContent(tooltip, getState().currentSearchTerm || "");
+    },
+
     /**
      * Update tooltip content with search results
      * @param {HTMLElement} tooltip - Tooltip element
@@ -133,7 +154,10 @@
 
       const taskName =
         tooltip.querySelector(".tooltip-task-name")?.textContent || "Task";
-      const notesData = { notes: state.currentNotes || [] };
+      const notesData = {
+        ...(state.currentNotesData || {}),
+        notes: state.currentNotes || [],
+      };
 
       if (!tooltipRenderer) {
         console.warn("SearchManager: TooltipRenderer not available");
@@ -141,8 +165,13 @@
       }
 
       // Get current scroll position BEFORE any DOM changes
+      // A new search re-ranks the notes, so it starts from the best match
       const contentArea = tooltip.querySelector(".tooltip-content");
-      const scrollTop = contentArea ? contentArea.scrollTop : 0;
+      const searchChanged =
+        (tooltip.dataset.renderedSearchTerm || "") !== searchTerm;
+      const scrollTop =
+        contentArea && !searchChanged ? contentArea.scrollTop : 0;
+      tooltip.dataset.renderedSearchTerm = searchTerm;
 
       // Update ONLY the content area, preserve search input and header
       // This prevents focus loss when typing - we don't replace the entire tooltip
@@ -212,10 +241,50 @@
         }
       }
 
+      this.updateFacetChips(tooltip, searchTerm);
+
       // Input should still exist and be focused - no need to restore focus
       // The input was never removed, so focus is maintained
     },
 
+    /**
+     * Add a facet chip's token to the search, or remove it if present
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} token - Filter token, e.g. author:dana
+     */
+    toggleFacet(tooltip, token) {
+      const searchFilter = window.SearchFilter;
+      const stateManager = getStateManager();
+      if (!tooltip || !token || !searchFilter) return;
+
+      const input = tooltip.querySelector(".search-input");
+      const term = searchFilter.toggleToken(input ? input.value : "", token);
+
+      if (input) input.value = term;
+      if (stateManager) {
+        stateManager.set("currentSearchTerm", term);
+      }
+      this.updateContent(tooltip, term);
+      this.updateClearButton(tooltip, term);
+    },
+
+    /**
+     * Mark the facet chips whose token is in the search
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} searchTerm - Current search term
+     */
+    updateFacetChips(tooltip, searchTerm) {
+      const searchFilter = window.SearchFilter;
+      if (!tooltip || !searchFilter) return;
+
+      tooltip.querySelectorAll(".search-chip").forEach((chip) => {
+        chip.classList.toggle(
+          "active",
+          searchFilter.hasToken(searchTerm, chip.dataset.token)
+        );
+      });
+    },
+
     /**
      * Update clear button visibility
      * @param {HTMLElement} tooltip - Tooltip element
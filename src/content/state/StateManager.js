@@ -19,6 +19,7 @@
     // Search state
     searchDebounceTimer: null,
     currentNotes: null,
+    currentNotesData: null,
     currentSearchTerm: "",
 
     // Performance: Request cancellation
@@ -49,6 +50,23 @@
       state[key] = value;
     },
 
+    /**
+     * Replace the shown notes, keeping currentNotes and currentNotesData in
+     * step
+     * @param {Function} updater - Receives the notes array, returns a new one
+     * @param {Object} [dataChanges] - Other currentNotesData fields to set
+     *   (e.g. page, hasMore)
+     */
+    updateNotes(updater, dataChanges = {}) {
+      const notes = updater(state.currentNotes || []);
+      state.currentNotes = notes;
+      state.currentNotesData = {
+        ...(state.currentNotesData || {}),
+        ...dataChanges,
+        notes: notes,
+      };
+    },
+
     /**
      * Clear hover-related timeouts
      */
@@ -94,6 +112,7 @@
       state.currentTarget = null;
       state.isMouseOverTooltip = false;
       state.currentNotes = null;
+      state.currentNotesData = null;
       state.currentSearchTerm = "";
       state.currentRequestKey = null;
     },
@@ -0,0 +1,375 @@
+/**
+ * Column Editor Module
+ *
+ * Handles editing status and people columns from the tooltip summary strip
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getState = () => window.QuickPeekState || {};
+  const getStateManager = () => window.StateManager;
+  const getContentAPI = () => window.ContentAPI;
+  const getTooltipRenderer = () => window.TooltipRenderer;
+  const getUsageTracker = () => window.UsageTracker;
+
+  // Edits in flight per "itemId:columnId": { token, confirmed }. Only the
+  // latest edit of a column may render its result or roll back, and it
+  // rolls back to the last value the API confirmed
+  const pendingEdits = new Map();
+  let nextEditToken = 1;
+
+  /**
+   * Check whether inline editing is available (Pro, or dev mode)
+   * @returns {Promise<boolean>} True if the user may edit columns
+   */
+  async function canEdit() {
+    const tracker = getUsageTracker();
+    if (!tracker) return false;
+
+    try {
+      return (
+        (await tracker.isProUser()) || (await tracker.isTrackingDisabled())
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find a column value on the current item
+   * @param {string} columnId - Column ID
+   * @returns {Object|null} Column value
+   */
+  function getColumn(columnId) {
+    const columns = getState().currentNotesData?.columnValues || [];
+    return columns.find((col) => col.id === columnId) || null;
+  }
+
+  /**
+   * Replace one column value in currentNotesData
+   * @param {string} columnId - Column ID
+   * @param {Object} column - New column value
+   */
+  function setColumn(columnId, column) {
+    const state = getState();
+    const stateManager = getStateManager();
+    if (!stateManager || !state.currentNotesData) return;
+
+    stateManager.set("currentNotesData", {
+      ...state.currentNotesData,
+      columnValues: (state.currentNotesData.columnValues || []).map((col) =>
+        col.id === columnId ? column : col
+      ),
+    });
+  }
+
+  /**
+   * Re-render the summary strip from state
+   * @param {HTMLElement} tooltip - Tooltip element
+   */
+  function renderSummary(tooltip) {
+    const renderer = getTooltipRenderer();
+    if (!renderer) return;
+
+    const temp = document.createElement("div");
+    temp.innerHTML = renderer.renderItemSummary(
+      getState().currentNotesData?.columnValues
+    );
+    const summary = temp.firstElementChild;
+    const existing = tooltip.querySelector(".tooltip-summary");
+
+    if (existing && summary) {
+      existing.replaceWith(summary);
+    } else if (existing) {
+      existing.remove();
+    } else if (summary) {
+      tooltip.querySelector(".tooltip-header")?.after(summary);
+    }
+  }
+
+  const ColumnEditor = {
+    /**
+     * Attach delegated listeners for editable summary pills
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    attachListeners(tooltip) {
+      if (!tooltip || tooltip.dataset.columnEditorBound === "true") return;
+
+      tooltip.dataset.columnEditorBound = "true";
+
+      tooltip.addEventListener("click", (e) => {
+        const pill = e.target.closest?.(".summary-editable");
+        if (pill) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.toggleEditor(tooltip, pill.dataset.columnId);
+          return;
+        }
+
+        const option = e.target.closest?.(".column-option");
+        if (option) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.selectOption(tooltip, option);
+        }
+      });
+
+      tooltip.addEventListener("keydown", (e) => {
+        const pill = e.target.closest?.(".summary-editable");
+        if (pill && (e.key === "Enter" || e.key === " ")) {
+          e.preventDefault();
+          this.toggleEditor(tooltip, pill.dataset.columnId);
+        } else if (
+          e.key === "Escape" &&
+          tooltip.querySelector(".column-editor")
+        ) {
+          e.stopPropagation();
+          this.closeEditor(tooltip);
+        }
+      });
+    },
+
+    /**
+     * Open the editor for a column, or close it if it is already open
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} columnId - Column ID
+     */
+    async toggleEditor(tooltip, columnId) {
+      const open = tooltip.querySelector(".column-editor");
+      this.closeEditor(tooltip);
+      if (open?.dataset.columnId === columnId) return;
+
+      const column = getColumn(columnId);
+      const summary = tooltip.querySelector(".tooltip-summary");
+      if (!column || !summary) return;
+
+      const editor = document.createElement("div");
+      editor.className = "column-editor";
+      editor.dataset.columnId = columnId;
+      summary.after(editor);
+
+      if (!(await canEdit())) {
+        editor.innerHTML =
+          '<div class="column-editor-message">✨ Editing columns from the tooltip is a Pro feature.</div>';
+        return;
+      }
+
+      if (column.type === "status") {
+        this.renderStatusOptions(editor, column);
+      } else if (column.type === "people") {
+        editor.innerHTML =
+          '<div class="column-editor-message">Loading people...</div>';
+        await this.renderPeopleOptions(editor, column);
+      }
+    },
+
+    /**
+     * Close the open column editor
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    closeEditor(tooltip) {
+      tooltip.querySelector(".column-editor")?.remove();
+    },
+
+    /**
+     * Render status labels as selectable options
+     * @param {HTMLElement} editor - Editor element
+     * @param {Object} column - Status column value
+     */
+    renderStatusOptions(editor, column) {
+      const renderer = getTooltipRenderer();
+      const escapeHtml = renderer ? renderer.escapeHtml : (text) => text;
+
+      editor.innerHTML = `<div class="column-editor-options">${column.labels
+        .map((label) => {
+          const color = /^#[0-9a-f]{3,8}$/i.test(label.color || "")
+            ? label.color
+            : null;
+          return `<button class="column-option column-option-status${
+            label.index === column.index ? " selected" : ""
+          }" type="button" data-index="${label.index}"${
+            color ? ` style="background: ${color}"` : ""
+          }>${escapeHtml(label.label)}</button>`;
+        })
+        .join("")}</div>
+        <div class="column-editor-error" role="alert"></div>`;
+    },
+
+    /**
+     * Render board members as toggleable people options
+     * @param {HTMLElement} editor - Editor element
+     * @param {Object} column - People column value
+     */
+    async renderPeopleOptions(editor, column) {
+      const renderer = getTooltipRenderer();
+      const escapeHtml = renderer ? renderer.escapeHtml : (text) => text;
+      const escapeAttribute = renderer
+        ? renderer.escapeAttribute
+        : (text) => text;
+      const contentAPI = getContentAPI();
+      const itemId = getState().currentNotesData?.taskId;
+
+      let users = [];
+      try {
+        const data = await contentAPI.getMentionCandidates(itemId);
+        users = data?.users || [];
+      } catch (error) {
+        editor.innerHTML = `<div class="column-editor-error" role="alert">${escapeHtml(
+          error.message || "Couldn't load people"
+        )}</div>`;
+        return;
+      }
+
+      // Keep assignees who aren't board subscribers, or toggling someone
+      // else would silently unassign them
+      const names = column.text
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+      column.personIds.forEach((id, index) => {
+        if (!users.some((user) => user.id === id)) {
+          const name =
+            names.length === column.personIds.length
+              ? names[index]
+              : `User ${id}`;
+          users = [...users, { id: id, name: name }];
+        }
+      });
+
+      editor.innerHTML = `<div class="column-editor-options column-editor-people">${users
+        .map(
+          (user) =>
+            `<button class="column-option column-option-person${
+              column.personIds.includes(user.id) ? " selected" : ""
+            }" type="button" data-person-id="${escapeAttribute(
+              user.id
+            )}" data-person-name="${escapeAttribute(user.name)}">${escapeHtml(
+              user.name
+            )}</button>`
+        )
+        .join("")}</div>
+        <div class="column-editor-error" role="alert"></div>`;
+    },
+
+    /**
+     * Apply the option the user picked
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {HTMLElement} option - Option button
+     */
+    selectOption(tooltip, option) {
+      const editor = option.closest(".column-editor");
+      const column = getColumn(editor?.dataset.columnId);
+      if (!column) return;
+
+      if (column.type === "status") {
+        const index = parseInt(option.dataset.index, 10);
+        const label = column.labels.find((l) => l.index === index);
+        if (!label || index === column.index) return;
+
+        this.apply(
+          tooltip,
+          column,
+          { index: index },
+          { index: index, text: label.label, color: label.color }
+        );
+      } else if (column.type === "people") {
+        // Toggle the person; names of unchanged people come from the
+        // selected options so the optimistic text stays accurate
+        option.classList.toggle("selected");
+        const selected = Array.from(
+          editor.querySelectorAll(".column-option-person.selected")
+        );
+        this.apply(
+          tooltip,
+          column,
+          { personIds: selected.map((el) => el.dataset.personId) },
+          {
+            personIds: selected.map((el) => el.dataset.personId),
+            text: selected.map((el) => el.dataset.personName).join(", "),
+          }
+        );
+      }
+    },
+
+    /**
+     * Change a column optimistically and roll back if the API call fails
+     * Each request carries the column's full value, so when edits overlap
+     * only the latest one's response counts
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {Object} column - Column value before the change
+     * @param {Object} value - Value sent to the background worker
+     * @param {Object} patch - Optimistic changes to the column value
+     */
+    async apply(tooltip, column, value, patch) {
+      const contentAPI = getContentAPI();
+      const taskId = getState().currentNotesData?.taskId;
+      if (!contentAPI || !taskId) return;
+
+      const key = `${taskId}:${column.id}`;
+      const token = nextEditToken++;
+      pendingEdits.set(key, {
+        token: token,
+        confirmed: pendingEdits.get(key)?.confirmed || column,
+      });
+
+      setColumn(column.id, { ...column, ...patch });
+      renderSummary(tooltip);
+
+      // Status is a single choice, so the editor is done after one pick
+      if (column.type === "status") {
+        this.closeEditor(tooltip);
+      }
+
+      try {
+        const updated = await contentAPI.changeColumnValue(
+          taskId,
+          column.id,
+          value
+        );
+
+        // A newer edit is in flight: remember this value in case it fails
+        const pending = pendingEdits.get(key);
+        if (pending?.token !== token) {
+          if (pending) pending.confirmed = updated;
+          return;
+        }
+        pendingEdits.delete(key);
+
+        // Tooltip may have moved to another item while we were waiting
+        if (getState().currentNotesData?.taskId !== taskId) return;
+
+        setColumn(column.id, updated);
+        renderSummary(tooltip);
+      } catch (error) {
+        // A newer edit sends the full value again, so this failure is moot
+        const pending = pendingEdits.get(key);
+        if (pending?.token !== token) return;
+        pendingEdits.delete(key);
+
+        if (getState().currentNotesData?.taskId !== taskId) return;
+
+        setColumn(column.id, pending.confirmed);
+        renderSummary(tooltip);
+
+        // Reopen the editor so its selection matches the rolled back value
+        this.closeEditor(tooltip);
+        await this.toggleEditor(tooltip, column.id);
+        const errorEl = tooltip.querySelector(".column-editor-error");
+        if (errorEl) {
+          errorEl.textContent = error.message || "Couldn't update column";
+        }
+      }
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.ColumnEditor = ColumnEditor;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ColumnEditor;
+  }
+})();
@@ -0,0 +1,91 @@
+/**
+ * Notes Pager Module
+ *
+ * Handles the "Load older updates" control inside the tooltip
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getState = () => window.QuickPeekState || {};
+  const getStateManager = () => window.StateManager;
+  const getContentAPI = () => window.ContentAPI;
+  const getSearchManager = () => window.SearchManager;
+
+  const NotesPager = {
+    /**
+     * Attach a delegated click listener for the load-older button
+     * The notes list is re-rendered by search, so we listen on the tooltip
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    attachListeners(tooltip) {
+      if (!tooltip || tooltip.dataset.notesPagerBound === "true") return;
+
+      tooltip.dataset.notesPagerBound = "true";
+      tooltip.addEventListener("click", (e) => {
+        const button = e.target.closest?.(".load-older-btn");
+        if (!button) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.loadOlder(tooltip, button);
+      });
+    },
+
+    /**
+     * Fetch the next page of updates and append it to the current notes
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {HTMLElement} button - Load-older button that was clicked
+     */
+    async loadOlder(tooltip, button) {
+      const state = getState();
+      const stateManager = getStateManager();
+      const contentAPI = getContentAPI();
+      const notesData = state.currentNotesData;
+
+      if (!contentAPI || !notesData?.taskId || !notesData.hasMore) return;
+      if (button.disabled) return;
+
+      button.disabled = true;
+      button.textContent = "Loading...";
+
+      try {
+        const pageData = await contentAPI.fetchNotesPage(
+          notesData.taskId,
+          (notesData.page || 1) + 1
+        );
+
+        // Tooltip may have moved to another item while we were waiting
+        if (state.currentNotesData !== notesData) return;
+
+        if (stateManager) {
+          stateManager.updateNotes(
+            (notes) => {
+              const knownIds = new Set(notes.map((n) => n.id));
+              return [
+                ...notes,
+                ...(pageData.notes || []).filter((n) => !knownIds.has(n.id)),
+              ];
+            },
+            { page: pageData.page, hasMore: pageData.hasMore }
+          );
+        }
+
+        getSearchManager()?.rerender(tooltip);
+      } catch (error) {
+        button.disabled = false;
+        button.textContent = "Couldn't load updates - retry";
+      }
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.NotesPager = NotesPager;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = NotesPager;
+  }
+})();
@@ -0,0 +1,586 @@
+/**
+ * Pinned Panels Module
+ *
+ * Detaches the current peek into a floating panel that stays open across row
+ * changes and SPA navigation. Panels can be dragged by their header and
+ * resized from the corner; their geometry is saved per board in
+ * chrome.storage.local and restored when the board is opened again.
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getState = () => window.QuickPeekState || {};
+  const getConfig = () => window.CONFIG || {};
+  const getTooltipManager = () => window.TooltipManager;
+  const getTooltipRenderer = () => window.TooltipRenderer;
+  const getContentAPI = () => window.ContentAPI;
+  const getDOMHelpers = () => window.DOMHelpers;
+  const getSearchManager = () => window.SearchManager;
+  const getSearchFilter = () => window.SearchFilter;
+
+  const CONFIG = {
+    containerId: "quick-peek-pinned-panels",
+    storageKey: "pinnedPanels",
+    offBoardKey: "other", // Storage key for panels pinned outside a board
+    cascadeOffset: 24, // Shift for a new panel that would cover another
+    minVisible: 40, // Pixels of a panel that must stay on screen
+    saveDelay: 300,
+    searchDelay: 150,
+  };
+
+  const CLOSE_BUTTON =
+    '<button class="panel-close" type="button" aria-label="Close panel" title="Close panel">×</button>';
+
+  // Open panels, keyed by `${boardKey}:${taskId}`
+  const panels = new Map();
+  let topZIndex = 0;
+  let saveTimer = null;
+  const dirtyBoards = new Set(); // Boards with changes the timer will save
+
+  // Helper: Storage key for the current board
+  function getBoardKey() {
+    const domHelpers = getDOMHelpers();
+    return (domHelpers && domHelpers.getBoardId()) || CONFIG.offBoardKey;
+  }
+
+  /**
+   * Get (and re-attach if Monday re-rendered the page) the panel container
+   * @returns {HTMLElement} Container element
+   */
+  function getContainer() {
+    let container = document.getElementById(CONFIG.containerId);
+    if (!container) {
+      container = document.createElement("div");
+      container.id = CONFIG.containerId;
+    }
+    if (!container.isConnected) {
+      document.body.appendChild(container);
+    }
+    return container;
+  }
+
+  /**
+   * Keep at least part of a panel on screen
+   * @param {Object} geometry - { left, top, width, height }
+   * @returns {Object} Clamped geometry
+   */
+  function clampGeometry(geometry) {
+    const maxLeft = window.innerWidth - CONFIG.minVisible;
+    const maxTop = window.innerHeight - CONFIG.minVisible;
+    return {
+      ...geometry,
+      left: Math.max(0, Math.min(geometry.left, maxLeft)),
+      top: Math.max(0, Math.min(geometry.top, maxTop)),
+    };
+  }
+
+  /**
+   * Move a new panel down and right until it doesn't cover another panel's
+   * header
+   * @param {Object} geometry - { left, top, width, height }
+   * @returns {Object} Geometry
+   */
+  function cascade(geometry) {
+    const taken = new Set(
+      Array.from(panels.values()).map(
+        (panel) => `${panel.geometry.left},${panel.geometry.top}`
+      )
+    );
+    let { left, top } = geometry;
+    while (taken.has(`${left},${top}`)) {
+      left += CONFIG.cascadeOffset;
+      top += CONFIG.cascadeOffset;
+    }
+    return { ...geometry, left, top };
+  }
+
+  /**
+   * Read saved panels for every board
+   * @returns {Promise<Object>} { [boardKey]: Array<Object> }
+   */
+  async function loadSaved() {
+    try {
+      const result = await chrome.storage.local.get(CONFIG.storageKey);
+      return result[CONFIG.storageKey] || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Save open panels (debounced)
+   * Every board changed since the last save is written; boards that didn't
+   * change are left as they are, so panels pinned on another board are
+   * still restored there
+   * @param {string} boardKey - Board whose panels changed
+   */
+  function scheduleSave(boardKey) {
+    dirtyBoards.add(boardKey);
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(async () => {
+      const boardKeys = Array.from(dirtyBoards);
+      dirtyBoards.clear();
+
+      const saved = await loadSaved();
+      boardKeys.forEach((key) => {
+        const boardPanels = Array.from(panels.values())
+          .filter((panel) => panel.boardKey === key)
+          .map((panel) => ({
+            taskId: panel.taskId,
+            taskName: panel.taskName,
+            ...panel.geometry,
+          }));
+
+        if (boardPanels.length > 0) {
+          saved[key] = boardPanels;
+        } else {
+          delete saved[key];
+        }
+      });
+
+      try {
+        await chrome.storage.local.set({ [CONFIG.storageKey]: saved });
+      } catch (error) {
+        // Extension context invalidated; positions just won't be kept
+      }
+    }, CONFIG.saveDelay);
+  }
+
+  /**
+   * Render a panel's notes, replacing the tooltip's pin and theme buttons
+   * with a close button
+   * @param {Object} panel - Panel record
+   */
+  function render(panel) {
+    const tooltipRenderer = getTooltipRenderer();
+    if (!tooltipRenderer) return;
+
+    const temp = document.createElement("div");
+    temp.innerHTML = tooltipRenderer.formatContent(
+      panel.taskName,
+      panel.notesData,
+      panel.searchTerm
+    );
+    temp.querySelector(".tooltip-pin")?.remove();
+    temp.querySelector(".theme-toggle")?.remove();
+    temp
+      .querySelector(".tooltip-header")
+      ?.insertAdjacentHTML("beforeend", CLOSE_BUTTON);
+
+    panel.element.replaceChildren(...temp.childNodes);
+  }
+
+  /**
+   * Re-render only the notes list after a panel search
+   * @param {Object} panel - Panel record
+   */
+  function renderSearch(panel) {
+    const tooltipRenderer = getTooltipRenderer();
+    const content = panel.element.querySelector(".tooltip-content");
+    if (!tooltipRenderer || !content) return;
+
+    const temp = document.createElement("div");
+    temp.innerHTML = tooltipRenderer.formatContent(
+      panel.taskName,
+      panel.notesData,
+      panel.searchTerm
+    );
+    const newContent = temp.querySelector(".tooltip-content");
+    if (newContent) {
+      content.replaceWith(newContent);
+    }
+
+    const wrapper = panel.element.querySelector(".search-input-wrapper");
+    const clearButton = wrapper?.querySelector(".search-clear");
+    if (panel.searchTerm && !clearButton && wrapper) {
+      wrapper.insertAdjacentHTML(
+        "beforeend",
+        '<button class="search-clear" aria-label="Clear search">×</button>'
+      );
+    } else if (!panel.searchTerm && clearButton) {
+      clearButton.remove();
+    }
+
+    getSearchManager()?.updateFacetChips(panel.element, panel.searchTerm);
+  }
+
+  /**
+   * Show the loading state or an error in a panel without notes
+   * @param {Object} panel - Panel record
+   * @param {string|null} error - Error message, or null while loading
+   */
+  function renderPlaceholder(panel, error) {
+    const tooltipRenderer = getTooltipRenderer();
+    if (!tooltipRenderer) return;
+
+    panel.element.innerHTML = error
+      ? `<div class="tooltip-header">
+          <strong class="tooltip-task-name">${tooltipRenderer.escapeHtml(
+            panel.taskName
+          )}</strong>
+        </div>
+        <div class="error-container">
+          <div class="error-message">${tooltipRenderer.escapeHtml(error)}</div>
+        </div>`
+      : tooltipRenderer.renderLoading(panel.taskName);
+    panel.element
+      .querySelector(".tooltip-header")
+      ?.insertAdjacentHTML("beforeend", CLOSE_BUTTON);
+  }
+
+  // Helper: Apply geometry to the panel element
+  function applyGeometry(panel) {
+    const { left, top, width, height } = panel.geometry;
+    panel.element.style.left = `${left}px`;
+    panel.element.style.top = `${top}px`;
+    if (width) panel.element.style.width = `${width}px`;
+    if (height) panel.element.style.height = `${height}px`;
+  }
+
+  // Helper: Raise a panel above the others
+  function bringToFront(panel) {
+    const base = (getConfig().zIndex || 999999) - 1000;
+    topZIndex = Math.max(topZIndex, base) + 1;
+    panel.element.style.zIndex = topZIndex;
+  }
+
+  /**
+   * Drag a panel by its header
+   * @param {Object} panel - Panel record
+   * @param {PointerEvent} e - pointerdown event on the header
+   */
+  function startDrag(panel, e) {
+    const element = panel.element;
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const { left, top } = panel.geometry;
+
+    element.setPointerCapture?.(e.pointerId);
+    element.classList.add("is-dragging");
+
+    const onMove = (moveEvent) => {
+      panel.geometry = clampGeometry({
+        ...panel.geometry,
+        left: left + moveEvent.clientX - startX,
+        top: top + moveEvent.clientY - startY,
+      });
+      applyGeometry(panel);
+    };
+    const onUp = () => {
+      element.removeEventListener("pointermove", onMove);
+      element.removeEventListener("pointerup", onUp);
+      element.removeEventListener("pointercancel", onUp);
+      element.classList.remove("is-dragging");
+      scheduleSave(panel.boardKey);
+    };
+
+    element.addEventListener("pointermove", onMove);
+    element.addEventListener("pointerup", onUp);
+    element.addEventListener("pointercancel", onUp);
+  }
+
+  /**
+   * Attach drag, close, search and resize handling to a panel
+   * @param {Object} panel - Panel record
+   */
+  function attachPanelListeners(panel) {
+    const element = panel.element;
+
+    element.addEventListener("pointerdown", (e) => {
+      bringToFront(panel);
+      if (
+        e.button === 0 &&
+        e.target.closest(".tooltip-header") &&
+        !e.target.closest("button")
+      ) {
+        e.preventDefault();
+        startDrag(panel, e);
+      }
+    });
+
+    element.addEventListener("click", (e) => {
+      if (e.target.closest(".panel-close")) {
+        e.stopPropagation();
+        PinnedPanels.close(panel.key);
+      } else if (e.target.closest(".search-clear")) {
+        e.stopPropagation();
+        panel.searchTerm = "";
+        const input = element.querySelector(".search-input");
+        if (input) {
+          input.value = "";
+          input.focus();
+        }
+        renderSearch(panel);
+      } else if (e.target.closest(".search-chip") && getSearchFilter()) {
+        e.stopPropagation();
+        const input = element.querySelector(".search-input");
+        panel.searchTerm = getSearchFilter().toggleToken(
+          input ? input.value : panel.searchTerm,
+          e.target.closest(".search-chip").dataset.token
+        );
+        if (input) input.value = panel.searchTerm;
+        renderSearch(panel);
+      }
+    });
+
+    element.addEventListener("input", (e) => {
+      if (!e.target.classList.contains("search-input")) return;
+
+      clearTimeout(panel.searchTimer);
+      panel.searchTimer = setTimeout(() => {
+        panel.searchTerm = e.target.value;
+        renderSearch(panel);
+      }, CONFIG.searchDelay);
+    });
+
+    element.addEventListener("keydown", (e) => {
+      // Keep typing in the panel away from Monday's shortcuts
+      if (e.target.classList.contains("search-input")) {
+        e.stopPropagation();
+        if (e.key === "Enter") e.preventDefault();
+      }
+    });
+
+    // Save the size after the user resizes from the corner
+    if (typeof ResizeObserver !== "undefined") {
+      panel.resizeObserver = new ResizeObserver(() => {
+        const width = element.offsetWidth;
+        const height = element.offsetHeight;
+        if (
+          !width ||
+          (width === panel.geometry.width && height === panel.geometry.height)
+        ) {
+          return;
+        }
+        panel.geometry = { ...panel.geometry, width, height };
+        scheduleSave(panel.boardKey);
+      });
+      panel.resizeObserver.observe(element);
+    }
+  }
+
+  /**
+   * Create a panel element and register it
+   * @param {Object} options - { boardKey, taskId, taskName, notesData, geometry }
+   * @returns {Object} Panel record
+   */
+  function createPanel(options) {
+    const element = document.createElement("div");
+    element.className = "monday-quick-peek-tooltip quick-peek-panel";
+    element.setAttribute("role", "dialog");
+    element.setAttribute("aria-label", `Pinned: ${options.taskName}`);
+
+    const panel = {
+      key: `${options.boardKey}:${options.taskId}`,
+      boardKey: options.boardKey,
+      taskId: options.taskId,
+      taskName: options.taskName,
+      notesData: options.notesData,
+      searchTerm: "",
+      searchTimer: null,
+      resizeObserver: null,
+      geometry: clampGeometry(options.geometry),
+      element: element,
+    };
+
+    panels.set(panel.key, panel);
+    applyGeometry(panel);
+    bringToFront(panel);
+    attachPanelListeners(panel);
+    getContainer().appendChild(element);
+    return panel;
+  }
+
+  /**
+   * Fetch notes for a panel
+   * Restored panels show the loading state first; panels that already show
+   * notes keep them until the fresh notes arrive
+   * @param {Object} panel - Panel record
+   */
+  async function loadPanel(panel) {
+    const contentAPI = getContentAPI();
+    if (!contentAPI) return;
+    if (!panel.notesData) {
+      renderPlaceholder(panel, null);
+    }
+
+    let error = null;
+    try {
+      const response = await contentAPI.fetchContent(panel.taskId, "note");
+      if (response?.success && response.data) {
+        PinnedPanels.refresh(panel.taskId, response.data);
+        return;
+      }
+      error = response?.error || "Couldn't load notes";
+    } catch (fetchError) {
+      error = fetchError.message || "Couldn't load notes";
+    }
+
+    // A failed refresh keeps the notes already shown
+    if (panels.has(panel.key) && !panel.notesData) {
+      renderPlaceholder(panel, error);
+    }
+  }
+
+  const PinnedPanels = {
+    /**
+     * Re-attach open panels and restore the panels saved for this board
+     * Called on startup and after SPA navigation
+     */
+    async init() {
+      if (panels.size > 0) {
+        getContainer();
+      }
+
+      const boardKey = getBoardKey();
+      const saved = (await loadSaved())[boardKey] || [];
+      saved.forEach((entry) => {
+        if (!entry?.taskId || panels.has(`${boardKey}:${entry.taskId}`)) {
+          return;
+        }
+        const panel = createPanel({
+          boardKey: boardKey,
+          taskId: String(entry.taskId),
+          taskName: entry.taskName || "Task",
+          notesData: null,
+          geometry: entry,
+        });
+        loadPanel(panel);
+      });
+    },
+
+    /**
+     * Attach a delegated click listener for the tooltip's pin button
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    attachListeners(tooltip) {
+      if (!tooltip || tooltip.dataset.pinBound === "true") return;
+
+      tooltip.dataset.pinBound = "true";
+      tooltip.addEventListener("click", (e) => {
+        if (!e.target.closest?.(".tooltip-pin")) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.pinCurrent();
+      });
+    },
+
+    /**
+     * Pin the item shown in the tooltip, then close the tooltip
+     * @returns {Object|null} Panel record, or null if nothing to pin
+     */
+    pinCurrent() {
+      const state = getState();
+      const tooltip = state.currentTooltip;
+      const notesData = state.currentNotesData;
+      if (!tooltip || !notesData?.taskId) return null;
+
+      const boardKey = getBoardKey();
+      const taskId = String(notesData.taskId);
+      const existing = panels.get(`${boardKey}:${taskId}`);
+      const taskName =
+        tooltip.querySelector(".tooltip-task-name")?.textContent ||
+        notesData.taskName ||
+        "Task";
+
+      let panel = existing;
+      if (existing) {
+        existing.notesData = notesData;
+        render(existing);
+        bringToFront(existing);
+      } else {
+        const rect = tooltip.getBoundingClientRect();
+        panel = createPanel({
+          boardKey: boardKey,
+          taskId: taskId,
+          taskName: taskName,
+          notesData: notesData,
+          geometry: cascade({
+            left: Math.round(rect.left),
+            top: Math.round(rect.top),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+          }),
+        });
+        render(panel);
+      }
+
+      const tooltipManager = getTooltipManager();
+      if (tooltipManager) {
+        tooltipManager.hide();
+      }
+      scheduleSave(boardKey);
+      return panel;
+    },
+
+    /**
+     * Close a pinned panel and forget it
+     * @param {string} key - Panel key
+     */
+    close(key) {
+      const panel = panels.get(key);
+      if (!panel) return;
+
+      clearTimeout(panel.searchTimer);
+      panel.resizeObserver?.disconnect();
+      panel.element.remove();
+      panels.delete(key);
+      scheduleSave(panel.boardKey);
+    },
+
+    /**
+     * Show fresh notes in every panel for an item
+     * @param {string} taskId - Item ID
+     * @param {Object} notesData - Fresh notes data
+     */
+    refresh(taskId, notesData) {
+      panels.forEach((panel) => {
+        if (panel.taskId !== String(taskId) || !notesData) return;
+
+        const scrollTop =
+          panel.element.querySelector(".tooltip-content")?.scrollTop || 0;
+        const searchFocused =
+          panel.element.querySelector(".search-input") ===
+          document.activeElement;
+
+        panel.notesData = notesData;
+        render(panel);
+
+        const content = panel.element.querySelector(".tooltip-content");
+        if (content) content.scrollTop = scrollTop;
+        const input = panel.element.querySelector(".search-input");
+        if (input && searchFocused) input.focus();
+      });
+    },
+
+    /**
+     * Refresh panels touched by a webhook event
+     * @param {Object} message - { taskId, parentId, data }
+     */
+    handleLiveUpdate(message) {
+      const ids = new Set([message.taskId, message.parentId].filter(Boolean));
+
+      panels.forEach((panel) => {
+        if (!ids.has(panel.taskId)) return;
+
+        if (message.data && panel.taskId === message.taskId) {
+          this.refresh(panel.taskId, message.data);
+        } else {
+          loadPanel(panel);
+        }
+      });
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.PinnedPanels = PinnedPanels;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = PinnedPanels;
+  }
+})();
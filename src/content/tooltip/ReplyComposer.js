@@ -0,0 +1,201 @@
+/**
+ * Reply Composer Module
+ *
+ * Handles the compact reply box under each note in the tooltip
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getConfig = () => window.CONFIG || {};
+  const getState = () => window.QuickPeekState || {};
+  const getStateManager = () => window.StateManager;
+  const getContentAPI = () => window.ContentAPI;
+  const getSearchManager = () => window.SearchManager;
+
+  /**
+   * Apply a change to one note in state
+   * @param {string} noteId - Note ID
+   * @param {Function} updater - Receives the note, returns the new note
+   */
+  function updateNote(noteId, updater) {
+    getStateManager()?.updateNotes((notes) =>
+      notes.map((note) => (note.id === noteId ? updater(note) : note))
+    );
+  }
+
+  /**
+   * Find a rendered note element by ID
+   * @param {HTMLElement} tooltip - Tooltip element
+   * @param {string} noteId - Note ID
+   * @returns {HTMLElement|null} Note element
+   */
+  function findNoteElement(tooltip, noteId) {
+    return (
+      Array.from(tooltip.querySelectorAll(".tooltip-note")).find(
+        (el) => el.dataset.noteId === noteId
+      ) || null
+    );
+  }
+
+  const ReplyComposer = {
+    /**
+     * Attach delegated listeners for reply buttons and forms
+     * The notes list is re-rendered by search, so we listen on the tooltip
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    attachListeners(tooltip) {
+      if (!tooltip || tooltip.dataset.replyComposerBound === "true") return;
+
+      tooltip.dataset.replyComposerBound = "true";
+
+      tooltip.addEventListener("click", (e) => {
+        const replyButton = e.target.closest?.(".note-reply-btn");
+        if (replyButton) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.openForm(tooltip, replyButton.dataset.noteId);
+          return;
+        }
+
+        const cancelButton = e.target.closest?.(".note-reply-cancel");
+        if (cancelButton) {
+          e.preventDefault();
+          e.stopPropagation();
+          cancelButton.closest(".note-reply-form")?.remove();
+        }
+      });
+
+      tooltip.addEventListener("submit", (e) => {
+        const form = e.target.closest?.(".note-reply-form");
+        if (!form) return;
+
+        e.preventDefault();
+        this.submit(tooltip, form);
+      });
+
+      tooltip.addEventListener("keydown", (e) => {
+        if (!e.target.classList?.contains("note-reply-input")) return;
+
+        const form = e.target.closest(".note-reply-form");
+        if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+          e.preventDefault();
+          this.submit(tooltip, form);
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          form.remove();
+        }
+      });
+    },
+
+    /**
+     * Open (or focus) the reply box under a note
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} noteId - Note ID
+     * @param {Object} options - Draft text and error message to restore
+     */
+    openForm(tooltip, noteId, options = {}) {
+      const noteEl = findNoteElement(tooltip, noteId);
+      if (!noteEl) return;
+
+      let form = noteEl.querySelector(".note-reply-form");
+      if (!form) {
+        form = document.createElement("form");
+        form.className = "note-reply-form";
+        form.dataset.noteId = noteId;
+        form.innerHTML = `
+          <textarea class="note-reply-input" rows="2" maxlength="${
+            getConfig().maxUpdateLength
+          }" placeholder="Write a reply... (Ctrl+Enter to send)"></textarea>
+          <div class="note-reply-form-actions">
+            <span class="note-reply-error" role="alert"></span>
+            <button class="note-reply-cancel" type="button">Cancel</button>
+            <button class="note-reply-submit" type="submit">Reply</button>
+          </div>
+        `;
+        noteEl.appendChild(form);
+      }
+
+      const input = form.querySelector(".note-reply-input");
+      if (options.text) {
+        input.value = options.text;
+      }
+      form.querySelector(".note-reply-error").textContent = options.error || "";
+      input.focus();
+    },
+
+    /**
+     * Post a reply, showing it immediately and rolling back on failure
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {HTMLFormElement} form - Reply form
+     */
+    async submit(tooltip, form) {
+      const state = getState();
+      const contentAPI = getContentAPI();
+      const notesData = state.currentNotesData;
+      const noteId = form.dataset.noteId;
+      const input = form.querySelector(".note-reply-input");
+      const text = (input?.value || "").trim();
+
+      if (!text || !contentAPI || !notesData?.taskId) return;
+
+      const taskId = notesData.taskId;
+      const pendingReply = {
+        id: `pending-${Date.now()}`,
+        content: text,
+        richContent: null,
+        author: "You",
+        authorPhoto: null,
+        createdAt: new Date().toISOString(),
+        pending: true,
+      };
+
+      // Optimistic update: the form goes away with the re-render
+      updateNote(noteId, (note) => ({
+        ...note,
+        replies: [...(note.replies || []), pendingReply],
+        repliesExpanded: true,
+      }));
+      getSearchManager()?.rerender(tooltip);
+
+      try {
+        const reply = await contentAPI.postReply(taskId, noteId, text);
+
+        // Tooltip may have moved to another item while we were waiting
+        if (getState().currentNotesData?.taskId !== taskId) return;
+
+        updateNote(noteId, (note) => ({
+          ...note,
+          replies: (note.replies || []).map((r) =>
+            r.id === pendingReply.id ? reply : r
+          ),
+        }));
+        getSearchManager()?.rerender(tooltip);
+      } catch (error) {
+        if (getState().currentNotesData?.taskId !== taskId) return;
+
+        // Roll back and give the draft back to the user
+        updateNote(noteId, (note) => ({
+          ...note,
+          replies: (note.replies || []).filter((r) => r.id !== pendingReply.id),
+        }));
+        getSearchManager()?.rerender(tooltip);
+        this.openForm(tooltip, noteId, {
+          text: text,
+          error: error.message || "Couldn't post reply",
+        });
+      }
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.ReplyComposer = ReplyComposer;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ReplyComposer;
+  }
+})();
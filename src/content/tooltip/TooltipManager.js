@@ -118,6 +118,7 @@
         );
 
         state.currentTooltip.style.display = "none";
+        state.currentTooltip.classList.remove("is-refreshing");
         state.currentTooltip.innerHTML = "";
         state.currentTooltip = null;
       }
@@ -160,7 +161,7 @@
       state.isMouseOverTooltip = false;
 
       // Hide tooltip after delay
-      const hideDelay = config.hideDelay || 400;
+      const hideDelay = config.hideDelay ?? 200;
       const hideTimeout = setTimeout(() => {
         if (!state.isMouseOverTooltip) {
           this.hide();
@@ -199,15 +200,112 @@
 
     /**
      * Update tooltip content
+     * With preserveState, the new content is built off-screen and swapped in
+     * with one DOM operation, keeping the notes scroll position, the search
+     * input (value, focus, caret), open subitems, the theme toggle icon and
+     * the watermark
      * @param {string} content - New HTML content
+     * @param {Object} options - Update options
+     * @param {boolean} options.preserveState - Keep view state across the swap
      */
-    updateContent(content) {
+    updateContent(content, options = {}) {
       const state = getState();
-      if (state.currentTooltip) {
-        state.currentTooltip.innerHTML = content;
+      const tooltip = state.currentTooltip;
+      if (!tooltip) return;
+
+      if (!options.preserveState) {
+        tooltip.innerHTML = content;
+        return;
+      }
+
+      const scrollTop =
+        tooltip.querySelector(".tooltip-content")?.scrollTop || 0;
+      const searchInput = tooltip.querySelector(".search-input");
+      const searchFocused =
+        searchInput && searchInput === document.activeElement;
+      const selection = searchInput
+        ? [searchInput.selectionStart, searchInput.selectionEnd]
+        : null;
+      const subitemsOpen = tooltip.querySelector(".tooltip-subitems")?.open;
+      const watermark = tooltip.querySelector(".free-watermark");
+      const themeIcon = tooltip.querySelector(".theme-toggle")?.textContent;
+
+      const temp = document.createElement("div");
+      temp.innerHTML = content;
+
+      const newInput = temp.querySelector(".search-input");
+      if (newInput && searchInput) {
+        newInput.value = searchInput.value;
+      }
+      const newSubitems = temp.querySelector(".tooltip-subitems");
+      if (newSubitems && subitemsOpen !== undefined) {
+        newSubitems.open = subitemsOpen;
+      }
+      const newThemeToggle = temp.querySelector(".theme-toggle");
+      if (newThemeToggle && themeIcon) {
+        newThemeToggle.textContent = themeIcon;
+      }
+      if (watermark) {
+        temp.appendChild(watermark);
+      }
+
+      tooltip.replaceChildren(...temp.childNodes);
+
+      // Restore before the next paint so the swap doesn't jump
+      const contentArea = tooltip.querySelector(".tooltip-content");
+      if (contentArea) {
+        contentArea.scrollTop = scrollTop;
+      }
+      const input = tooltip.querySelector(".search-input");
+      if (input && searchFocused) {
+        input.focus();
+        input.setSelectionRange(selection[0], selection[1]);
       }
     },
 
+    /**
+     * Show or hide the "refreshing" indicator for stale content
+     * @param {boolean} refreshing - Whether a background refresh is running
+     */
+    setRefreshing(refreshing) {
+      const tooltip = getState().currentTooltip;
+      if (!tooltip) return;
+
+      tooltip.classList.toggle("is-refreshing", refreshing);
+      const header = tooltip.querySelector(".tooltip-header");
+      let indicator = tooltip.querySelector(".tooltip-refreshing");
+
+      if (refreshing && !indicator && header) {
+        indicator = document.createElement("span");
+        indicator.className = "tooltip-refreshing";
+        indicator.setAttribute("role", "status");
+        indicator.title = "Showing cached notes while checking for updates";
+        indicator.textContent = "Refreshing...";
+        header.insertBefore(indicator, header.querySelector(".theme-toggle"));
+      } else if (!refreshing && indicator) {
+        indicator.remove();
+      }
+    },
+
+    /**
+     * Show the offline banner below the header
+     * The banner goes away with the next full render (e.g. fresh notes)
+     * @param {number} savedAt - When the shown snapshot was saved
+     */
+    setOffline(savedAt) {
+      const tooltip = getState().currentTooltip;
+      const tooltipRenderer = window.TooltipRenderer;
+      if (!tooltip || !tooltipRenderer) return;
+
+      tooltip.querySelector(".tooltip-offline-banner")?.remove();
+      tooltip
+        .querySelector(".tooltip-header")
+        ?.insertAdjacentHTML(
+          "afterend",
+          tooltipRenderer.renderOfflineBanner(savedAt)
+        );
+    },
+
     /**
      * Get current tooltip element
      * @returns {HTMLElement|null} Current tooltip or null
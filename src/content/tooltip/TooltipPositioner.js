@@ -1,6 +1,16 @@
 /**
  * Tooltip Positioner Module
- * Pure function for calculating tooltip position
+ *
+ * Places the tooltip according to the tooltipPosition setting:
+ * - cursor: next to the mouse, following it
+ * - right: anchored to the right of the row, else left of, below or above it
+ * - below: anchored below the row, else above, right of or left of it
+ * - docked: docked to the right edge of the screen
+ * - auto: the first anchored placement that fits, near where the mouse entered
+ *
+ * Placements are checked against the viewport minus Monday's fixed headers
+ * and side panels. Only "cursor" moves with the mouse; anchored modes stay
+ * put until the tooltip is shown again.
  */
 
 (function () {
@@ -9,84 +19,300 @@
   // Dependencies
   const getConfig = () => window.CONFIG || {};
 
+  const CONFIG = {
+    margin: 8, // Space kept from the edges of the free area
+    minHeight: 160, // Smallest height we shrink the tooltip to
+    obstacleCacheMs: 500, // Reuse the free area while the mouse moves
+    // Monday's fixed headers and side panels (item card, inbox, etc.)
+    obstacles:
+      'header, [class*="surface-header"], [class*="top-bar"], [class*="leftpane"], [class*="left-pane"], [class*="slide-panel"], [class*="side-panel"], [class*="pulse-card-wrapper"], [data-testid*="side-panel"]',
+    // Our own UI is never an obstacle
+    ownElements: ".monday-quick-peek-tooltip, .board-search-overlay",
+  };
+
+  const MODES = ["auto", "cursor", "right", "below", "docked"];
+
+  let freeAreaCache = null; // { area, expiresAt, width, height }
+
+  /**
+   * Measure the part of the viewport not covered by Monday's fixed UI
+   * Only obstacles attached to a viewport edge and spanning most of it
+   * shrink the area; anything floating in the middle is ignored
+   * @returns {Object} { top, right, bottom, left } in viewport pixels
+   */
+  function getFreeArea() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const now = Date.now();
+    if (
+      freeAreaCache &&
+      freeAreaCache.expiresAt > now &&
+      freeAreaCache.width === width &&
+      freeAreaCache.height === height
+    ) {
+      return freeAreaCache.area;
+    }
+
+    const area = { top: 0, right: width, bottom: height, left: 0 };
+    const edge = 2; // Tolerance for "touching" an edge
+
+    document.querySelectorAll(CONFIG.obstacles).forEach((element) => {
+      if (element.closest(CONFIG.ownElements)) return;
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+
+      const spansWidth = rect.width > width / 2;
+      const spansHeight = rect.height > height / 2;
+
+      if (spansWidth && rect.top <= edge && rect.bottom < height / 2) {
+        area.top = Math.max(area.top, rect.bottom);
+      } else if (
+        spansWidth &&
+        rect.bottom >= height - edge &&
+        rect.top > height / 2
+      ) {
+        area.bottom = Math.min(area.bottom, rect.top);
+      } else if (spansHeight && rect.left <= edge && rect.right < width / 2) {
+        area.left = Math.max(area.left, rect.right);
+      } else if (
+        spansHeight &&
+        rect.right >= width - edge &&
+        rect.left > width / 2
+      ) {
+        area.right = Math.min(area.right, rect.left);
+      }
+    });
+
+    freeAreaCache = {
+      area,
+      expiresAt: now + CONFIG.obstacleCacheMs,
+      width,
+      height,
+    };
+    return area;
+  }
+
+  // Helper: Check whether a box fits inside the free area
+  function fits(box, area) {
+    return (
+      box.left >= area.left + CONFIG.margin &&
+      box.top >= area.top + CONFIG.margin &&
+      box.left + box.width <= area.right - CONFIG.margin &&
+      box.top + box.height <= area.bottom - CONFIG.margin
+    );
+  }
+
+  // Helper: Clamp a value between min and max (min wins if they cross)
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+  }
+
+  /**
+   * Move a box inside the free area, shrinking its height if needed
+   * @param {Object} box - { top, left, width, height }
+   * @param {Object} area - Free area
+   * @returns {Object} Adjusted box
+   */
+  function constrain(box, area) {
+    const maxHeight = Math.max(
+      CONFIG.minHeight,
+      area.bottom - area.top - CONFIG.margin * 2
+    );
+    const height = Math.min(box.height, maxHeight);
+    return {
+      width: box.width,
+      height,
+      left: clamp(
+        box.left,
+        area.left + CONFIG.margin,
+        area.right - CONFIG.margin - box.width
+      ),
+      top: clamp(
+        box.top,
+        area.top + CONFIG.margin,
+        area.bottom - CONFIG.margin - height
+      ),
+    };
+  }
+
+  /**
+   * Pick the first candidate that fits, or the one with the most room
+   * @param {Array<Object>} candidates - Boxes in order of preference
+   * @param {Object} area - Free area
+   * @returns {Object} Chosen box, constrained to the free area
+   */
+  function choose(candidates, area) {
+    const fitting = candidates.find((box) => fits(box, area));
+    if (fitting) return fitting;
+
+    // Nothing fits: prefer the candidate that loses the least height
+    const ranked = candidates
+      .map((box) => ({ box, constrained: constrain(box, area) }))
+      .sort(
+        (a, b) =>
+          b.constrained.height - a.constrained.height ||
+          displacement(a.box, a.constrained) -
+            displacement(b.box, b.constrained)
+      );
+    return ranked[0].constrained;
+  }
+
+  // Helper: How far a box had to move to be constrained
+  function displacement(box, constrained) {
+    return (
+      Math.abs(box.left - constrained.left) +
+      Math.abs(box.top - constrained.top)
+    );
+  }
+
+  // Placement candidates per mode, in order of preference. Anchored
+  // candidates may slide along the row edge they're attached to, so only
+  // the side they open towards decides whether they fit
+
+  function cursorCandidates(point, size, offset) {
+    const right = point.x + offset;
+    const left = point.x - offset - size.width;
+    const below = point.y + offset;
+    const above = point.y - offset - size.height;
+    return [
+      { left: right, top: below, ...size },
+      { left: left, top: below, ...size },
+      { left: right, top: above, ...size },
+      { left: left, top: above, ...size },
+    ];
+  }
+
+  function rightCandidates(rect, size, offset, area) {
+    const top = clamp(
+      rect.top,
+      area.top + CONFIG.margin,
+      area.bottom - CONFIG.margin - size.height
+    );
+    return [
+      { left: rect.right + offset, top, ...size },
+      { left: rect.left - offset - size.width, top, ...size },
+    ];
+  }
+
+  function belowCandidates(rect, size, offset, area, x = rect.left) {
+    const left = clamp(
+      x,
+      area.left + CONFIG.margin,
+      area.right - CONFIG.margin - size.width
+    );
+    return [
+      { left, top: rect.bottom + offset, ...size },
+      { left, top: rect.top - offset - size.height, ...size },
+    ];
+  }
+
+  function dockedBox(area, size) {
+    return {
+      left: area.right - CONFIG.margin - size.width,
+      top: area.top + CONFIG.margin,
+      width: size.width,
+      height: Math.min(size.height, area.bottom - area.top - CONFIG.margin * 2),
+    };
+  }
+
   const TooltipPositioner = {
+    MODES,
+
+    /**
+     * Get the placement mode from settings
+     * @returns {string} One of MODES
+     */
+    getMode() {
+      const mode = getConfig().tooltipPosition;
+      return MODES.includes(mode) ? mode : "auto";
+    },
+
+    /**
+     * Check whether the tooltip should follow mouse movement
+     * @returns {boolean} True in cursor mode
+     */
+    followsCursor() {
+      return this.getMode() === "cursor";
+    },
+
     /**
      * Calculate and set tooltip position
      * @param {HTMLElement} tooltip - Tooltip element
      * @param {HTMLElement} row - Task row element
-     * @param {Event} event - Mouse event for cursor position
+     * @param {Event} event - Mouse event for cursor position (null when
+     *   opened from the keyboard)
      */
     position(tooltip, row, event) {
       const config = getConfig();
-      const rect = row.getBoundingClientRect();
-      const tooltipRect = tooltip.getBoundingClientRect();
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
-      const tooltipOffset = config.tooltipOffset || 20;
-
-      // Default: position below and to the right of the row
-      let top = rect.bottom + tooltipOffset + window.scrollY;
-      let left = rect.left + window.scrollX;
-
-      // If mouse event is available, position near cursor
-      if (event && event.clientX && event.clientY) {
-        left = event.clientX + tooltipOffset + window.scrollX;
-        top = event.clientY + tooltipOffset + window.scrollY;
-      }
+      const offset = config.tooltipOffset || 20;
+      const area = getFreeArea();
 
-      // Check right edge
-      if (left + tooltipRect.width > viewportWidth + window.scrollX) {
-        if (event && event.clientX) {
-          left =
-            event.clientX - tooltipRect.width - tooltipOffset + window.scrollX;
-        } else {
-          left = rect.right - tooltipRect.width + window.scrollX;
-        }
-      }
-
-      // Check bottom edge - comprehensive viewport checking
-      const availableBottomSpace =
-        viewportHeight + window.scrollY - (top - window.scrollY);
-      const tooltipHeight = tooltipRect.height;
-
-      if (top + tooltipHeight > viewportHeight + window.scrollY) {
-        // Position above cursor/row
-        if (event && event.clientY) {
-          top = event.clientY - tooltipHeight - tooltipOffset + window.scrollY;
-        } else {
-          top = rect.top - tooltipHeight - tooltipOffset + window.scrollY;
-        }
-      }
+      // Measure at natural height; a previous placement may have shrunk it
+      tooltip.style.maxHeight = "";
+      const tooltipRect = tooltip.getBoundingClientRect();
+      const size = { width: tooltipRect.width, height: tooltipRect.height };
+      const rect = row.getBoundingClientRect();
+      const point =
+        Number.isFinite(event?.clientX) && Number.isFinite(event?.clientY)
+          ? { x: event.clientX, y: event.clientY }
+          : null;
 
-      // Ensure tooltip doesn't go off left edge
-      if (left < window.scrollX) {
-        left = window.scrollX + tooltipOffset;
+      let mode = this.getMode();
+      // Cursor mode needs a mouse; keyboard peeks anchor below the row
+      if (mode === "cursor" && !point) {
+        mode = "below";
       }
 
-      // Ensure tooltip doesn't go off top edge
-      if (top < window.scrollY) {
-        top = window.scrollY + tooltipOffset;
+      let box;
+      switch (mode) {
+        case "cursor":
+          box = choose(cursorCandidates(point, size, offset), area);
+          break;
+        // Each anchored mode falls back to the other before covering the row
+        case "right":
+          box = choose(
+            [
+              ...rightCandidates(rect, size, offset, area),
+              ...belowCandidates(rect, size, offset, area),
+            ],
+            area
+          );
+          break;
+        case "below":
+          box = choose(
+            [
+              ...belowCandidates(rect, size, offset, area),
+              ...rightCandidates(rect, size, offset, area),
+            ],
+            area
+          );
+          break;
+        case "docked":
+          box = dockedBox(area, size);
+          break;
+        default:
+          // Rows span the board, so anchor horizontally where the mouse entered
+          box = choose(
+            [
+              ...belowCandidates(
+                rect,
+                size,
+                offset,
+                area,
+                point ? point.x - size.width / 2 : rect.left
+              ),
+              ...rightCandidates(rect, size, offset, area),
+            ],
+            area
+          );
       }
 
-      // Final safety check: ensure tooltip fits in viewport
-      const maxBottom = viewportHeight + window.scrollY - 20; // 20px padding
-      const finalBottom = top + tooltipHeight;
-      if (finalBottom > maxBottom) {
-        // Adjust max-height dynamically if needed
-        const availableHeight = maxBottom - top;
-        if (availableHeight > 100) {
-          // Only adjust if we have reasonable space
-          tooltip.style.maxHeight = `${availableHeight}px`;
-        }
-        // Recalculate position
-        top = maxBottom - tooltipHeight;
-        if (top < window.scrollY) {
-          top = window.scrollY + tooltipOffset;
-        }
+      if (box.height < size.height) {
+        tooltip.style.maxHeight = `${Math.round(box.height)}px`;
       }
-
-      tooltip.style.top = `${top}px`;
-      tooltip.style.left = `${left}px`;
+      tooltip.style.top = `${Math.round(box.top)}px`;
+      tooltip.style.left = `${Math.round(box.left)}px`;
+      tooltip.dataset.placement = mode;
     },
   };
 
@@ -8,6 +8,7 @@
   "use strict";
 
   // Dependencies
+  const getConfig = () => window.CONFIG || {};
   const getSearchFilter = () => window.SearchFilter;
   const getSearchHighlighter = () => window.SearchHighlighter;
 
@@ -19,26 +20,162 @@
     return div.innerHTML;
   }
 
+  // Utility: Escape text for use inside a double-quoted attribute
+  function escapeAttribute(text) {
+    return escapeHtml(String(text ?? ""))
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Utility: Only allow http(s) and mailto links in rendered content
+  function isSafeUrl(url) {
+    if (!url || typeof url !== "string") return false;
+    return /^(https?:|mailto:)/i.test(url.replace(/[\u0000- ]/g, ""));
+  }
+
+  // Tags the renderer will emit; mirrors the RichTextParser allow-list
+  const RICH_TAGS = new Set([
+    "p",
+    "br",
+    "hr",
+    "strong",
+    "em",
+    "u",
+    "s",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "checkbox",
+  ]);
+
+  // Utility: Render a sanitized rich content tree (from RichTextParser)
+  function renderRichContent(nodes, searchTerm) {
+    if (!Array.isArray(nodes)) return "";
+
+    return nodes
+      .map((node) => {
+        if (!node) return "";
+        if (node.text !== undefined) {
+          return highlightMatches(node.text, searchTerm);
+        }
+
+        const children = renderRichContent(node.children, searchTerm);
+        // Never trust the tree blindly: unknown tags are unwrapped
+        if (!RICH_TAGS.has(node.tag)) return children;
+
+        const attrs = node.attrs || {};
+        const checkbox = (checked) =>
+          `<input type="checkbox" disabled${checked ? " checked" : ""} />`;
+
+        switch (node.tag) {
+          case "br":
+            return "<br />";
+          case "hr":
+            return "<hr />";
+          case "img":
+            return isSafeUrl(attrs.src) && !/^mailto:/i.test(attrs.src)
+              ? `<img class="rich-image" src="${escapeAttribute(
+                  attrs.src
+                )}" alt="${escapeAttribute(attrs.alt || "")}" loading="lazy" />`
+              : "";
+          case "checkbox":
+            return checkbox(attrs.checked === true);
+          case "a":
+            if (!isSafeUrl(attrs.href)) return `<span>${children}</span>`;
+            return `<a href="${escapeAttribute(
+              attrs.href
+            )}" target="_blank" rel="noopener noreferrer"${
+              attrs.mention ? ' class="rich-mention"' : ""
+            }>${children}</a>`;
+          case "li":
+            if (typeof attrs.checked === "boolean") {
+              return `<li class="rich-checklist-item${
+                attrs.checked ? " checked" : ""
+              }">${checkbox(attrs.checked)} ${children}</li>`;
+            }
+            return `<li>${children}</li>`;
+          case "table":
+            return `<div class="rich-table-wrapper"><table>${children}</table></div>`;
+          case "td":
+          case "th": {
+            const span = ["colspan", "rowspan"]
+              .filter((name) => /^\d{1,2}$/.test(attrs[name] || ""))
+              .map((name) => ` ${name}="${attrs[name]}"`)
+              .join("");
+            return `<${node.tag}${span}>${children}</${node.tag}>`;
+          }
+          default:
+            return `<${node.tag}>${children}</${node.tag}>`;
+        }
+      })
+      .join("");
+  }
+
+  // Utility: Render a note or reply body, preferring the rich tree
+  function renderBody(entry, searchTerm) {
+    if (Array.isArray(entry.richContent) && entry.richContent.length > 0) {
+      return renderRichContent(entry.richContent, searchTerm);
+    }
+    return highlightMatches(entry.content, searchTerm);
+  }
+
   // Utility: Escape regex special characters
   function escapeRegex(str) {
     return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   }
 
-  // Utility: Highlight matches in text
-  function highlightMatches(text, searchTerm) {
+  // Utility: Highlight every matched search term in text, typos included
+  // field: "author" also highlights author: filter values
+  function highlightMatches(text, searchTerm, field) {
     if (!searchTerm || !text) return escapeHtml(text || "");
 
-    const term = searchTerm.trim();
-    if (!term) return escapeHtml(text);
+    const searchFilter = getSearchFilter();
+    if (!searchFilter) {
+      const term = searchTerm.trim();
+      if (!term) return escapeHtml(text);
+      return escapeHtml(text).replace(
+        new RegExp(`(${escapeRegex(escapeHtml(term))})`, "gi"),
+        '<mark class="search-highlight">$1</mark>'
+      );
+    }
 
-    const escapedText = escapeHtml(text);
-    const regex = new RegExp(`(${escapeRegex(term)})`, "gi");
-    return escapedText.replace(
-      regex,
-      '<mark class="search-highlight">$1</mark>'
+    // Ranges index the raw text (typo matches included)
+    return highlightRanges(
+      text,
+      searchFilter.getHighlightRanges(text, searchTerm, field)
     );
   }
 
+  // Utility: Escape text and mark the given [start, end] ranges
+  function highlightRanges(text, ranges) {
+    let html = "";
+    let position = 0;
+    (ranges || []).forEach(([start, end]) => {
+      if (start < position) return;
+      html += escapeHtml(text.slice(position, start));
+      html += `<mark class="search-highlight">${escapeHtml(
+        text.slice(start, end)
+      )}</mark>`;
+      position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+  }
+
   // Utility: Format relative time
   function formatRelativeTime(dateString) {
     if (!dateString) return "";
@@ -62,6 +199,280 @@
     return date.toLocaleDateString();
   }
 
+  // Utility: Check if any reply of a note matches a search term
+  function repliesMatch(note, searchTerm) {
+    const searchFilter = getSearchFilter();
+    if (!searchTerm || !searchFilter) return false;
+
+    return (note.replies || []).some(
+      (reply) =>
+        searchFilter.getHighlightRanges(
+          `${reply.content || ""} ${reply.author || ""}`,
+          searchTerm
+        ).length > 0
+    );
+  }
+
+  // Utility: Render author/date filter chips for the notes
+  function renderFacets(notes, searchTerm) {
+    const searchFilter = getSearchFilter();
+    if (!searchFilter || notes.length < 2) return "";
+
+    const facets = searchFilter.getFacets(notes);
+    if (facets.length === 0) return "";
+
+    const chips = facets
+      .map((facet) => {
+        const active = searchFilter.hasToken(searchTerm, facet.token);
+        return `<button type="button" class="search-chip search-chip-${
+          facet.kind
+        }${active ? " active" : ""}" data-token="${escapeAttribute(
+          facet.token
+        )}" title="${escapeAttribute(facet.token)}">${
+          facet.kind === "author" ? "👤" : "🗓"
+        } ${escapeHtml(facet.label)} <span class="search-chip-count">${
+          facet.count
+        }</span></button>`;
+      })
+      .join("");
+
+    return `<div class="search-facets">${chips}</div>`;
+  }
+
+  // Utility: Render a note's replies as a collapsible thread
+  function renderReplies(note, searchTerm) {
+    const replies = note.replies || [];
+    if (replies.length === 0) return "";
+
+    // Expand the thread when the match is inside a reply or after replying
+    const isOpen = note.repliesExpanded || repliesMatch(note, searchTerm);
+
+    const items = replies
+      .map((reply) => {
+        const timestamp = reply.pending
+          ? "Sending..."
+          : formatRelativeTime(reply.createdAt) ||
+            new Date(reply.createdAt).toLocaleDateString();
+        return `
+          <div class="note-reply${reply.pending ? " note-reply-pending" : ""}">
+            <div class="note-reply-header">
+              <span class="tooltip-author note-author">
+                ${
+                  reply.authorPhoto
+                    ? `<img src="${escapeHtml(
+                        reply.authorPhoto
+                      )}" alt="${escapeHtml(reply.author)}" />`
+                    : ""
+                }
+                <span class="author-name">${highlightMatches(
+                  reply.author,
+                  searchTerm
+                )}</span>
+              </span>
+              <span class="tooltip-timestamp note-time">${escapeHtml(
+                timestamp
+              )}</span>
+            </div>
+            <div class="note-reply-body rich-body">${renderBody(
+              reply,
+              searchTerm
+            )}</div>
+          </div>
+        `;
+      })
+      .join("");
+
+    return `<details class="note-replies"${isOpen ? " open" : ""}>
+      <summary class="note-replies-toggle">${replies.length} ${
+      replies.length === 1 ? "reply" : "replies"
+    }</summary>
+      <div class="note-replies-list">${items}</div>
+    </details>`;
+  }
+
+  // Utility: Accept only plain color values for inline styles
+  function safeColor(color) {
+    if (!color || typeof color !== "string") return null;
+    const value = color.trim();
+    if (/^#[0-9a-f]{3,8}$/i.test(value)) return value;
+    if (/^rgba?\(\s*[\d.\s,%]+\)$/i.test(value)) return value;
+    return null;
+  }
+
+  // Utility: Initials for a people avatar
+  function getInitials(name) {
+    return name
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map((part) => part[0].toUpperCase())
+      .join("");
+  }
+
+  // Utility: Format a YYYY-MM-DD date from a column value
+  function formatColumnDate(value) {
+    if (!value) return "";
+    const date = new Date(`${value}T00:00:00`);
+    if (isNaN(date.getTime())) return value;
+    return date.toLocaleDateString(undefined, {
+      month: "short",
+      day: "numeric",
+    });
+  }
+
+  // Utility: Pick the column values to show based on settings
+  function selectSummaryColumns(columnValues) {
+    const config = getConfig();
+    const types = config.summaryColumnTypes || [];
+    const ids = config.summaryColumnIds || [];
+    const max = config.summaryMaxColumns || 6;
+
+    return (
+      (columnValues || [])
+        // Empty people columns stay visible so someone can be assigned
+        .filter(
+          (col) =>
+            (col.text && col.text.trim()) ||
+            (col.type === "people" && Array.isArray(col.personIds))
+        )
+        .filter((col) => ids.includes(col.id) || types.includes(col.type))
+        .slice(0, max)
+    );
+  }
+
+  // Utility: Attributes that make status/people pills editable in place
+  function editableAttributes(col) {
+    const editable =
+      (col.type === "status" && (col.labels || []).length > 0) ||
+      (col.type === "people" && Array.isArray(col.personIds));
+    if (!editable) return { className: "", attrs: "" };
+
+    return {
+      className: " summary-editable",
+      attrs: ` data-column-id="${escapeAttribute(
+        col.id
+      )}" role="button" tabindex="0"`,
+    };
+  }
+
+  // Utility: Render one column value as a summary pill
+  function renderSummaryColumn(col) {
+    const title = escapeAttribute(`${col.title || col.id}: ${col.text}`);
+    const editable = editableAttributes(col);
+
+    switch (col.type) {
+      case "status": {
+        const color = safeColor(col.color);
+        return `<span class="summary-pill summary-status${
+          editable.className
+        }" title="${title}"${editable.attrs}${
+          color ? ` style="background: ${color}"` : ""
+        }>${escapeHtml(col.text)}</span>`;
+      }
+      case "people": {
+        const people = col.text
+          .split(",")
+          .map((name) => name.trim())
+          .filter(Boolean);
+        const avatars = people
+          .slice(0, 3)
+          .map(
+            (name) =>
+              `<span class="summary-avatar" title="${escapeAttribute(
+                name
+              )}">${escapeHtml(getInitials(name))}</span>`
+          )
+          .join("");
+        const extra =
+          people.length === 0
+            ? '<span class="summary-avatar summary-avatar-more">+</span>'
+            : people.length > 3
+            ? `<span class="summary-avatar summary-avatar-more">+${
+                people.length - 3
+              }</span>`
+            : "";
+        return `<span class="summary-people${editable.className}" title="${title}"${editable.attrs}>${avatars}${extra}</span>`;
+      }
+      case "date":
+        return `<span class="summary-pill summary-date" title="${title}">📅 ${escapeHtml(
+          formatColumnDate(col.date) || col.text
+        )}</span>`;
+      case "timeline": {
+        const range =
+          col.from && col.to
+            ? `${formatColumnDate(col.from)} – ${formatColumnDate(col.to)}`
+            : col.text;
+        return `<span class="summary-pill summary-timeline" title="${title}">🗓 ${escapeHtml(
+          range
+        )}</span>`;
+      }
+      case "numbers":
+        return `<span class="summary-pill summary-number" title="${title}"><span class="summary-label">${escapeHtml(
+          col.title || ""
+        )}</span> ${escapeHtml(col.text)}</span>`;
+      default:
+        return `<span class="summary-pill" title="${title}">${escapeHtml(
+          col.text
+        )}</span>`;
+    }
+  }
+
+  // Utility: Render the item summary strip (status, people, dates, numbers)
+  function renderItemSummary(columnValues) {
+    const columns = selectSummaryColumns(columnValues);
+    if (columns.length === 0) return "";
+
+    return `<div class="tooltip-summary">${columns
+      .map(renderSummaryColumn)
+      .join("")}</div>`;
+  }
+
+  // Utility: Render one subitem row (name, status, owner, update count)
+  function renderSubitem(subitem) {
+    const color = safeColor(subitem.status?.color);
+    const status = subitem.status
+      ? `<span class="summary-pill summary-status subitem-status"${
+          color ? ` style="background: ${color}"` : ""
+        }>${escapeHtml(subitem.status.text)}</span>`
+      : "";
+    const owner = subitem.owner
+      ? `<span class="summary-avatar subitem-owner" title="${escapeAttribute(
+          subitem.owner
+        )}">${escapeHtml(getInitials(subitem.owner))}</span>`
+      : "";
+    const count = subitem.updateCount || 0;
+    const updates =
+      count > 0
+        ? `<span class="subitem-updates" title="${count}${
+            subitem.hasMoreUpdates ? "+" : ""
+          } ${count === 1 ? "update" : "updates"}">💬 ${count}${
+            subitem.hasMoreUpdates ? "+" : ""
+          }</span>`
+        : "";
+
+    return `<li class="subitem-row" data-subitem-id="${escapeAttribute(
+      subitem.id
+    )}">
+      <span class="subitem-name">${escapeHtml(subitem.name)}</span>
+      ${status}${owner}${updates}
+    </li>`;
+  }
+
+  // Utility: Render the collapsible subitems section
+  function renderSubitems(subitems) {
+    if (!subitems || subitems.length === 0) return "";
+
+    return `<details class="tooltip-subitems">
+      <summary class="subitems-toggle">Subitems (${subitems.length})</summary>
+      <ul class="subitems-list">${subitems.map(renderSubitem).join("")}</ul>
+    </details>`;
+  }
+
+  // Utility: Button that opens the new update composer
+  function renderComposerButton() {
+    return '<button class="composer-open-btn" type="button">✏️ New update</button>';
+  }
+
   const TooltipRenderer = {
     /**
      * Format content for display with search functionality
@@ -89,6 +500,9 @@
               note.createdAt
                 ? new Date(note.createdAt).toLocaleDateString()
                 : "",
+              ...(note.replies || []).map(
+                (reply) => `${reply.content || ""} ${reply.author || ""}`
+              ),
             ]
               .join(" ")
               .toLowerCase();
@@ -102,17 +516,24 @@
 
       let html = `<div class="tooltip-header">
         <strong class="tooltip-task-name">${escapeHtml(taskName)}</strong>
+        <button class="tooltip-pin" aria-label="Pin as panel" title="Pin as a floating panel">📌</button>
         <button class="theme-toggle" aria-label="Toggle theme" title="Toggle dark/light mode">🌓</button>
       </div>`;
 
+      // Add item summary strip (column values)
+      html += renderItemSummary(notesData?.columnValues);
+
+      // Add subitems section (outside the content area so search keeps it)
+      html += renderSubitems(notesData?.subitems);
+
       // Add search input
       html += `<div class="tooltip-search">
         <div class="search-input-wrapper">
           <input 
             type="text" 
             class="search-input" 
-            placeholder="Search notes..." 
-            value="${escapeHtml(searchTerm)}"
+            placeholder="Search notes (author:, has:link, -word, OR)..." 
+            value="${escapeAttribute(searchTerm)}"
             autocomplete="off"
           />
           ${
@@ -121,8 +542,12 @@
               : ""
           }
         </div>
+        ${renderFacets(notes, searchTerm)}
       </div>`;
 
+      // Add new update composer (outside the content area so search keeps it)
+      html += `<div class="tooltip-composer">${renderComposerButton()}</div>`;
+
       // Add content area
       html += '<div class="tooltip-content">';
 
@@ -138,15 +563,22 @@
         notesToDisplay.forEach((note) => {
           const relativeTime = formatRelativeTime(note.createdAt);
           const date = new Date(note.createdAt).toLocaleDateString();
-          const timestamp = relativeTime || date;
+          const timestamp = note.pending ? "Sending..." : relativeTime || date;
 
           // Highlight matches
-          const highlightedContent = highlightMatches(note.content, searchTerm);
-          const highlightedAuthor = highlightMatches(note.author, searchTerm);
+          const highlightedContent = renderBody(note, searchTerm);
+          const highlightedAuthor = highlightMatches(
+            note.author,
+            searchTerm,
+            "author"
+          );
           const highlightedTimestamp = highlightMatches(timestamp, searchTerm);
+          const replyCount = (note.replies || []).length;
 
           html += `
-            <div class="tooltip-note note-item">
+            <div class="tooltip-note note-item${
+              note.pending ? " note-pending" : ""
+            }" data-note-id="${escapeAttribute(note.id)}">
               <div class="tooltip-note-header">
                 <span class="tooltip-author note-author">
                   ${
@@ -158,12 +590,34 @@
                   }
                   <span class="author-name">${highlightedAuthor}</span>
                 </span>
+                ${
+                  replyCount > 0
+                    ? `<span class="note-reply-count" title="${replyCount} ${
+                        replyCount === 1 ? "reply" : "replies"
+                      }">💬 ${replyCount}</span>`
+                    : ""
+                }
                 <span class="tooltip-timestamp note-time">${highlightedTimestamp}</span>
               </div>
-              <div class="tooltip-body note-body">${highlightedContent}</div>
+              <div class="tooltip-body note-body rich-body">${highlightedContent}</div>
+              ${renderReplies(note, searchTerm)}
+              ${
+                note.pending
+                  ? ""
+                  : `<div class="note-actions">
+                <button class="note-reply-btn" type="button" data-note-id="${escapeAttribute(
+                  note.id
+                )}">Reply</button>
+              </div>`
+              }
             </div>
           `;
         });
+
+        // Offer the next page of updates when the API reported more
+        if (notesData.hasMore) {
+          html += `<button class="load-older-btn" type="button">Load older updates</button>`;
+        }
         html += "</div>";
       } else {
         // Empty state
@@ -202,12 +656,95 @@
     escapeHtml,
 
     /**
-     * Highlight matches in text
+     * Escape text for use inside a double-quoted HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeAttribute,
+
+    /**
+     * Highlight every matched search term in text
      * @param {string} text - Text to highlight
-     * @param {string} searchTerm - Search term
+     * @param {string} searchTerm - Search query
+     * @param {string} [field] - "author" to also highlight author: values
      * @returns {string} Highlighted text
      */
     highlightMatches,
+
+    /**
+     * Escape text and highlight the given ranges
+     * @param {string} text - Text to highlight
+     * @param {Array<Array<number>>} ranges - Sorted [start, end] pairs
+     * @returns {string} Highlighted text
+     */
+    highlightRanges,
+
+    /**
+     * Render a sanitized rich content tree
+     * @param {Array<Object>} nodes - Nodes from RichTextParser
+     * @param {string} searchTerm - Search term to highlight
+     * @returns {string} HTML
+     */
+    renderRichContent,
+
+    /**
+     * Render the item summary strip
+     * @param {Array<Object>} columnValues - Formatted column values
+     * @returns {string} HTML
+     */
+    renderItemSummary,
+
+    /**
+     * Render the collapsible subitems section
+     * @param {Array<Object>} subitems - Formatted subitems
+     * @returns {string} HTML
+     */
+    renderSubitems,
+
+    /**
+     * Render the button that opens the new update composer
+     * @returns {string} HTML
+     */
+    renderComposerButton,
+
+    /**
+     * Render the banner shown above notes served from the offline snapshot
+     * @param {number} savedAt - When the snapshot was saved (ms timestamp)
+     * @returns {string} HTML
+     */
+    renderOfflineBanner(savedAt) {
+      const date = new Date(savedAt);
+      const isToday = date.toDateString() === new Date().toDateString();
+      const time = isToday
+        ? date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+        : date.toLocaleString([], {
+            month: "short",
+            day: "numeric",
+            hour: "numeric",
+            minute: "2-digit",
+          });
+
+      return `<div class="tooltip-offline-banner" role="status" title="${escapeAttribute(
+        `Monday.com couldn't be reached. Showing notes saved ${date.toLocaleString()}.`
+      )}">📴 Offline, as of ${escapeHtml(time)}</div>`;
+    },
+
+    /**
+     * Render the loading state shown while notes are fetched
+     * Keeps the header so the tooltip doesn't change shape when notes arrive
+     * @param {string} taskName - Name of the task
+     * @returns {string} HTML
+     */
+    renderLoading(taskName) {
+      return `<div class="tooltip-header">
+        <strong class="tooltip-task-name">${escapeHtml(taskName)}</strong>
+      </div>
+      <div class="tooltip-content tooltip-loading" role="status" aria-label="Loading notes">
+        <div class="loading-line"></div>
+        <div class="loading-line short"></div>
+        <div class="loading-line"></div>
+      </div>`;
+    },
   };
 
   // Export globally
@@ -0,0 +1,368 @@
+/**
+ * Update Composer Module
+ *
+ * Handles posting a new top-level update from the tooltip, with @mention
+ * autocomplete from the board's subscribers
+ */
+
+(function () {
+  "use strict";
+
+  // Dependencies
+  const getConfig = () => window.CONFIG || {};
+  const getState = () => window.QuickPeekState || {};
+  const getStateManager = () => window.StateManager;
+  const getContentAPI = () => window.ContentAPI;
+  const getSearchManager = () => window.SearchManager;
+  const getTooltipRenderer = () => window.TooltipRenderer;
+
+  const CONFIG = {
+    maxSuggestions: 6,
+  };
+
+  // Mention candidates per item, so reopening the composer is instant
+  const candidatesByItem = new Map();
+
+  // Users picked from the suggestions for the open composer
+  let selectedMentions = [];
+  let activeSuggestion = 0;
+
+  /**
+   * Get the "@query" being typed right before the caret
+   * @param {HTMLTextAreaElement} input - Composer input
+   * @returns {Object|null} { query, start } or null when not in a mention
+   */
+  function getMentionQuery(input) {
+    const before = input.value.slice(0, input.selectionStart);
+    const match = before.match(/(^|\s)@([^\s@]{0,30})$/);
+    if (!match) return null;
+
+    return {
+      query: match[2].toLowerCase(),
+      start: before.length - match[2].length - 1,
+    };
+  }
+
+  /**
+   * Load mention candidates for an item (cached per item)
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Array<Object>>} Users
+   */
+  async function loadCandidates(itemId) {
+    if (candidatesByItem.has(itemId)) {
+      return candidatesByItem.get(itemId);
+    }
+
+    const contentAPI = getContentAPI();
+    if (!contentAPI) return [];
+
+    try {
+      const data = await contentAPI.getMentionCandidates(itemId);
+      const users = data?.users || [];
+      candidatesByItem.set(itemId, users);
+      return users;
+    } catch (error) {
+      // Autocomplete is optional; posting still works without it
+      return [];
+    }
+  }
+
+  const UpdateComposer = {
+    /**
+     * Attach delegated listeners for the composer
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    attachListeners(tooltip) {
+      if (!tooltip || tooltip.dataset.updateComposerBound === "true") return;
+
+      tooltip.dataset.updateComposerBound = "true";
+
+      tooltip.addEventListener("click", (e) => {
+        if (e.target.closest?.(".composer-open-btn")) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.openForm(tooltip);
+          return;
+        }
+
+        if (e.target.closest?.(".composer-cancel")) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.closeForm(tooltip);
+          return;
+        }
+
+        const suggestion = e.target.closest?.(".mention-suggestion");
+        if (suggestion) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.pickMention(tooltip, suggestion.dataset.userId);
+        }
+      });
+
+      tooltip.addEventListener("submit", (e) => {
+        const form = e.target.closest?.(".composer-form");
+        if (!form) return;
+
+        e.preventDefault();
+        this.submit(tooltip, form);
+      });
+
+      tooltip.addEventListener("input", (e) => {
+        if (e.target.classList?.contains("composer-input")) {
+          this.updateSuggestions(tooltip);
+        }
+      });
+
+      tooltip.addEventListener("keydown", (e) => {
+        if (!e.target.classList?.contains("composer-input")) return;
+        this.handleKeydown(tooltip, e);
+      });
+    },
+
+    /**
+     * Replace the "New update" button with the composer form
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {Object} options - Draft text and error message to restore
+     */
+    openForm(tooltip, options = {}) {
+      const container = tooltip.querySelector(".tooltip-composer");
+      const itemId = getState().currentNotesData?.taskId;
+      if (!container) return;
+
+      let form = container.querySelector(".composer-form");
+      if (!form) {
+        selectedMentions = options.mentions || [];
+        container.innerHTML = `
+          <form class="composer-form">
+            <textarea class="composer-input" rows="3" maxlength="${
+              getConfig().maxUpdateLength
+            }" placeholder="Write an update... Type @ to mention someone"></textarea>
+            <ul class="mention-suggestions" role="listbox" hidden></ul>
+            <div class="composer-actions">
+              <span class="composer-error" role="alert"></span>
+              <button class="composer-cancel" type="button">Cancel</button>
+              <button class="composer-submit" type="submit">Post update</button>
+            </div>
+          </form>
+        `;
+        form = container.querySelector(".composer-form");
+      }
+
+      const input = form.querySelector(".composer-input");
+      if (options.text) {
+        input.value = options.text;
+      }
+      form.querySelector(".composer-error").textContent = options.error || "";
+      input.focus();
+
+      // Warm the candidates so the first "@" has suggestions ready
+      if (itemId) {
+        loadCandidates(itemId);
+      }
+    },
+
+    /**
+     * Close the composer and restore the "New update" button
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    closeForm(tooltip) {
+      const container = tooltip.querySelector(".tooltip-composer");
+      if (!container) return;
+
+      selectedMentions = [];
+      container.innerHTML = getTooltipRenderer()?.renderComposerButton() || "";
+    },
+
+    /**
+     * Refresh the mention suggestion list for the current caret position
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    async updateSuggestions(tooltip) {
+      const input = tooltip.querySelector(".composer-input");
+      const list = tooltip.querySelector(".mention-suggestions");
+      const itemId = getState().currentNotesData?.taskId;
+      if (!input || !list) return;
+
+      const mention = getMentionQuery(input);
+      if (!mention || !itemId) {
+        list.hidden = true;
+        return;
+      }
+
+      const users = await loadCandidates(itemId);
+      const matches = users
+        .filter((user) =>
+          user.name
+            .toLowerCase()
+            .split(/\s+/)
+            .some((part) => part.startsWith(mention.query))
+        )
+        .slice(0, CONFIG.maxSuggestions);
+
+      if (matches.length === 0) {
+        list.hidden = true;
+        return;
+      }
+
+      const renderer = getTooltipRenderer();
+      const escapeHtml = renderer ? renderer.escapeHtml : (text) => text;
+      activeSuggestion = 0;
+      list.innerHTML = matches
+        .map(
+          (user, index) =>
+            `<li class="mention-suggestion${
+              index === 0 ? " active" : ""
+            }" role="option" data-user-id="${escapeHtml(user.id)}">${escapeHtml(
+              user.name
+            )}</li>`
+        )
+        .join("");
+      list.hidden = false;
+    },
+
+    /**
+     * Handle keyboard navigation in the composer
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(tooltip, e) {
+      const list = tooltip.querySelector(".mention-suggestions");
+      const items = list && !list.hidden ? list.children : [];
+
+      if (items.length > 0) {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          items[activeSuggestion]?.classList.remove("active");
+          activeSuggestion =
+            (activeSuggestion +
+              (e.key === "ArrowDown" ? 1 : -1) +
+              items.length) %
+            items.length;
+          items[activeSuggestion].classList.add("active");
+          return;
+        }
+        if (e.key === "Enter" || e.key === "Tab") {
+          e.preventDefault();
+          this.pickMention(tooltip, items[activeSuggestion].dataset.userId);
+          return;
+        }
+        if (e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          list.hidden = true;
+          return;
+        }
+      }
+
+      if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+        e.preventDefault();
+        this.submit(tooltip, e.target.closest(".composer-form"));
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeForm(tooltip);
+      }
+    },
+
+    /**
+     * Insert the chosen user in place of the "@query" being typed
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} userId - User ID
+     */
+    pickMention(tooltip, userId) {
+      const input = tooltip.querySelector(".composer-input");
+      const list = tooltip.querySelector(".mention-suggestions");
+      const itemId = getState().currentNotesData?.taskId;
+      const user = (candidatesByItem.get(itemId) || []).find(
+        (u) => u.id === userId
+      );
+      const mention = input && getMentionQuery(input);
+      if (!user || !mention) return;
+
+      const caret = input.selectionStart;
+      const inserted = `@${user.name} `;
+      input.value =
+        input.value.slice(0, mention.start) +
+        inserted +
+        input.value.slice(caret);
+      const newCaret = mention.start + inserted.length;
+      input.setSelectionRange(newCaret, newCaret);
+      input.focus();
+
+      if (!selectedMentions.some((m) => m.id === user.id)) {
+        selectedMentions.push({ id: user.id, name: user.name });
+      }
+      if (list) list.hidden = true;
+    },
+
+    /**
+     * Post the update, showing it at the top immediately and rolling back
+     * on failure
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {HTMLFormElement} form - Composer form
+     */
+    async submit(tooltip, form) {
+      const state = getState();
+      const contentAPI = getContentAPI();
+      const taskId = state.currentNotesData?.taskId;
+      const input = form?.querySelector(".composer-input");
+      const text = (input?.value || "").trim();
+
+      if (!text || !contentAPI || !taskId) return;
+
+      // Only keep mentions that are still in the text
+      const mentions = selectedMentions.filter((m) =>
+        text.includes(`@${m.name}`)
+      );
+      const pendingNote = {
+        id: `pending-${Date.now()}`,
+        content: text,
+        richContent: null,
+        author: "You",
+        authorPhoto: null,
+        createdAt: new Date().toISOString(),
+        replies: [],
+        pending: true,
+      };
+
+      getStateManager()?.updateNotes((notes) => [pendingNote, ...notes]);
+      this.closeForm(tooltip);
+      getSearchManager()?.rerender(tooltip);
+
+      try {
+        const note = await contentAPI.postUpdate(taskId, text, mentions);
+
+        // Tooltip may have moved to another item while we were waiting
+        if (getState().currentNotesData?.taskId !== taskId) return;
+
+        getStateManager()?.updateNotes((notes) =>
+          notes.map((n) => (n.id === pendingNote.id ? note : n))
+        );
+        getSearchManager()?.rerender(tooltip);
+      } catch (error) {
+        if (getState().currentNotesData?.taskId !== taskId) return;
+
+        // Roll back and give the draft back to the user
+        getStateManager()?.updateNotes((notes) =>
+          notes.filter((n) => n.id !== pendingNote.id)
+        );
+        getSearchManager()?.rerender(tooltip);
+        this.openForm(tooltip, {
+          text: text,
+          mentions: mentions,
+          error: error.message || "Couldn't post update",
+        });
+      }
+    },
+  };
+
+  // Export globally
+  if (typeof window !== "undefined") {
+    window.UpdateComposer = UpdateComposer;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = UpdateComposer;
+  }
+})();
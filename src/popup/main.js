@@ -13,6 +13,24 @@ let togglePasswordBtn = null;
 let loadingOverlay = null;
 let disableTrackingCheckbox = null;
 let resetUsageBtn = null;
+let hoverDelayInput = null;
+let hideDelayInput = null;
+let tooltipPositionSelect = null;
+let cacheExpiryInput = null;
+let enableNotificationsCheckbox = null;
+let maxRequestsInput = null;
+let summaryTypeCheckboxes = [];
+let summaryColumnIdsInput = null;
+let enablePrefetchCheckbox = null;
+let prefetchBudgetInput = null;
+let apiBudgetBar = null;
+let apiBudgetText = null;
+let enableLiveUpdatesCheckbox = null;
+let liveUpdatesUrlInput = null;
+let liveUpdatesStatusText = null;
+let openSidePanelBtn = null;
+let apiVersionWarning = null;
+let popupWindowId = null;
 
 // Pro License elements
 let proBadge = null;
@@ -28,6 +46,10 @@ let licenseEmail = null;
 let isTesting = false;
 let originalButtonText = "";
 
+// How often the API budget and live updates status refresh while the popup
+// is open
+const RATE_LIMIT_POLL_INTERVAL = 5000;
+
 /**
  * Initialize popup when DOM is ready
  */
@@ -35,6 +57,13 @@ document.addEventListener("DOMContentLoaded", () => {
   initializeElements();
   loadSettings();
   attachEventListeners();
+  loadRateLimitStatus();
+  loadLiveUpdatesStatus();
+  loadApiVersionStatus();
+  setInterval(() => {
+    loadRateLimitStatus();
+    loadLiveUpdatesStatus();
+  }, RATE_LIMIT_POLL_INTERVAL);
 
   // Wait a bit for GumroadAPI to load, then initialize license UI
   setTimeout(() => {
@@ -64,6 +93,28 @@ function initializeElements() {
   loadingOverlay = document.getElementById("loadingOverlay");
   disableTrackingCheckbox = document.getElementById("disableTracking");
   resetUsageBtn = document.getElementById("resetUsageBtn");
+  hoverDelayInput = document.getElementById("hoverDelay");
+  hideDelayInput = document.getElementById("hideDelay");
+  tooltipPositionSelect = document.getElementById("tooltipPosition");
+  cacheExpiryInput = document.getElementById("cacheExpiry");
+  enableNotificationsCheckbox = document.getElementById("enableNotifications");
+  maxRequestsInput = document.getElementById("maxRequestsPerMinute");
+  summaryTypeCheckboxes = Array.from(
+    document.querySelectorAll("#summaryColumnTypes input[type='checkbox']")
+  );
+  summaryColumnIdsInput = document.getElementById("summaryColumnIds");
+  enablePrefetchCheckbox = document.getElementById("enablePrefetch");
+  prefetchBudgetInput = document.getElementById("prefetchBudget");
+  apiBudgetBar = document.getElementById("apiBudgetBar");
+  apiBudgetText = document.getElementById("apiBudgetText");
+  enableLiveUpdatesCheckbox = document.getElementById("enableLiveUpdates");
+  liveUpdatesUrlInput = document.getElementById("liveUpdatesUrl");
+  liveUpdatesStatusText = document.getElementById("liveUpdatesStatus");
+  openSidePanelBtn = document.getElementById("openSidePanelBtn");
+  apiVersionWarning = document.getElementById("apiVersionWarning");
+  chrome.windows.getCurrent().then((currentWindow) => {
+    popupWindowId = currentWindow.id;
+  });
 
   // Ensure reset button is enabled and clickable
   if (resetUsageBtn) {
@@ -109,6 +160,292 @@ async function loadSettings() {
   } catch (error) {
     showStatus("Error loading settings", "error");
   }
+
+  // Defaults fill in anything not saved yet
+  const settings = await Settings.load();
+  loadBehaviorSettings(settings);
+  loadSummarySettings(settings);
+  loadPrefetchSettings(settings);
+  loadLiveUpdatesSettings(settings);
+}
+
+/**
+ * Validate and save preferences, reporting the result
+ * @param {Object} partial - Settings to change
+ * @param {string} successMessage - Status shown once saved
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveSettings(partial, successMessage) {
+  const result = await Settings.save(partial);
+  if (!result.success) {
+    showStatus(result.error, "error");
+    return false;
+  }
+  showStatus(successMessage, "info");
+  return true;
+}
+
+/**
+ * Load tooltip behavior and cache preferences
+ * @param {Object} settings - Current settings
+ */
+function loadBehaviorSettings(settings) {
+  if (hoverDelayInput) hoverDelayInput.value = settings.hoverDelay;
+  if (hideDelayInput) hideDelayInput.value = settings.hideDelay;
+  if (tooltipPositionSelect) {
+    tooltipPositionSelect.value = settings.tooltipPosition;
+  }
+  if (cacheExpiryInput) cacheExpiryInput.value = settings.cacheExpiry;
+  if (enableNotificationsCheckbox) {
+    enableNotificationsCheckbox.checked = settings.enableNotifications;
+  }
+  if (maxRequestsInput) {
+    maxRequestsInput.value = settings.maxRequestsPerMinute;
+  }
+}
+
+/**
+ * Save tooltip behavior and cache preferences
+ */
+async function handleBehaviorSettingsChange() {
+  await saveSettings(
+    {
+      hoverDelay: parseInt(hoverDelayInput?.value, 10),
+      hideDelay: parseInt(hideDelayInput?.value, 10),
+      tooltipPosition: tooltipPositionSelect?.value,
+      cacheExpiry: parseInt(cacheExpiryInput?.value, 10),
+      enableNotifications: !!enableNotificationsCheckbox?.checked,
+    },
+    "Behavior settings updated"
+  );
+}
+
+/**
+ * Save the API request limit
+ */
+async function handleMaxRequestsChange() {
+  await saveSettings(
+    { maxRequestsPerMinute: parseInt(maxRequestsInput?.value, 10) },
+    "API request limit updated"
+  );
+}
+
+/**
+ * Load live updates preferences
+ * @param {Object} settings - Current settings
+ */
+function loadLiveUpdatesSettings(settings) {
+  if (enableLiveUpdatesCheckbox) {
+    enableLiveUpdatesCheckbox.checked = settings.enableLiveUpdates;
+  }
+  if (liveUpdatesUrlInput) {
+    liveUpdatesUrlInput.value = settings.liveUpdatesUrl;
+  }
+}
+
+/**
+ * Save live updates preferences
+ */
+async function handleLiveUpdatesSettingsChange() {
+  const enableLiveUpdates = !!enableLiveUpdatesCheckbox?.checked;
+  const liveUpdatesUrl = (liveUpdatesUrlInput?.value || "").trim();
+
+  if (enableLiveUpdates && !liveUpdatesUrl) {
+    showStatus("Enter a relay URL to enable live updates", "error");
+    return;
+  }
+
+  const saved = await saveSettings(
+    { enableLiveUpdates, liveUpdatesUrl },
+    "Live updates settings updated"
+  );
+  if (saved) {
+    setTimeout(loadLiveUpdatesStatus, 500);
+  }
+}
+
+/**
+ * Load the relay connection status from the background worker
+ */
+function loadLiveUpdatesStatus() {
+  if (!liveUpdatesStatusText) return;
+
+  chrome.runtime.sendMessage({ action: "getLiveUpdatesStatus" }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      return;
+    }
+
+    const { status, lastError, eventsReceived } = response.data;
+    const labels = {
+      disabled: "Off",
+      connecting: "Connecting...",
+      connected: `Connected (${eventsReceived} event${
+        eventsReceived === 1 ? "" : "s"
+      } received)`,
+      error: `Disconnected${lastError ? `: ${lastError}` : ""}, retrying`,
+    };
+    liveUpdatesStatusText.textContent = labels[status] || status;
+  });
+}
+
+/**
+ * Open the side panel in the current window
+ * Must run in the click handler: Chrome only opens it on a user gesture
+ */
+async function handleOpenSidePanel() {
+  if (!chrome.sidePanel?.open) {
+    showStatus("The side panel needs Chrome 116 or later", "error");
+    return;
+  }
+
+  try {
+    // No awaits before open(): they would end the user gesture
+    await chrome.sidePanel.open({ windowId: popupWindowId });
+    window.close();
+  } catch (error) {
+    showStatus("Couldn't open the side panel", "error");
+  }
+}
+
+/**
+ * Load prefetch preferences
+ * @param {Object} settings - Current settings
+ */
+function loadPrefetchSettings(settings) {
+  if (enablePrefetchCheckbox) {
+    enablePrefetchCheckbox.checked = settings.enablePrefetch;
+  }
+  if (prefetchBudgetInput) {
+    prefetchBudgetInput.value = settings.prefetchBudget;
+    prefetchBudgetInput.disabled = !settings.enablePrefetch;
+  }
+}
+
+/**
+ * Save prefetch preferences
+ */
+async function handlePrefetchSettingsChange() {
+  const enablePrefetch = !!enablePrefetchCheckbox?.checked;
+
+  if (prefetchBudgetInput) {
+    prefetchBudgetInput.disabled = !enablePrefetch;
+  }
+
+  await saveSettings(
+    {
+      enablePrefetch,
+      prefetchBudget: parseInt(prefetchBudgetInput?.value, 10),
+    },
+    "Prefetch settings updated"
+  );
+}
+
+/**
+ * Warn when Monday.com reports the API version as deprecated
+ */
+function loadApiVersionStatus() {
+  if (!apiVersionWarning) return;
+
+  chrome.runtime.sendMessage({ action: "getApiVersionStatus" }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      return;
+    }
+
+    const { primary, active, deprecated, fallbackDeprecated } = response.data;
+    if (!deprecated) {
+      apiVersionWarning.hidden = true;
+      return;
+    }
+
+    let text = `Monday.com is retiring API version ${primary} (${deprecated.reason}). `;
+    text +=
+      active !== primary
+        ? `Quick Peek switched to version ${active}; update the extension when a new release is available.`
+        : "Update the extension to keep tooltips working.";
+    if (fallbackDeprecated) {
+      text += ` Version ${fallbackDeprecated.version} is being retired too.`;
+    }
+    apiVersionWarning.textContent = `⚠️ ${text}`;
+    apiVersionWarning.hidden = false;
+  });
+}
+
+/**
+ * Load the live complexity budget from the background worker
+ */
+function loadRateLimitStatus() {
+  if (!apiBudgetText) return;
+
+  chrome.runtime.sendMessage({ action: "getRateLimitStatus" }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      return;
+    }
+    renderRateLimitStatus(response.data);
+  });
+}
+
+/**
+ * Render the complexity budget bar and text
+ * @param {Object} status - RateLimiter status
+ */
+function renderRateLimitStatus(status) {
+  const complexity = status?.complexity || {};
+
+  if (complexity.remaining === null || !complexity.limit) {
+    apiBudgetBar.style.width = "0";
+    apiBudgetBar.className = "budget-bar-fill";
+    apiBudgetText.textContent = "No API calls in the last minute";
+    return;
+  }
+
+  const remaining = Math.max(0, complexity.remaining);
+  const ratio = remaining / complexity.limit;
+  const resetIn = Math.max(
+    0,
+    Math.ceil((complexity.resetAt - Date.now()) / 1000)
+  );
+
+  apiBudgetBar.style.width = `${Math.round(ratio * 100)}%`;
+  apiBudgetBar.className = `budget-bar-fill${
+    remaining === 0 ? " exhausted" : ratio < 0.25 ? " low" : ""
+  }`;
+
+  let text = `${remaining.toLocaleString()} of ${complexity.limit.toLocaleString()} left, resets in ${resetIn}s`;
+  if (complexity.deferredRequests > 0) {
+    text += ` (${complexity.deferredRequests} waiting)`;
+  }
+  apiBudgetText.textContent = text;
+}
+
+/**
+ * Load tooltip summary column preferences
+ * @param {Object} settings - Current settings
+ */
+function loadSummarySettings(settings) {
+  summaryTypeCheckboxes.forEach((checkbox) => {
+    checkbox.checked = settings.summaryColumnTypes.includes(checkbox.value);
+  });
+  if (summaryColumnIdsInput) {
+    summaryColumnIdsInput.value = settings.summaryColumnIds.join(", ");
+  }
+}
+
+/**
+ * Save tooltip summary column preferences
+ */
+async function handleSummarySettingsChange() {
+  const summaryColumnTypes = summaryTypeCheckboxes
+    .filter((checkbox) => checkbox.checked)
+    .map((checkbox) => checkbox.value);
+  const summaryColumnIds = (summaryColumnIdsInput?.value || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  await saveSettings(
+    { summaryColumnTypes, summaryColumnIds },
+    "Tooltip summary updated"
+  );
 }
 
 /**
@@ -136,6 +473,64 @@ function attachEventListeners() {
     });
   }
 
+  // Tooltip behavior and cache preferences
+  [
+    hoverDelayInput,
+    hideDelayInput,
+    tooltipPositionSelect,
+    cacheExpiryInput,
+    enableNotificationsCheckbox,
+  ].forEach((element) => {
+    element?.addEventListener("change", handleBehaviorSettingsChange);
+  });
+  if (maxRequestsInput) {
+    maxRequestsInput.addEventListener("change", handleMaxRequestsChange);
+  }
+
+  // Tooltip summary preferences
+  summaryTypeCheckboxes.forEach((checkbox) => {
+    checkbox.addEventListener("change", handleSummarySettingsChange);
+  });
+  if (summaryColumnIdsInput) {
+    summaryColumnIdsInput.addEventListener(
+      "change",
+      handleSummarySettingsChange
+    );
+  }
+
+  // Live updates preferences
+  if (enableLiveUpdatesCheckbox) {
+    enableLiveUpdatesCheckbox.addEventListener(
+      "change",
+      handleLiveUpdatesSettingsChange
+    );
+  }
+  if (liveUpdatesUrlInput) {
+    liveUpdatesUrlInput.addEventListener(
+      "change",
+      handleLiveUpdatesSettingsChange
+    );
+  }
+
+  // Side panel
+  if (openSidePanelBtn) {
+    openSidePanelBtn.addEventListener("click", handleOpenSidePanel);
+  }
+
+  // Prefetch preferences
+  if (enablePrefetchCheckbox) {
+    enablePrefetchCheckbox.addEventListener(
+      "change",
+      handlePrefetchSettingsChange
+    );
+  }
+  if (prefetchBudgetInput) {
+    prefetchBudgetInput.addEventListener(
+      "change",
+      handlePrefetchSettingsChange
+    );
+  }
+
   // Toggle password visibility
   if (togglePasswordBtn) {
     togglePasswordBtn.addEventListener("click", togglePasswordVisibility);
@@ -117,7 +117,8 @@ class ErrorHandler {
 
     // Handle retry logic
     if (retry && retryCallback && this.isRetryable(errorInfo)) {
-      this.handleRetry(errorInfo, retryCallback, context);
+      // The final failure is already shown by handleRetry
+      this.handleRetry(errorInfo, retryCallback, context).catch(() => {});
     }
 
     return errorInfo;
@@ -289,6 +290,11 @@ class ErrorHandler {
    * @returns {boolean} True if error is retryable
    */
   static isRetryable(errorInfo) {
+    // Errors can opt out, e.g. a rate limit that resets too late to wait for
+    if (errorInfo.retryable === false) {
+      return false;
+    }
+
     const retryableCodes = [
       ERROR_CODES.NETWORK_ERROR,
       ERROR_CODES.RATE_LIMITED,
@@ -304,6 +310,11 @@ class ErrorHandler {
    * @param {Object} options - Display options
    */
   static showErrorUI(message, errorInfo, options = {}) {
+    // No UI in the service worker
+    if (typeof document === "undefined") {
+      return;
+    }
+
     const tooltip = document.getElementById("quick-peek-tooltip");
     if (!tooltip) {
       return;
@@ -405,12 +416,16 @@ class ErrorHandler {
   }
 
   /**
-   * Handle retry logic with exponential backoff
+   * Handle retry logic with jittered exponential backoff
+   * A server-requested delay (errorInfo.retryAfter, in ms) replaces the
+   * backoff; errors that aren't retryable end the retries early
    * @param {Object} errorInfo - Error information
    * @param {Function} retryCallback - Function to retry
    * @param {string} context - Error context
    * @param {number} attempt - Current attempt number
    * @param {number} maxRetries - Maximum retries
+   * @returns {Promise<any>} Result of the first successful retry
+   * @throws {Error|Object} Last error when retries run out or stop early
    */
   static async handleRetry(
     errorInfo,
@@ -428,14 +443,20 @@ class ErrorHandler {
         errorInfo,
         { autoDismiss: true, dismissDelay: 10000 }
       );
-      return;
+      throw errorInfo;
     }
 
     // Calculate exponential backoff delay
     const baseDelay = 1000; // 1 second
     const backoffDelay = baseDelay * Math.pow(2, attempt - 1);
     const maxDelay = 30000; // 30 seconds max
-    const delay = Math.min(backoffDelay, maxDelay);
+    // Jitter keeps requests that failed together from retrying together
+    const delay =
+      errorInfo.retryAfter > 0
+        ? Math.min(errorInfo.retryAfter, maxDelay)
+        : Math.round(
+            Math.min(backoffDelay, maxDelay) * (0.5 + Math.random() * 0.5)
+          );
 
     // Show retry indicator
     this.showRetryIndicator(attempt, maxRetries, delay);
@@ -445,11 +466,16 @@ class ErrorHandler {
 
     try {
       // Execute retry callback
-      await retryCallback();
+      return await retryCallback();
     } catch (retryError) {
-      // Recursively retry
-      await this.handleRetry(
-        errorInfo,
+      const retryInfo = this.normalizeError(retryError);
+      if (!this.isRetryable(retryInfo)) {
+        throw retryError;
+      }
+
+      // Recursively retry, waiting as long as the latest error asks
+      return this.handleRetry(
+        retryInfo,
         retryCallback,
         context,
         attempt + 1,
@@ -465,6 +491,8 @@ class ErrorHandler {
    * @param {number} delay - Delay in milliseconds
    */
   static showRetryIndicator(attempt, maxRetries, delay) {
+    if (typeof document === "undefined") return;
+
     const tooltip = document.getElementById("quick-peek-tooltip");
     if (!tooltip) return;
 
@@ -533,13 +561,26 @@ class ErrorHandler {
       timestamp: new Date().toISOString(),
     };
   }
+
+  /**
+   * Create an Error carrying an ERROR_CODES code, for code that throws
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {Object} details - Extra fields (status, retryAfter, retryable)
+   * @returns {Error} Typed error
+   */
+  static createTypedError(code, message, details = {}) {
+    return Object.assign(new Error(message), { code }, details);
+  }
 }
 
 // Export error codes for use in other files
 ErrorHandler.ERROR_CODES = ERROR_CODES;
 
-// Make available globally
-if (typeof window !== "undefined") {
+// Make available globally (window in pages, self in the service worker)
+if (typeof self !== "undefined") {
+  self.ErrorHandler = ErrorHandler;
+} else if (typeof window !== "undefined") {
   window.ErrorHandler = ErrorHandler;
 }
 
@@ -0,0 +1,331 @@
+/**
+ * Settings Service for Monday Quick Peek Extension
+ *
+ * Single source of truth for user preferences saved from the popup. Loaded
+ * in the content script, the service worker and the popup; modules
+ * subscribe instead of reading chrome.storage themselves, so changes made
+ * in the popup apply live through chrome.storage.onChanged.
+ *
+ * Stored in chrome.storage.sync under the "settings" key.
+ */
+
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "settings";
+
+  // Every user-facing option: type, default and accepted values
+  const SCHEMA = {
+    hoverDelay: {
+      type: "number",
+      label: "Hover delay",
+      default: 500,
+      min: 0,
+      max: 10000,
+    },
+    hideDelay: {
+      type: "number",
+      label: "Hide delay",
+      default: 200,
+      min: 0,
+      max: 5000,
+    },
+    tooltipPosition: {
+      type: "enum",
+      label: "Tooltip position",
+      default: "auto",
+      values: ["auto", "cursor", "right", "below", "docked"],
+    },
+    cacheExpiry: {
+      type: "number",
+      label: "Cache expiry",
+      default: 5, // Minutes
+      min: 1,
+      max: 1440,
+    },
+    enableNotifications: {
+      type: "boolean",
+      label: "New update highlights",
+      default: true,
+    },
+    summaryColumnTypes: {
+      type: "strings",
+      label: "Summary column types",
+      default: ["status", "people", "date", "timeline", "numbers"],
+    },
+    summaryColumnIds: {
+      type: "strings",
+      label: "Summary column IDs",
+      default: [],
+    },
+    enablePrefetch: { type: "boolean", label: "Prefetching", default: true },
+    prefetchBudget: {
+      type: "number",
+      label: "Prefetch budget",
+      default: 10,
+      min: 0,
+      max: 30,
+    },
+    maxRequestsPerMinute: {
+      type: "number",
+      label: "Max API requests per minute",
+      default: 50,
+      min: 30, // RateLimiter keeps 20 of these free for hovers and edits
+      max: 100,
+    },
+    enableLiveUpdates: {
+      type: "boolean",
+      label: "Live updates",
+      default: false,
+    },
+    liveUpdatesUrl: { type: "url", label: "Relay URL", default: "" },
+  };
+
+  const RELAY_URL_PATTERN = /^(wss?|https?):\/\/[^\s]+$/i;
+
+  let current = getDefaults();
+  let loadPromise = null;
+  let isListening = false;
+  const listeners = new Set();
+
+  // Helper: Copy a value so callers can't mutate the stored settings
+  function copy(value) {
+    return Array.isArray(value) ? [...value] : value;
+  }
+
+  /**
+   * Get the default value of every setting
+   * @returns {Object} Default settings
+   */
+  function getDefaults() {
+    const defaults = {};
+    Object.entries(SCHEMA).forEach(([key, field]) => {
+      defaults[key] = copy(field.default);
+    });
+    return defaults;
+  }
+
+  /**
+   * Validate one setting value
+   * @param {string} key - Setting key
+   * @param {any} value - Value to check
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validateField(key, value) {
+    const field = SCHEMA[key];
+    if (!field) return `Unknown setting: ${key}`;
+
+    switch (field.type) {
+      case "number":
+        if (
+          typeof value !== "number" ||
+          !Number.isFinite(value) ||
+          value < field.min ||
+          value > field.max
+        ) {
+          return `${field.label} must be a number between ${field.min} and ${field.max}`;
+        }
+        return null;
+      case "boolean":
+        return typeof value === "boolean"
+          ? null
+          : `${field.label} must be on or off`;
+      case "enum":
+        return field.values.includes(value)
+          ? null
+          : `${field.label} must be one of: ${field.values.join(", ")}`;
+      case "strings":
+        return Array.isArray(value) &&
+          value.every((entry) => typeof entry === "string")
+          ? null
+          : `${field.label} must be a list of text values`;
+      case "url":
+        return typeof value === "string" &&
+          (value === "" || RELAY_URL_PATTERN.test(value))
+          ? null
+          : `${field.label} must start with ws://, wss://, http:// or https://`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Merge stored settings over the defaults, dropping invalid values
+   * @param {Object} stored - Raw stored settings
+   * @returns {Object} Complete settings
+   */
+  function normalize(stored) {
+    const settings = getDefaults();
+    if (!stored || typeof stored !== "object") return settings;
+
+    Object.keys(SCHEMA).forEach((key) => {
+      if (stored[key] !== undefined && !validateField(key, stored[key])) {
+        settings[key] = copy(stored[key]);
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Replace the current settings and notify subscribers of changed keys
+   * @param {Object} next - Complete settings
+   */
+  function applySettings(next) {
+    const changedKeys = Object.keys(SCHEMA).filter(
+      (key) => JSON.stringify(current[key]) !== JSON.stringify(next[key])
+    );
+    current = next;
+    if (changedKeys.length === 0) return;
+
+    listeners.forEach((listener) => notify(listener, changedKeys));
+  }
+
+  // Helper: Call a subscriber without letting it break the others
+  function notify(listener, changedKeys) {
+    try {
+      listener(Settings.getAll(), changedKeys);
+    } catch (error) {
+      console.error("Settings: subscriber failed", error);
+    }
+  }
+
+  /**
+   * Follow changes saved from any extension page
+   * Registered synchronously so a service worker woken by a storage change
+   * still receives the event
+   */
+  function listen() {
+    if (isListening || typeof chrome === "undefined") return;
+    if (!chrome.storage?.onChanged) return;
+    isListening = true;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync" && changes[STORAGE_KEY]) {
+        applySettings(normalize(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  const Settings = {
+    SCHEMA,
+
+    getDefaults,
+
+    /**
+     * Load stored settings (once) and start following changes
+     * Subscribers are notified of every value that differs from the defaults
+     * @returns {Promise<Object>} Complete settings
+     */
+    load() {
+      if (loadPromise) return loadPromise;
+      listen();
+
+      loadPromise = (async () => {
+        try {
+          const result = await chrome.storage.sync.get(STORAGE_KEY);
+          applySettings(normalize(result[STORAGE_KEY]));
+        } catch (error) {
+          // Extension context invalidated or storage unavailable: keep defaults
+        }
+        return this.getAll();
+      })();
+      return loadPromise;
+    },
+
+    /**
+     * Get one setting
+     * @param {string} key - Setting key
+     * @returns {any} Current value (the default until loaded)
+     */
+    get(key) {
+      return copy(current[key]);
+    },
+
+    /**
+     * Get every setting
+     * @returns {Object} Current settings
+     */
+    getAll() {
+      const settings = {};
+      Object.keys(current).forEach((key) => {
+        settings[key] = copy(current[key]);
+      });
+      return settings;
+    },
+
+    /**
+     * Subscribe to settings changes
+     * The listener runs right away with the current settings, then with the
+     * keys that changed whenever settings load or are saved
+     * @param {Function} listener - (settings, changedKeys) => void
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      notify(listener, Object.keys(SCHEMA));
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Validate a partial settings object
+     * @param {Object} partial - Settings to check
+     * @returns {string|null} First error message, or null if valid
+     */
+    validate(partial) {
+      if (!partial || typeof partial !== "object") {
+        return "Settings must be an object";
+      }
+      for (const [key, value] of Object.entries(partial)) {
+        const error = validateField(key, value);
+        if (error) return error;
+      }
+      return null;
+    },
+
+    /**
+     * Validate and save settings, keeping the ones not passed in
+     * @param {Object} partial - Settings to change
+     * @returns {Promise<{success: boolean, error?: string}>} Result object
+     */
+    async save(partial) {
+      const error = this.validate(partial);
+      if (error) {
+        return { success: false, error };
+      }
+
+      try {
+        const result = await chrome.storage.sync.get(STORAGE_KEY);
+        const settings = {
+          ...normalize(result[STORAGE_KEY]),
+          ...partial,
+          lastSyncTimestamp: Date.now(),
+        };
+        await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+        applySettings(normalize(settings));
+        return { success: true };
+      } catch (saveError) {
+        if (saveError.message && saveError.message.includes("QUOTA")) {
+          return {
+            success: false,
+            error: "Storage quota exceeded. Please try again later.",
+          };
+        }
+        return {
+          success: false,
+          error: saveError.message || "Failed to save settings",
+        };
+      }
+    },
+  };
+
+  // Export globally (self in the service worker, window in pages)
+  if (typeof self !== "undefined") {
+    self.Settings = Settings;
+  } else if (typeof window !== "undefined") {
+    window.Settings = Settings;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = Settings;
+  }
+})();
@@ -9,6 +9,11 @@
  * - chrome.storage.local for cache data (larger storage, device-specific)
  */
 
+// Settings service (settings.js), loaded before this script in pages
+const getSettingsService = () =>
+  (typeof self !== "undefined" && self.Settings) ||
+  (typeof require === "function" ? require("./settings.js") : null);
+
 /**
  * Storage utility object
  */
@@ -83,69 +88,16 @@ const storage = {
 
   /**
    * Save user settings to Chrome sync storage
-   * @param {Object} settings - Settings object to save
-   * @param {number} [settings.hoverDelay] - Hover delay in milliseconds
-   * @param {string} [settings.tooltipPosition] - Tooltip position preference
-   * @param {number} [settings.cacheExpiry] - Cache expiry time in minutes
-   * @param {boolean} [settings.enableNotifications] - Enable notifications
+   * Validation and defaults live in the settings service (settings.js)
+   * @param {Object} settings - Settings to change (see Settings.SCHEMA)
    * @returns {Promise<{success: boolean, error?: string}>} Result object
    */
   async saveSettings(settings) {
-    try {
-      if (!settings || typeof settings !== "object") {
-        throw new Error("Invalid settings: must be an object");
-      }
-
-      // Get existing settings to merge
-      const existing = await this.getSettings();
-      const mergedSettings = { ...existing, ...settings };
-
-      // Validate settings
-      if (mergedSettings.hoverDelay !== undefined) {
-        if (
-          typeof mergedSettings.hoverDelay !== "number" ||
-          mergedSettings.hoverDelay < 0 ||
-          mergedSettings.hoverDelay > 10000
-        ) {
-          throw new Error(
-            "Invalid hoverDelay: must be a number between 0 and 10000"
-          );
-        }
-      }
-
-      if (mergedSettings.cacheExpiry !== undefined) {
-        if (
-          typeof mergedSettings.cacheExpiry !== "number" ||
-          mergedSettings.cacheExpiry < 1 ||
-          mergedSettings.cacheExpiry > 1440
-        ) {
-          throw new Error(
-            "Invalid cacheExpiry: must be a number between 1 and 1440 minutes"
-          );
-        }
-      }
-
-      // Add last sync timestamp
-      mergedSettings.lastSyncTimestamp = Date.now();
-
-      await chrome.storage.sync.set({ settings: mergedSettings });
-
-      return { success: true };
-    } catch (error) {
-      // Handle quota exceeded error
-      if (error.message && error.message.includes("QUOTA")) {
-        return {
-          success: false,
-          error:
-            "Storage quota exceeded. Please clear some data and try again.",
-        };
-      }
-
-      return {
-        success: false,
-        error: error.message || "Failed to save settings",
-      };
+    const settingsService = getSettingsService();
+    if (!settingsService) {
+      return { success: false, error: "Settings service not loaded" };
     }
+    return settingsService.save(settings);
   },
 
   /**
@@ -153,28 +105,12 @@ const storage = {
    * @returns {Promise<Object>} Settings object with default values
    */
   async getSettings() {
-    try {
-      const result = await chrome.storage.sync.get("settings");
-      const settings = result.settings || {};
-
-      // Return settings with defaults
-      return {
-        hoverDelay: settings.hoverDelay ?? 500, // Default 500ms
-        tooltipPosition: settings.tooltipPosition ?? "auto", // Default auto
-        cacheExpiry: settings.cacheExpiry ?? 5, // Default 5 minutes
-        enableNotifications: settings.enableNotifications ?? true,
-        lastSyncTimestamp: settings.lastSyncTimestamp ?? null,
-      };
-    } catch (error) {
-      // Return default settings on error
-      return {
-        hoverDelay: 500,
-        tooltipPosition: "auto",
-        cacheExpiry: 5,
-        enableNotifications: true,
-        lastSyncTimestamp: null,
-      };
+    const settingsService = getSettingsService();
+    if (!settingsService) {
+      return {};
     }
+    await settingsService.load();
+    return settingsService.getAll();
   },
 
   /**
@@ -433,7 +433,10 @@ class UsageTracker {
 // Export for use in other scripts
 if (typeof module !== "undefined" && module.exports) {
   module.exports = UsageTracker;
-} else {
+} else if (typeof window !== "undefined") {
   // Make available globally
   window.UsageTracker = UsageTracker;
+} else if (typeof self !== "undefined") {
+  // Service worker context (loaded via importScripts)
+  self.UsageTracker = UsageTracker;
 }
@@ -0,0 +1,230 @@
+/**
+ * Side Panel Script for Monday Quick Peek Extension
+ *
+ * Shows the full peek for the last clicked item, or the last hovered item
+ * when follow mode is on. Content scripts report peeked items to the
+ * background, which keeps the latest one in session storage. Refreshed
+ * notes and live updates from the background replace the shown notes.
+ */
+
+// DOM elements
+let peekElement = null;
+let followModeCheckbox = null;
+let refreshButton = null;
+
+// State
+let followMode = false;
+let currentItem = null; // { taskId, taskName }
+let loadToken = 0; // Drops responses for items that are no longer shown
+
+const FOLLOW_MODE_KEY = "sidePanelFollowMode";
+
+/**
+ * Initialize side panel when DOM is ready
+ */
+document.addEventListener("DOMContentLoaded", async () => {
+  peekElement = document.getElementById("peek");
+  followModeCheckbox = document.getElementById("followMode");
+  refreshButton = document.getElementById("refreshButton");
+
+  await loadFollowMode();
+  attachEventListeners();
+  // Older updates of long threads load into the panel like in the tooltip
+  NotesPager.attachListeners(peekElement);
+
+  // Show the item peeked at before the panel was opened
+  try {
+    const { lastPeekedItem } = await chrome.storage.session.get(
+      "lastPeekedItem"
+    );
+    if (lastPeekedItem) {
+      showItem(lastPeekedItem);
+    }
+  } catch (error) {
+    // Nothing peeked yet
+  }
+});
+
+/**
+ * Load the follow mode preference
+ */
+async function loadFollowMode() {
+  try {
+    const result = await chrome.storage.local.get(FOLLOW_MODE_KEY);
+    followMode = result[FOLLOW_MODE_KEY] === true;
+  } catch (error) {
+    followMode = false;
+  }
+  followModeCheckbox.checked = followMode;
+}
+
+/**
+ * Attach toolbar listeners and follow peeked items
+ */
+function attachEventListeners() {
+  followModeCheckbox.addEventListener("change", async () => {
+    followMode = followModeCheckbox.checked;
+    try {
+      await chrome.storage.local.set({ [FOLLOW_MODE_KEY]: followMode });
+    } catch (error) {
+      // Preference applies to this panel only
+    }
+  });
+
+  refreshButton.addEventListener("click", () => {
+    if (currentItem) {
+      showItem(currentItem, { force: true });
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "session" || !changes.lastPeekedItem?.newValue) return;
+
+    const item = changes.lastPeekedItem.newValue;
+    if (item.source === "click" || followMode) {
+      showItem(item);
+    }
+  });
+
+  chrome.runtime.onMessage.addListener((request) => {
+    // Fresh notes after stale cached notes were shown
+    if (request.action === "notesRefreshed") {
+      if (request.changed && request.data) {
+        applyFreshNotes(request.data);
+      }
+      return;
+    }
+
+    // Webhook event forwarded by the live updates relay
+    if (request.action === "liveUpdate") {
+      handleLiveUpdate(request);
+    }
+  });
+}
+
+/**
+ * Replace the shown notes with fresher data for the same item, keeping the
+ * search term
+ * @param {Object} notesData - Notes data
+ */
+function applyFreshNotes(notesData) {
+  if (!currentItem || notesData?.taskId !== currentItem.taskId) return;
+  // Don't drop older pages the user loaded
+  if ((StateManager.get("currentNotesData")?.page || 1) > 1) return;
+
+  renderNotes(notesData, null, StateManager.get("currentSearchTerm") || "");
+}
+
+/**
+ * Refresh the shown item when a webhook event touches it
+ * @param {Object} message - { type, taskId, parentId, data }
+ */
+async function handleLiveUpdate(message) {
+  const taskId = currentItem?.taskId;
+  if (!taskId || (taskId !== message.taskId && taskId !== message.parentId)) {
+    return;
+  }
+
+  // Column changes arrive already patched; anything else is refetched
+  if (message.data && taskId === message.taskId) {
+    applyFreshNotes(message.data);
+    return;
+  }
+
+  const token = loadToken;
+  try {
+    const response = await ContentAPI.fetchContent(taskId, "note");
+    if (token === loadToken && response?.success && response.data) {
+      applyFreshNotes(response.data);
+    }
+  } catch (error) {
+    // Keep showing what we have
+  }
+}
+
+/**
+ * Fetch and render the peek for an item
+ * @param {Object} item - { taskId, taskName }
+ * @param {Object} options - { force: reload even if already shown }
+ */
+async function showItem(item, options = {}) {
+  if (!options.force && currentItem?.taskId === item.taskId) return;
+
+  const token = ++loadToken;
+  currentItem = { taskId: item.taskId, taskName: item.taskName || "Task" };
+  refreshButton.disabled = true;
+
+  // Cancel the request for the previous item
+  const abortController = new AbortController();
+  StateManager.cancelCurrentRequest();
+  StateManager.set("requestAbortController", abortController);
+
+  peekElement.innerHTML = TooltipRenderer.renderLoading(currentItem.taskName);
+
+  try {
+    const response = await ContentAPI.fetchContent(
+      currentItem.taskId,
+      "note",
+      abortController.signal
+    );
+    if (token !== loadToken || !response) return;
+
+    if (!response.success || !response.data) {
+      throw new Error(response.error || "Failed to fetch content");
+    }
+    renderNotes(response.data, response.offline ? response.offlineAsOf : null);
+  } catch (error) {
+    if (token !== loadToken) return;
+    renderError(error.message || "Failed to load content");
+  } finally {
+    if (token === loadToken) {
+      refreshButton.disabled = false;
+    }
+  }
+}
+
+/**
+ * Render notes with the tooltip renderer and hook up search
+ * @param {Object} notesData - Notes data
+ * @param {number|null} offlineAsOf - Snapshot time if Monday.com was offline
+ * @param {string} [searchTerm] - Search term to keep
+ */
+function renderNotes(notesData, offlineAsOf, searchTerm = "") {
+  StateManager.set("currentNotes", notesData.notes || []);
+  StateManager.set("currentNotesData", notesData);
+  StateManager.set("currentSearchTerm", searchTerm);
+
+  peekElement.innerHTML = TooltipRenderer.formatContent(
+    currentItem.taskName,
+    notesData,
+    searchTerm
+  );
+  if (offlineAsOf) {
+    peekElement
+      .querySelector(".tooltip-header")
+      ?.insertAdjacentHTML(
+        "afterend",
+        TooltipRenderer.renderOfflineBanner(offlineAsOf)
+      );
+  }
+  SearchManager.attachListeners(peekElement);
+}
+
+/**
+ * Render an error in place of the notes
+ * @param {string} message - Error message
+ */
+function renderError(message) {
+  peekElement.innerHTML = `<div class="tooltip-header">
+      <strong class="tooltip-task-name">${TooltipRenderer.escapeHtml(
+        currentItem.taskName
+      )}</strong>
+    </div>
+    <div class="error-container">
+      <div class="error-header">
+        <span class="error-icon">⚠️</span>
+        <span class="error-title">Error</span>
+      </div>
+      <div class="error-message">${TooltipRenderer.escapeHtml(message)}</div>
+    </div>`;
+}
@@ -0,0 +1,170 @@
+/**
+ * GraphQLQueries tests
+ *
+ * Checks the typed-variable guarantees of the operation registry: malformed
+ * and undeclared variables are rejected with typed, non-retryable errors,
+ * optional values are dropped, and boardUpdates expands into $page<n>
+ * variables. ErrorHandler is loaded first, as in the service worker.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+globalThis.self = globalThis;
+globalThis.chrome = { runtime: { getURL: (path) => path } };
+const ErrorHandler = require("../src/shared/services/errorHandler.js");
+const GraphQLQueries = require("../src/background/api/GraphQLQueries.js");
+
+// Helper: Assert that building a request throws a non-retryable typed error
+function assertRejected(operationName, variables, message) {
+  assert.throws(
+    () => GraphQLQueries.buildRequest(operationName, variables),
+    (error) => {
+      assert.ok(error instanceof Error);
+      assert.equal(error.code, ErrorHandler.ERROR_CODES.UNKNOWN_ERROR);
+      assert.equal(error.retryable, false);
+      assert.equal(ErrorHandler.isRetryable(error), false);
+      assert.match(error.message, message);
+      return true;
+    }
+  );
+}
+
+test("builds a named operation with declared variables", () => {
+  const request = GraphQLQueries.buildRequest("itemNotesPage", {
+    itemId: 123,
+    updatesLimit: 10,
+    page: 2,
+  });
+
+  assert.equal(request.operationName, "itemNotesPage");
+  assert.match(
+    request.query,
+    /^query itemNotesPage\(\$itemId: ID!, \$updatesLimit: Int!, \$page: Int!\) \{/
+  );
+  // IDs are sent as strings and never written into the query text
+  assert.deepEqual(request.variables, {
+    itemId: "123",
+    updatesLimit: 10,
+    page: 2,
+  });
+  assert.doesNotMatch(request.query, /123/);
+});
+
+test("builds operations without variables", () => {
+  const request = GraphQLQueries.buildRequest("me");
+
+  assert.equal(request.query, "query me { me { id name email } }");
+  assert.deepEqual(request.variables, {});
+});
+
+test("rejects malformed IDs", () => {
+  assertRejected(
+    "itemNotesPage",
+    { itemId: "123) { id } me { id", updatesLimit: 10, page: 1 },
+    /\$itemId for itemNotesPage: expected ID!/
+  );
+  assertRejected(
+    "itemNames",
+    { itemIds: ["1", "x2"], itemsLimit: 2 },
+    /\$itemIds for itemNames: expected \[ID!\]!/
+  );
+});
+
+test("rejects missing and wrongly typed variables", () => {
+  assertRejected(
+    "itemNotesPage",
+    { itemId: "1", updatesLimit: 10 },
+    /\$page for itemNotesPage: expected Int!/
+  );
+  assertRejected(
+    "itemNotesPage",
+    { itemId: "1", updatesLimit: -1, page: 1 },
+    /\$updatesLimit/
+  );
+  assertRejected(
+    "changeColumnValue",
+    { boardId: "1", itemId: "2", columnId: "status", value: "{not json" },
+    /\$value for changeColumnValue: expected JSON!/
+  );
+  assertRejected(
+    "createUpdate",
+    { itemId: "1", body: "Hi", mentions: [{ id: "5", type: "Robot" }] },
+    /\$mentions/
+  );
+});
+
+test("rejects undeclared variables and unknown operations", () => {
+  assertRejected("me", { userId: "1" }, /\$userId for me: not declared/);
+  assertRejected("deleteEverything", {}, /Unknown GraphQL operation/);
+  assert.throws(() => GraphQLQueries.validateVariables("nope", {}), {
+    code: "UNKNOWN_ERROR",
+    retryable: false,
+  });
+});
+
+test("drops omitted optional values", () => {
+  const variables = GraphQLQueries.validateVariables("createUpdate", {
+    itemId: 1,
+    body: "Hello",
+    parentId: null,
+  });
+
+  assert.deepEqual(variables, { itemId: "1", body: "Hello" });
+});
+
+test("keeps optional values that are set", () => {
+  const request = GraphQLQueries.buildRequest("createUpdate", {
+    itemId: "1",
+    body: "Hello",
+    parentId: 42,
+    mentions: [{ id: 5, type: "User", name: "ignored" }],
+  });
+
+  assert.deepEqual(request.variables, {
+    itemId: "1",
+    body: "Hello",
+    parentId: "42",
+    mentions: [{ id: "5", type: "User" }],
+  });
+  assert.match(request.query, /\$parentId: ID, \$mentions: \[UpdateMention!\]/);
+});
+
+test("expands boardUpdates pages into aliased $page<n> variables", () => {
+  const request = GraphQLQueries.buildRequest("boardUpdates", {
+    boardId: "77",
+    limit: 100,
+    pages: [3, 4, 5],
+  });
+
+  assert.deepEqual(request.variables, {
+    boardId: "77",
+    limit: 100,
+    page0: 3,
+    page1: 4,
+    page2: 5,
+  });
+  assert.match(
+    request.query,
+    /^query boardUpdates\(\$boardId: ID!, \$limit: Int!, \$page0: Int!, \$page1: Int!, \$page2: Int!\)/
+  );
+  [0, 1, 2].forEach((index) =>
+    assert.match(
+      request.query,
+      new RegExp(
+        `page_${index}: updates\\(limit: \\$limit, page: \\$page${index}\\)`
+      )
+    )
+  );
+  assert.doesNotMatch(request.query, /\$pages/);
+});
+
+test("rejects boardUpdates pages that aren't page numbers", () => {
+  assertRejected(
+    "boardUpdates",
+    { boardId: "77", limit: 100, pages: [1, "2"] },
+    /\$pages for boardUpdates: expected \[Int!\]!/
+  );
+});
@@ -181,6 +181,48 @@ export const mockTasks = {
     ],
   },
 
+  /**
+   * Task with rich HTML updates (as returned by Monday.com)
+   * Tests: RichTextParser allow-list, lists, checklists, code, tables, images,
+   * mentions
+   */
+  richHtmlTask: {
+    id: "888999000",
+    name: "Task with rich HTML updates",
+    updates: [
+      {
+        id: "14",
+        body:
+          "<p><strong>Release plan</strong> for <em>v2.4</em>:</p>" +
+          "<ul><li>Freeze on Monday</li><li>QA on <u>Tuesday</u></li></ul>" +
+          '<ul class="checklist"><li data-checked="true">Changelog</li><li data-checked="false">Docs</li></ul>' +
+          "<pre><code>npm run build:package</code></pre>" +
+          '<p>Details: <a href="https://monday.com/docs">release docs</a></p>' +
+          '<p>Thanks <a class="user_mention_editor router" data-mention-type="User" data-mention-id="5550123">@Mike Chen</a></p>' +
+          '<img src="https://via.placeholder.com/120" alt="screenshot">',
+        created_at: getDateString(4),
+        creator: {
+          name: "Dana Levi",
+          photo_thumb: "https://via.placeholder.com/32",
+        },
+      },
+      {
+        id: "15",
+        body:
+          "<table><tr><th>Env</th><th>Status</th></tr>" +
+          "<tr><td>staging</td><td>green</td></tr></table>" +
+          '<p onclick="alert(1)">Safe text<script>alert("xss")</script></p>' +
+          '<a href="javascript:alert(1)">bad link</a>' +
+          '<img src="x" onerror="alert(1)">',
+        created_at: getDateString(2),
+        creator: {
+          name: "Mike Chen",
+          photo_thumb: "https://via.placeholder.com/32",
+        },
+      },
+    ],
+  },
+
   /**
    * Task with recent notes (just now, minutes ago)
    * Tests: Relative time formatting, "just now" display
@@ -210,6 +252,102 @@ export const mockTasks = {
     ],
   },
 
+  /**
+   * Task with threaded replies
+   * Tests: Reply threads, reply counts, searching inside replies
+   */
+  repliesTask: {
+    id: "222333444",
+    name: "Task with threaded discussion",
+    updates: [
+      {
+        id: "12",
+        body: "Should we ship the onboarding flow behind a feature flag?",
+        created_at: getDateString(30),
+        creator: {
+          name: "Dana Levi",
+          photo_thumb: "https://via.placeholder.com/32",
+        },
+        replies: [
+          {
+            id: "12-1",
+            body: "Yes, let's roll it out to 10% first.",
+            created_at: getDateString(28),
+            creator: {
+              name: "Mike Chen",
+              photo_thumb: "https://via.placeholder.com/32",
+            },
+          },
+          {
+            id: "12-2",
+            body: "Agreed. I'll set up the flag in LaunchDarkly.",
+            created_at: getDateString(26),
+            creator: {
+              name: "Emma Wilson",
+              photo_thumb: null,
+            },
+          },
+        ],
+      },
+      {
+        id: "13",
+        body: "Flag is live, monitoring error rates.",
+        created_at: getDateString(2),
+        creator: {
+          name: "Emma Wilson",
+          photo_thumb: "https://via.placeholder.com/32",
+        },
+        replies: [],
+      },
+    ],
+  },
+
+  /**
+   * Task with subitems
+   * Tests: Subitems section, status/owner/update counts, subitem hover peek
+   */
+  subitemsTask: {
+    id: "333444555",
+    name: "Task with subitems",
+    updates: [
+      {
+        id: "15",
+        body: "Splitting the launch checklist into subitems.",
+        created_at: getDateString(45),
+        creator: {
+          name: "Sarah Kim",
+          photo_thumb: "https://via.placeholder.com/32",
+        },
+        replies: [],
+      },
+    ],
+    subitems: [
+      {
+        id: "333444556",
+        name: "Write release notes",
+        updates: [{ id: "16" }, { id: "17" }],
+        column_values: [
+          {
+            id: "status",
+            text: "Working on it",
+            type: "status",
+            label_style: { color: "#fdab3d" },
+          },
+          { id: "person", text: "Emma Wilson", type: "people" },
+        ],
+      },
+      {
+        id: "333444557",
+        name: "Update pricing page",
+        updates: [],
+        column_values: [
+          { id: "status", text: "", type: "status", label_style: null },
+          { id: "person", text: "", type: "people" },
+        ],
+      },
+    ],
+  },
+
   /**
    * Task with missing creator info
    * Tests: Fallback handling, missing data scenarios
@@ -0,0 +1,103 @@
+/**
+ * RichTextParser tests
+ *
+ * Parses the rich HTML fixtures from mockData.js and checks the sanitized
+ * node tree: formatting, links and mentions survive, scripts, event handler
+ * attributes and javascript: URLs don't.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { mockTasks } from "./mockData.js";
+
+const require = createRequire(import.meta.url);
+const RichTextParser = require("../src/background/api/RichTextParser.js");
+
+const [releaseUpdate, unsafeUpdate] = mockTasks.richHtmlTask.updates;
+
+// Helper: Every element node in a tree, depth first
+function elements(nodes) {
+  return nodes.flatMap((node) =>
+    node.tag ? [node, ...elements(node.children)] : []
+  );
+}
+
+test("keeps allowed formatting from the release update", () => {
+  const nodes = RichTextParser.parse(releaseUpdate.body);
+  const tags = new Set(elements(nodes).map((node) => node.tag));
+
+  ["p", "strong", "em", "u", "ul", "li", "pre", "code", "a", "img"].forEach(
+    (tag) => assert.ok(tags.has(tag), `expected <${tag}> to be kept`)
+  );
+  assert.match(RichTextParser.toPlainText(nodes), /Release plan for v2\.4:/);
+});
+
+test("keeps checklist state on list items", () => {
+  const items = elements(RichTextParser.parse(releaseUpdate.body)).filter(
+    (node) => node.tag === "li" && "checked" in node.attrs
+  );
+
+  assert.deepEqual(
+    items.map((item) => [
+      RichTextParser.toPlainText(item.children),
+      item.attrs.checked,
+    ]),
+    [
+      ["Changelog", true],
+      ["Docs", false],
+    ]
+  );
+});
+
+test("keeps safe links and mentions", () => {
+  const links = elements(RichTextParser.parse(releaseUpdate.body)).filter(
+    (node) => node.tag === "a"
+  );
+
+  assert.deepEqual(links[0].attrs, { href: "https://monday.com/docs" });
+  assert.deepEqual(links[1].attrs, { mention: true });
+  assert.equal(RichTextParser.toPlainText(links[1].children), "@Mike Chen");
+});
+
+test("keeps images with safe sources only", () => {
+  const releaseImages = elements(
+    RichTextParser.parse(releaseUpdate.body)
+  ).filter((node) => node.tag === "img");
+  const unsafeImages = elements(RichTextParser.parse(unsafeUpdate.body)).filter(
+    (node) => node.tag === "img"
+  );
+
+  assert.deepEqual(releaseImages[0].attrs, {
+    src: "https://via.placeholder.com/120",
+    alt: "screenshot",
+  });
+  assert.equal(unsafeImages.length, 0);
+});
+
+test("drops scripts, event handlers and javascript: URLs", () => {
+  const nodes = RichTextParser.parse(unsafeUpdate.body);
+  const all = elements(nodes);
+
+  assert.ok(all.every((node) => node.tag !== "script"));
+  assert.ok(
+    all.every((node) =>
+      Object.keys(node.attrs).every((name) => !name.startsWith("on"))
+    )
+  );
+  assert.doesNotMatch(JSON.stringify(nodes), /javascript:|alert/);
+
+  // The link text survives without its href
+  const link = all.find((node) => node.tag === "a");
+  assert.deepEqual(link.attrs, {});
+  assert.equal(RichTextParser.toPlainText(link.children), "bad link");
+});
+
+test("keeps table structure", () => {
+  const tags = elements(RichTextParser.parse(unsafeUpdate.body)).map(
+    (node) => node.tag
+  );
+
+  assert.deepEqual(tags.slice(0, 4), ["table", "tr", "th", "th"]);
+  assert.equal(tags.filter((tag) => tag === "td").length, 2);
+});
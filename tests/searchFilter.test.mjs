@@ -0,0 +1,258 @@
+/**
+ * SearchFilter tests
+ *
+ * Covers the tooltip search query language: parsing (quoted phrases,
+ * author:"…" tokens, negation, OR), filtering and ranking notes, before:,
+ * after: and has: filters, facets and facet token toggling, and highlight
+ * ranges. FuzzyMatcher is loaded first, as in the content script.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+globalThis.window = globalThis;
+require("../src/content/search/FuzzyMatcher.js");
+const SearchFilter = require("../src/content/search/SearchFilter.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Helper: Note posted a number of days ago
+function note(id, content, author, daysAgo) {
+  return {
+    id,
+    content,
+    author,
+    createdAt: new Date(Date.now() - daysAgo * DAY).toISOString(),
+  };
+}
+
+const notes = [
+  note(1, "Deploy script fixed", "Dana Lee", 60),
+  note(2, "The deplyo failed again", "Sam", 1),
+  note(3, "Deploy went out", "José Ruiz", 2),
+  note(4, "Unrelated note", "bot", 0),
+];
+
+// Helper: Ids of the notes a query keeps, in order
+function filterIds(searchTerm) {
+  return SearchFilter.filterNotes(searchTerm, notes).map((entry) => entry.id);
+}
+
+test("parseQuery returns no terms for empty input", () => {
+  assert.deepEqual(SearchFilter.parseQuery(""), { groups: [], terms: [] });
+  assert.deepEqual(SearchFilter.parseQuery(undefined), {
+    groups: [],
+    terms: [],
+  });
+  assert.deepEqual(SearchFilter.parseQuery("author: has:video"), {
+    groups: [],
+    terms: [],
+  });
+});
+
+test("parseQuery keeps quoted phrases together", () => {
+  assert.deepEqual(SearchFilter.parseQuery('"Release Plan" docs').terms, [
+    { type: "text", value: "release plan", phrase: true, negated: false },
+    { type: "text", value: "docs", phrase: false, negated: false },
+  ]);
+});
+
+test("parseQuery reads quoted author values without accents", () => {
+  assert.deepEqual(SearchFilter.parseQuery('author:"José Ruiz"').terms, [
+    { type: "author", value: "jose ruiz", negated: false },
+  ]);
+});
+
+test("parseQuery marks negated terms and splits OR groups", () => {
+  const query = SearchFilter.parseQuery(
+    '-author:bot -"draft" -spam OR has:link'
+  );
+
+  assert.deepEqual(query.groups, [
+    [
+      { type: "author", value: "bot", negated: true },
+      { type: "text", value: "draft", phrase: true, negated: true },
+      { type: "text", value: "spam", phrase: false, negated: true },
+    ],
+    [{ type: "has", value: "link", negated: false }],
+  ]);
+});
+
+test("filterNotes returns notes unchanged for an empty query", () => {
+  assert.equal(SearchFilter.filterNotes("", notes), notes);
+  assert.equal(SearchFilter.filterNotes("   ", notes), notes);
+});
+
+test("filterNotes ranks by match quality, then recency", () => {
+  // Exact matches first (newest first), then the typo
+  assert.deepEqual(filterIds("deploy"), [3, 1, 2]);
+});
+
+test("filterNotes matches phrases and author tokens exactly", () => {
+  assert.deepEqual(filterIds('"deploy went"'), [3]);
+  assert.deepEqual(filterIds('author:"jose ruiz"'), [3]);
+  assert.deepEqual(filterIds('author:"Dana Lee" deploy'), [1]);
+});
+
+test("filterNotes drops notes matching a negated term", () => {
+  assert.deepEqual(filterIds("-deploy"), [2, 4]);
+  assert.deepEqual(filterIds("deploy -author:sam"), [3, 1]);
+});
+
+test("filterNotes keeps notes matching either side of OR", () => {
+  assert.deepEqual(filterIds("note OR script"), [4, 1]);
+});
+
+test("toggleToken adds a missing token and removes a present one", () => {
+  assert.equal(
+    SearchFilter.toggleToken("bug", 'author:"Dana Lee"'),
+    'bug author:"Dana Lee"'
+  );
+  assert.equal(
+    SearchFilter.toggleToken('bug author:"dana lee"', 'author:"Dana Lee"'),
+    "bug"
+  );
+  assert.equal(SearchFilter.toggleToken("", "has:link"), "has:link");
+});
+
+test("hasToken compares whole tokens, ignoring case", () => {
+  assert.equal(
+    SearchFilter.hasToken('bug AUTHOR:"Dana Lee"', 'author:"Dana Lee"'),
+    true
+  );
+  assert.equal(SearchFilter.hasToken("has:linked", "has:link"), false);
+  assert.equal(SearchFilter.hasToken("", "has:link"), false);
+});
+
+test("getHighlightRanges highlights words and phrases, not negated terms", () => {
+  assert.deepEqual(
+    SearchFilter.getHighlightRanges("Deploy went out", "deploy"),
+    [[0, 6]]
+  );
+  assert.deepEqual(
+    SearchFilter.getHighlightRanges("Deploy went out", '"went out" -deploy'),
+    [[7, 15]]
+  );
+});
+
+test("getHighlightRanges highlights author values in author names only", () => {
+  assert.deepEqual(
+    SearchFilter.getHighlightRanges("Dana Lee", "author:dana"),
+    []
+  );
+  assert.deepEqual(
+    SearchFilter.getHighlightRanges("Dana Lee", "author:dana", "author"),
+    [[0, 4]]
+  );
+});
+
+test("getHighlightRanges returns nothing for empty input", () => {
+  assert.deepEqual(SearchFilter.getHighlightRanges("", "deploy"), []);
+  assert.deepEqual(SearchFilter.getHighlightRanges("Deploy", ""), []);
+});
+
+// Notes posted on given days of January 2026 (local time), for date filters
+const dated = [
+  { id: 1, content: "See https://example.com", author: "Dana Lee", day: 9 },
+  { id: 2, content: "Screenshot", author: "Sam", day: 10, hour: 0 },
+  { id: 3, content: "Spec", author: "Dana Lee", day: 10, hour: 23 },
+  { id: 4, content: "Plain", author: "Lee", day: 11, hour: 0 },
+].map(({ day, hour = 12, ...rest }) => ({
+  ...rest,
+  createdAt: new Date(2026, 0, day, hour).toISOString(),
+}));
+dated[1].richContent = [
+  { tag: "p", attrs: {}, children: [{ tag: "img", attrs: {}, children: [] }] },
+];
+dated[2].richContent = [
+  { tag: "a", attrs: { href: "https://example.com" }, children: [] },
+];
+
+// Helper: Ids of the dated notes a query keeps, in order
+function filterDatedIds(searchTerm) {
+  return SearchFilter.filterNotes(searchTerm, dated).map((entry) => entry.id);
+}
+
+test("before: keeps notes posted before the start of that day", () => {
+  assert.deepEqual(filterDatedIds("before:2026-01-10"), [1]);
+  assert.deepEqual(filterDatedIds("-before:2026-01-10"), [2, 3, 4]);
+});
+
+test("after: keeps notes posted from the start of the next day", () => {
+  // Both notes of the 10th, midnight and late evening, are excluded
+  assert.deepEqual(filterDatedIds("after:2026-01-10"), [4]);
+  assert.deepEqual(filterDatedIds("after:2026-01-09"), [2, 3, 4]);
+  assert.deepEqual(
+    filterDatedIds("after:2026-01-09 before:2026-01-11"),
+    [2, 3]
+  );
+});
+
+test("after: compares against the start of the next local day", () => {
+  const [term] = SearchFilter.parseQuery("after:2026-01-31").terms;
+  assert.equal(term.type, "after");
+  assert.equal(term.date.getTime(), new Date(2026, 1, 1).getTime());
+});
+
+test("parseQuery ignores invalid dates and unknown has: values", () => {
+  ["before:2026-02-30", "after:2026-1-5", "before:yesterday", "has:video"]
+    .map((input) => SearchFilter.parseQuery(input))
+    .forEach((query) => assert.deepEqual(query, { groups: [], terms: [] }));
+});
+
+test("has:link matches rich links and plain URLs", () => {
+  assert.deepEqual(filterDatedIds("has:link"), [1, 3]);
+  assert.deepEqual(filterDatedIds("-has:link"), [2, 4]);
+});
+
+test("has:image matches notes with an image", () => {
+  assert.deepEqual(filterDatedIds("has:image"), [2]);
+  assert.deepEqual(filterDatedIds("HAS:IMAGE"), [2]);
+});
+
+test("getFacets lists authors by count, quoting names with spaces", () => {
+  const authors = SearchFilter.getFacets(dated, new Date(2026, 0, 12, 9))
+    .filter((facet) => facet.kind === "author")
+    .map(({ token, count }) => [token, count]);
+
+  assert.deepEqual(authors, [
+    ['author:"Dana Lee"', 2],
+    ["author:Lee", 1],
+    ["author:Sam", 1],
+  ]);
+});
+
+test("getFacets builds date tokens that count the matching notes", () => {
+  const dates = SearchFilter.getFacets(dated, new Date(2026, 0, 12, 9)).filter(
+    (facet) => facet.kind === "date"
+  );
+
+  assert.deepEqual(
+    dates.map(({ label, token, count }) => [label, token, count]),
+    [
+      ["Past week", "after:2026-01-05", 4],
+      ["Past month", "after:2025-12-13", 4],
+    ]
+  );
+  dates.forEach((facet) =>
+    assert.equal(SearchFilter.filterNotes(facet.token, dated).length, 4)
+  );
+});
+
+test("getFacets leaves out empty date facets and a single author", () => {
+  // A week after the newest note only the past month facet matches
+  const facets = SearchFilter.getFacets(dated, new Date(2026, 0, 20, 9));
+
+  assert.deepEqual(
+    facets.filter((facet) => facet.kind === "date").map((facet) => facet.label),
+    ["Past month"]
+  );
+  assert.deepEqual(
+    SearchFilter.getFacets([dated[0]], new Date(2026, 0, 12)).map(
+      (facet) => facet.kind
+    ),
+    ["date", "date"]
+  );
+});